@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+/**
+ * Creates an API key and prints it once. Use this to bootstrap the first admin key;
+ * further keys can be managed through /api/admin/api-keys.
+ * Usage: npm run create-api-key -- <name> [role]   (role defaults to admin)
+ */
+require("dotenv").config({ path: require("path").join(__dirname, "..", ".env") });
+const { ROLES, createApiKey } = require("../src/auth");
+const { recordAudit } = require("../src/audit");
+const { transaction } = require("../src/db");
+
+const [name, role = "admin"] = process.argv.slice(2);
+
+if (!name || !ROLES.includes(role)) {
+  console.error("Usage: npm run create-api-key -- <name> [role]");
+  console.error(`Roles: ${ROLES.join(", ")}`);
+  process.exit(1);
+}
+
+const { key, apiKey } = transaction(() => {
+  const created = createApiKey({ name, role });
+  recordAudit({
+    action: "api_key.create",
+    actor: "cli",
+    target: `api_key:${created.apiKey.id}`,
+    after: created.apiKey,
+  });
+  return created;
+});
+
+console.log(`Created ${apiKey.role} key #${apiKey.id} (${apiKey.name}). Store it now, it is not shown again:`);
+console.log(key);
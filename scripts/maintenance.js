@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * Database maintenance: online backups with checksums, restore, and selective purges.
+ * Destructive commands need --yes; --dry-run shows what they would do instead.
+ * Usage:
+ *   npm run maintenance -- backup [file]
+ *   npm run maintenance -- verify <file>
+ *   npm run maintenance -- restore <file> [--dry-run | --yes]     (stop the app first)
+ *   npm run maintenance -- purge <table...> --older-than <days> [--dry-run | --yes]
+ *   npm run maintenance -- reset-settings [key...] [--dry-run | --yes]
+ */
+require("dotenv").config({ path: require("path").join(__dirname, "..", ".env") });
+const { recordAudit } = require("../src/audit");
+const {
+  PURGE_TARGETS,
+  createBackup,
+  verifyBackup,
+  restoreBackup,
+  purgeTable,
+  resetSettings,
+} = require("../src/maintenance");
+
+const USAGE = `Usage:
+  npm run maintenance -- backup [file]
+  npm run maintenance -- verify <file>
+  npm run maintenance -- restore <file> [--dry-run | --yes]
+  npm run maintenance -- purge <table...> --older-than <days> [--dry-run | --yes]
+  npm run maintenance -- reset-settings [key...] [--dry-run | --yes]
+Purgeable tables: ${Object.keys(PURGE_TARGETS).join(", ")}`;
+
+const AUDIT = { actor: "maintenance_cli" };
+
+function usageError(message) {
+  console.error(message);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const yes = args.includes("--yes");
+let olderThan = null;
+const positional = [];
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--older-than") olderThan = args[++i];
+  else if (args[i] !== "--dry-run" && args[i] !== "--yes") positional.push(args[i]);
+}
+const [command, ...rest] = positional;
+
+// Destructive commands run only with --yes, so a bare command never deletes anything.
+function requireConfirmation() {
+  if (!dryRun && !yes) {
+    usageError(`${command} changes data: rerun with --dry-run to preview it, or --yes to run it`);
+  }
+}
+
+async function main() {
+  switch (command) {
+    case "backup": {
+      const { file, checksum, bytes } = await createBackup({ destination: rest[0], audit: AUDIT });
+      console.log(`Backed up ${bytes} bytes to ${file}`);
+      console.log(`sha256 ${checksum} (${file}.sha256)`);
+      return;
+    }
+    case "verify": {
+      if (!rest[0]) usageError("verify needs a backup file");
+      const { ok, checksum, problems } = verifyBackup(rest[0]);
+      if (ok) {
+        console.log(`Backup OK: ${rest[0]} sha256 ${checksum}`);
+        return;
+      }
+      console.error(`Backup INVALID: ${rest[0]}`);
+      for (const problem of problems) console.error(`  ${problem}`);
+      process.exitCode = 1;
+      return;
+    }
+    case "restore": {
+      if (!rest[0]) usageError("restore needs a backup file");
+      requireConfirmation();
+      const { target, previous } = restoreBackup(rest[0], { dryRun });
+      if (dryRun) {
+        console.log(`Would restore ${rest[0]} over ${target}`);
+        if (previous) console.log(`Would keep the current database as ${previous}`);
+        return;
+      }
+      // Written to the restored database, which is opened (and migrated) here
+      recordAudit({ action: "maintenance.restore", ...AUDIT, target, after: { file: rest[0] } });
+      console.log(`Restored ${rest[0]} over ${target}`);
+      if (previous) console.log(`The previous database was kept as ${previous}`);
+      return;
+    }
+    case "purge": {
+      if (!rest.length) usageError("purge needs at least one table");
+      const olderThanDays = Number(olderThan);
+      if (!Number.isInteger(olderThanDays) || olderThanDays <= 0) {
+        usageError("purge needs --older-than <days>, a positive whole number");
+      }
+      for (const table of rest) {
+        if (!PURGE_TARGETS[table]) usageError(`Cannot purge ${table}`);
+      }
+      requireConfirmation();
+      for (const table of rest) {
+        const result = purgeTable(table, { olderThanDays, dryRun, audit: AUDIT });
+        if (dryRun) {
+          console.log(`${table}: would purge ${result.matched} row(s) created before ${result.cutoff}`);
+        } else {
+          const archived = PURGE_TARGETS[table].archive ? `, ${result.archived} archived` : "";
+          console.log(`${table}: purged ${result.deleted} of ${result.matched} row(s)${archived}`);
+        }
+      }
+      return;
+    }
+    case "reset-settings": {
+      requireConfirmation();
+      const { settings, deleted } = resetSettings({
+        keys: rest.length ? rest : undefined,
+        dryRun,
+        audit: AUDIT,
+      });
+      for (const { key, value } of settings) console.log(`  ${key} = ${value}`);
+      console.log(
+        dryRun ? `Would reset ${settings.length} setting(s)` : `Reset ${deleted} setting(s)`
+      );
+      return;
+    }
+    default:
+      usageError(command ? `Unknown command: ${command}` : "Missing command");
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
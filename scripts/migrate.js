@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ * Applies pending schema migrations (src/migrations) to the app's database, or lists which are
+ * applied and pending with `status`. Exits with 1 if a migration fails.
+ * Usage: npm run migrate   |   npm run migrate:status
+ */
+require("dotenv").config({ path: require("path").join(__dirname, "..", ".env") });
+const Database = require("better-sqlite3");
+const { DEFAULT_DB_PATH } = require("../src/db");
+const { migrate, migrationLabel, migrationStatus } = require("../src/migrations");
+
+const command = process.argv[2] || "up";
+if (command !== "up" && command !== "status") {
+  console.error(`Unknown command: ${command}`);
+  console.error("Usage: npm run migrate   |   npm run migrate:status");
+  process.exit(1);
+}
+
+const db = new Database(DEFAULT_DB_PATH);
+try {
+  if (command === "status") {
+    const { applied, pending, unknown } = migrationStatus(db);
+    console.log(`Database: ${DEFAULT_DB_PATH}`);
+    for (const m of applied) console.log(`  applied  ${migrationLabel(m)}  ${m.appliedAt}`);
+    for (const m of pending) console.log(`  pending  ${migrationLabel(m)}`);
+    for (const m of unknown) console.log(`  unknown  ${migrationLabel(m)}  ${m.appliedAt}`);
+    console.log(`${applied.length} applied, ${pending.length} pending`);
+    if (unknown.length) {
+      console.log(`${unknown.length} applied migration(s) have no file: was a newer release run?`);
+    }
+  } else {
+    const applied = migrate(db);
+    for (const m of applied) console.log(`Applied ${migrationLabel(m)}`);
+    console.log(applied.length ? `${applied.length} migration(s) applied` : "Nothing to migrate");
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
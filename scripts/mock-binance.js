@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+/**
+ * Runs a local Binance stand-in. Point the API at it with
+ * BINANCE_BASE_URL=http://localhost:4010 (and BINANCE_P2P_BASE_URL for the P2P rate feed).
+ * Signatures are checked with BINANCE_API_KEY / BINANCE_API_SECRET from .env, so the
+ * API can use its usual credentials.
+ * Usage: npm run mock-binance -- [fixtures.json]
+ */
+require("dotenv").config({ path: require("path").join(__dirname, "..", ".env") });
+const fs = require("fs");
+const { createMockBinance } = require("../src/mockBinance");
+
+const PORT = process.env.MOCK_BINANCE_PORT || 4010;
+const [fixturesPath] = process.argv.slice(2);
+
+let fixtures = {};
+if (fixturesPath) {
+  try {
+    fixtures = JSON.parse(fs.readFileSync(fixturesPath, "utf8"));
+  } catch (err) {
+    console.error(`Could not read fixtures from ${fixturesPath}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+const apiKey = process.env.BINANCE_API_KEY || "mock-api-key";
+const apiSecret = process.env.BINANCE_API_SECRET || "mock-api-secret";
+
+let mock;
+try {
+  mock = createMockBinance({ apiKey, apiSecret, fixtures, log: true });
+} catch (err) {
+  console.error(`Invalid fixtures: ${err.message}`);
+  process.exit(1);
+}
+
+mock.app.listen(PORT, () => {
+  console.log(`[mock-binance] Listening on http://localhost:${PORT}`);
+  if (!process.env.BINANCE_API_KEY || !process.env.BINANCE_API_SECRET) {
+    console.log(`[mock-binance] Using BINANCE_API_KEY=${apiKey} BINANCE_API_SECRET=${apiSecret}`);
+  }
+});
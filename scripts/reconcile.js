@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Reconciles credited deposits and recorded withdrawals in [from, to) against Binance history,
+ * stores the report and prints its summary, or its issues as CSV with --csv.
+ * Usage: npm run reconcile -- <from> [to] [--csv]   (dates or ISO timestamps; to defaults to now)
+ */
+require("dotenv").config({ path: require("path").join(__dirname, "..", ".env") });
+const {
+  parseReconciliationPeriod,
+  runReconciliation,
+  reportToCsv,
+} = require("../src/reconciliation");
+
+const args = process.argv.slice(2);
+const csv = args.includes("--csv");
+const [from, to] = args.filter((a) => a !== "--csv");
+
+const { startTime, endTime, error } = parseReconciliationPeriod({ from, to });
+if (error) {
+  console.error(error);
+  console.error("Usage: npm run reconcile -- <from> [to] [--csv]");
+  process.exit(1);
+}
+
+runReconciliation({ startTime, endTime, trigger: "cli" }).then(
+  (report) => {
+    if (csv) {
+      process.stdout.write(reportToCsv(report, report.issues));
+      return;
+    }
+    console.log(
+      `Report #${report.id}: ${report.periodStart} to ${report.periodEnd}, ${report.status}`
+    );
+    console.log(JSON.stringify(report.summary, null, 2));
+    for (const issue of report.issues) {
+      console.log(`${issue.type}\t${issue.reference}\t${issue.detail}`);
+    }
+  },
+  (err) => {
+    console.error(`Reconciliation failed: ${err.binanceMessage || err.message || err}`);
+    process.exit(1);
+  }
+);
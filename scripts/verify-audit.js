@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+/**
+ * Walks the audit log hash chain from the first row and reports every break.
+ * Exits with 1 if the chain is broken. Keep the printed head hash somewhere else: comparing
+ * it later is the only way to notice the newest rows being removed.
+ * Usage: npm run audit:verify
+ */
+require("dotenv").config({ path: require("path").join(__dirname, "..", ".env") });
+const { verifyAuditLog } = require("../src/audit");
+
+const { ok, checked, headHash, breaks } = verifyAuditLog();
+
+if (ok) {
+  console.log(`Audit log OK: ${checked} row(s), head hash ${headHash || "(empty)"}`);
+} else {
+  console.error(`Audit log BROKEN: ${breaks.length} problem(s) in ${checked} row(s)`);
+  for (const { id, problem } of breaks) {
+    console.error(`  row ${id}: ${problem}`);
+  }
+  process.exit(1);
+}
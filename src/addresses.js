@@ -0,0 +1,148 @@
+const crypto = require("crypto");
+
+const BASE58_ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+const BASE58_MAP = new Map([...BASE58_ALPHABET].map((c, i) => [c, BigInt(i)]));
+
+/**
+ * Decode a base58 (Bitcoin alphabet) string. Leading "1"s become leading zero bytes.
+ * @param {string} value
+ * @returns {Buffer | null} null if value contains a character outside the alphabet
+ */
+function base58Decode(value) {
+  let n = 0n;
+  for (const c of value) {
+    const digit = BASE58_MAP.get(c);
+    if (digit === undefined) return null;
+    n = n * 58n + digit;
+  }
+  const hex = n === 0n ? "" : n.toString(16);
+  const body = Buffer.from(hex.length % 2 ? `0${hex}` : hex, "hex");
+  const leadingZeros = value.length - value.replace(/^1+/, "").length;
+  return Buffer.concat([Buffer.alloc(leadingZeros), body]);
+}
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest();
+}
+
+function invalid(reason, message) {
+  return { valid: false, reason, message };
+}
+
+/**
+ * TRON: base58check of 0x41 + 20-byte account id, followed by the first 4 bytes
+ * of SHA256(SHA256(payload)).
+ */
+function validateTron(address) {
+  const bytes = base58Decode(address);
+  if (!bytes) return invalid("invalid_characters", "Address contains non-base58 characters");
+  if (bytes.length !== 25) {
+    return invalid("invalid_length", `Address decodes to ${bytes.length} bytes, expected 25`);
+  }
+  const payload = bytes.subarray(0, 21);
+  if (payload[0] !== 0x41) {
+    return invalid("invalid_prefix", "Address does not start with the TRON mainnet prefix (T)");
+  }
+  const checksum = sha256(sha256(payload)).subarray(0, 4);
+  if (!checksum.equals(bytes.subarray(21))) {
+    return invalid("invalid_checksum", "Address checksum does not match; check for typos");
+  }
+  return { valid: true };
+}
+
+/**
+ * Solana: base58 of a 32-byte public key. There is no checksum, so only the
+ * encoding and length can be verified.
+ */
+function validateSolana(address) {
+  const bytes = base58Decode(address);
+  if (!bytes) return invalid("invalid_characters", "Address contains non-base58 characters");
+  if (bytes.length !== 32) {
+    return invalid("invalid_length", `Address decodes to ${bytes.length} bytes, expected 32`);
+  }
+  return { valid: true };
+}
+
+/**
+ * Address validators by Binance network code. Other networks are checked against the
+ * address pattern in Binance's coin config. To check a network more strictly, add an
+ * entry here; e.g. ETH and BSC would share a validator that checks 0x + 40 hex digits
+ * and, for mixed-case addresses, the EIP-55 checksum (Keccak-256 of the lowercase hex).
+ * @type {Record<string, { label: string, validate: (address: string) => { valid: boolean,
+ *   reason?: string, message?: string } }>}
+ */
+const NETWORKS = {
+  TRX: { label: "TRC20", validate: validateTron },
+  SOL: { label: "Solana", validate: validateSolana },
+};
+
+const SUPPORTED_NETWORKS = Object.keys(NETWORKS);
+
+/**
+ * Validate an address for a network, or for whichever network it belongs to.
+ * Without a network, an address that is the right shape for a network but fails
+ * its checksum is reported against that network, so typos are called out as such.
+ * @param {string} address - already trimmed
+ * @param {string} [network] - Binance network code, e.g. "TRX"
+ * @param {object} [options]
+ * @param {string | null} [options.addressRegex] - Binance's address pattern for the network,
+ *   checked instead when there is no validator for it here (format only, no checksum)
+ * @returns {{ valid: boolean, network: string | null, reason?: string, message?: string }}
+ */
+function validateAddress(address, network, { addressRegex } = {}) {
+  if (!network) {
+    const results = SUPPORTED_NETWORKS.map((n) => validateAddress(address, n));
+    return (
+      results.find((r) => r.valid) ||
+      results.find((r) => !["invalid_characters", "invalid_length"].includes(r.reason)) || {
+        network: null,
+        ...invalid("unrecognized_address", "Address is not valid on any supported network"),
+      }
+    );
+  }
+
+  const entry = NETWORKS[network];
+  if (!entry && addressRegex) {
+    return new RegExp(addressRegex).test(address)
+      ? { network, valid: true }
+      : {
+          network,
+          ...invalid(
+            "invalid_format",
+            `Not a valid ${network} address: does not match ${addressRegex}`
+          ),
+        };
+  }
+  if (!entry) {
+    return {
+      network,
+      ...invalid(
+        "unsupported_network",
+        `Unsupported network ${network}. Supported: ${SUPPORTED_NETWORKS.join(", ")}`
+      ),
+    };
+  }
+  const result = entry.validate(address);
+  return {
+    network,
+    ...result,
+    message: result.valid ? undefined : `Not a valid ${entry.label} address: ${result.message}`,
+  };
+}
+
+/**
+ * The network an address is valid for, trying each supported network in turn.
+ * Address formats do not overlap, so at most one matches.
+ * @param {string} address - already trimmed
+ * @returns {string | null} Binance network code
+ */
+function detectNetwork(address) {
+  return SUPPORTED_NETWORKS.find((network) => NETWORKS[network].validate(address).valid) || null;
+}
+
+module.exports = {
+  SUPPORTED_NETWORKS,
+  base58Decode,
+  validateAddress,
+  detectNetwork,
+};
@@ -0,0 +1,252 @@
+// Admin dashboard. Talks to the JSON API with the admin API key entered at sign-in,
+// which is kept in sessionStorage for the lifetime of the tab only.
+(() => {
+  const KEY_STORAGE = "usdtapi.apiKey";
+  const PAGE_SIZE = 20;
+
+  const state = {
+    deposits: { page: 1, total: 0, search: "" },
+    withdrawals: { page: 1, total: 0 },
+  };
+
+  const $ = (selector) => document.querySelector(selector);
+
+  function apiKey() {
+    return sessionStorage.getItem(KEY_STORAGE);
+  }
+
+  async function api(path, options = {}) {
+    const response = await fetch(path, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        "X-API-Key": apiKey() || "",
+      },
+    });
+    const body = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+      signOut();
+    }
+    if (!response.ok) {
+      const err = new Error(body.error || `Request failed with status ${response.status}`);
+      err.body = body;
+      throw err;
+    }
+    return body;
+  }
+
+  function cell(value) {
+    const td = document.createElement("td");
+    if (value instanceof Node) {
+      td.append(value);
+    } else {
+      td.textContent = value == null ? "" : String(value);
+    }
+    return td;
+  }
+
+  function renderRows(tbody, rows, columns) {
+    tbody.replaceChildren(
+      ...rows.map((row) => {
+        const tr = document.createElement("tr");
+        tr.append(...columns.map((c) => cell(typeof c === "function" ? c(row) : row[c])));
+        return tr;
+      })
+    );
+  }
+
+  function renderPager(name) {
+    const { page, total } = state[name];
+    const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+    const pager = $(`[data-pager="${name}"]`);
+    pager.querySelector("span").textContent = `Page ${page} of ${pages} (${total} total)`;
+    pager.querySelector('[data-page="prev"]').disabled = page <= 1;
+    pager.querySelector('[data-page="next"]').disabled = page >= pages;
+  }
+
+  async function loadBalance() {
+    $("#balance").textContent = "…";
+    try {
+      const { balance } = await api("/api/balance");
+      $("#balance").textContent = `${balance} USDT`;
+    } catch (err) {
+      $("#balance").textContent = err.message;
+    }
+  }
+
+  // A stale feed rate comes back as 503 with the rate details; show them anyway.
+  function getRate(path) {
+    return api(path).catch((err) => (err.body && err.body.source ? err.body : Promise.reject(err)));
+  }
+
+  function describeRate(label, r) {
+    if (r.stale) return `${label}: stale feed rate (last updated ${r.updatedAt || "never"})`;
+    if (r.source === "override") return `${label}: manual override until ${r.expiresAt}`;
+    if (r.source === "feed") return `${label}: rate feed (updated ${r.updatedAt})`;
+    return `${label}: manual`;
+  }
+
+  async function loadSettings() {
+    const [rate, withdrawalRate, minDeposit, minWithdrawal, fee] = await Promise.all([
+      getRate("/api/rate"),
+      getRate("/api/rate/withdrawal"),
+      api("/api/min-deposit"),
+      api("/api/min-withdrawal"),
+      api("/api/withdrawal-fee"),
+    ]);
+    $('[data-setting="rate"] input').value = rate.rate == null ? "" : rate.rate;
+    $('[data-setting="rate/withdrawal"] input').value =
+      withdrawalRate.rate == null ? "" : withdrawalRate.rate;
+    $("#rate-sources").textContent = [
+      describeRate("Deposit rate", rate),
+      describeRate("Withdrawal rate", withdrawalRate),
+    ].join(" · ");
+    $('[data-setting="min-deposit"] input').value = minDeposit.minDepositAmount;
+    $('[data-setting="min-withdrawal"] input').value = minWithdrawal.minWithdrawalAmount;
+    $('[data-setting="withdrawal-fee"] [name="feePercent"]').value = fee.feePercent;
+    $('[data-setting="withdrawal-fee"] [name="feeFixed"]').value = fee.feeFixed;
+  }
+
+  async function loadDeposits() {
+    const { page, search } = state.deposits;
+    const query = new URLSearchParams({ page, limit: PAGE_SIZE });
+    if (search) query.set("search", search);
+    const { total, deposits } = await api(`/api/deposits?${query}`);
+    state.deposits.total = total;
+    renderRows($("#deposits"), deposits, [
+      "id",
+      "txId",
+      "userId",
+      "amount",
+      "rewardKes",
+      "confirmedAt",
+    ]);
+    renderPager("deposits");
+  }
+
+  function approvalButtons(w) {
+    if (w.status !== "awaiting_approval") return null;
+    const span = document.createElement("span");
+    for (const action of ["approve", "reject"]) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = action === "approve" ? "Approve" : "Reject";
+      button.addEventListener("click", async () => {
+        const question = `${button.textContent} withdrawal ${w.id} of ${w.amount} USDT to ${w.address}?`;
+        if (!confirm(question)) return;
+        try {
+          const result = await api(`/api/withdrawals/${w.id}/${action}`, { method: "POST" });
+          $("#withdrawals-status").textContent =
+            result.status === "failed" ? result.message : `Withdrawal ${w.id}: ${action}d.`;
+        } catch (err) {
+          $("#withdrawals-status").textContent = err.message;
+        }
+        loadWithdrawals().catch(() => {});
+        loadBalance();
+      });
+      span.append(button);
+    }
+    return span;
+  }
+
+  async function loadWithdrawals() {
+    const query = new URLSearchParams({ page: state.withdrawals.page, limit: PAGE_SIZE });
+    const { total, withdrawals } = await api(`/api/withdrawals?${query}`);
+    state.withdrawals.total = total;
+    renderRows($("#withdrawals"), withdrawals, [
+      "id",
+      "address",
+      "network",
+      "userId",
+      "amount",
+      "amountKes",
+      (w) => (w.error ? `${w.status} (${w.error})` : w.status),
+      "createdAt",
+      approvalButtons,
+    ]);
+    renderPager("withdrawals");
+  }
+
+  function showDashboard() {
+    $("#sign-in").hidden = true;
+    $("#dashboard").hidden = false;
+    $("#sign-out").hidden = false;
+    loadBalance();
+    Promise.all([loadSettings(), loadDeposits(), loadWithdrawals()]).catch((err) => {
+      $("#settings-status").textContent = err.message;
+    });
+  }
+
+  function signOut() {
+    sessionStorage.removeItem(KEY_STORAGE);
+    $("#sign-in").hidden = false;
+    $("#dashboard").hidden = true;
+    $("#sign-out").hidden = true;
+  }
+
+  $("#sign-in-form").addEventListener("submit", async (event) => {
+    event.preventDefault();
+    $("#sign-in-error").textContent = "";
+    sessionStorage.setItem(KEY_STORAGE, event.target.apiKey.value.trim());
+    try {
+      const me = await api("/api/auth/me");
+      if (me.role !== "admin") {
+        sessionStorage.removeItem(KEY_STORAGE);
+        $("#sign-in-error").textContent = "This API key does not have the admin role.";
+        return;
+      }
+      event.target.reset();
+      showDashboard();
+    } catch (err) {
+      $("#sign-in-error").textContent = err.message;
+    }
+  });
+
+  $("#sign-out").addEventListener("click", signOut);
+  $("#refresh-balance").addEventListener("click", loadBalance);
+
+  document.querySelectorAll("[data-setting]").forEach((form) => {
+    form.addEventListener("submit", async (event) => {
+      event.preventDefault();
+      const input = form.querySelector("input");
+      try {
+        await api(`/api/${form.dataset.setting}`, {
+          method: "POST",
+          body: JSON.stringify({ [input.name]: Number(input.value) }),
+        });
+        $("#settings-status").textContent = "Saved.";
+        await loadSettings();
+      } catch (err) {
+        $("#settings-status").textContent = err.message;
+      }
+    });
+  });
+
+  $("#deposit-search").addEventListener("submit", (event) => {
+    event.preventDefault();
+    state.deposits.search = event.target.search.value.trim();
+    state.deposits.page = 1;
+    loadDeposits().catch((err) => {
+      $("#settings-status").textContent = err.message;
+    });
+  });
+
+  document.querySelectorAll("[data-pager]").forEach((pager) => {
+    const name = pager.dataset.pager;
+    const load = name === "deposits" ? loadDeposits : loadWithdrawals;
+    pager.addEventListener("click", (event) => {
+      const direction = event.target.dataset.page;
+      if (!direction) return;
+      state[name].page += direction === "next" ? 1 : -1;
+      load().catch((err) => {
+        $("#settings-status").textContent = err.message;
+      });
+    });
+  });
+
+  if (apiKey()) {
+    showDashboard();
+  } else {
+    signOut();
+  }
+})();
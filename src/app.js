@@ -0,0 +1,1862 @@
+const path = require("path");
+const express = require("express");
+const {
+  BinanceError,
+  BinanceRegionError,
+  BinanceInsufficientBalanceError,
+} = require("./binanceClient");
+const { binance, useBinanceClient } = require("./binance");
+const {
+  useDatabase,
+  transaction,
+  listProcessedTransactions,
+  getSetting,
+  setSetting,
+  insertWithdrawal,
+  getWithdrawal,
+  listWithdrawals,
+  sumWithdrawalsLast24h,
+  listWithdrawalAddresses,
+  removeWithdrawalAddress,
+  listApiKeys,
+  getApiKey,
+  revokeApiKey,
+  getWebhookEndpoint,
+  listWebhookEndpoints,
+  deactivateWebhookEndpoint,
+  getWebhookDelivery,
+  resetWebhookDelivery,
+  listWebhookDeliveries,
+  getAccount,
+  applyAccountEntry,
+  listAccountTransactions,
+  getPendingDeposit,
+  upsertPendingDeposit,
+  listRateHistory,
+  getReconciliationReport,
+  listReconciliationReports,
+  listReconciliationIssues,
+  listAuditLog,
+} = require("./db");
+const {
+  submitWithdrawal,
+  refreshWithdrawals,
+  getWithdrawalWithStatus,
+} = require("./withdrawals");
+const { idempotent, markApplied } = require("./idempotency");
+const { getNetworks, validateNetworkAddress, resolveWithdrawalNetwork } = require("./networks");
+const {
+  AMOUNT_MODES,
+  loadPlatformFee,
+  getPlatformFee,
+  setPlatformFee,
+  splitWithdrawalAmount,
+  formatSplit,
+} = require("./fees");
+const { ROLES, createApiKey, optionalApiKey, requireRole } = require("./auth");
+const {
+  IN_FLIGHT_DEPOSIT_STATUSES,
+  normalizeTxId,
+  findProcessed,
+  lookupDeposit,
+  creditDeposit,
+  assignDeposit,
+} = require("./deposits");
+const { postWithdrawal, getTrialBalance } = require("./ledger");
+const { toMinor, fromMinor, usdtToKesMinor } = require("./money");
+const { EVENT_TYPES, createWebhookEndpoint, emitEvent } = require("./webhooks");
+const { auditContext, recordAudit, formatAuditEntry } = require("./audit");
+const { logger, requestContext } = require("./logger");
+const { countDepositVerifications, renderMetrics } = require("./metrics");
+const { checkReadiness } = require("./health");
+const { loadRates, getRate, requireRate, setManualRate } = require("./rates");
+const {
+  QUOTE_TYPES,
+  QUOTE_MAX_TTL_SECONDS,
+  createQuote,
+  checkQuote,
+  redeemQuote,
+  formatQuote,
+} = require("./quotes");
+const {
+  parseReconciliationPeriod,
+  runReconciliation,
+  formatReport,
+  reportToCsv,
+} = require("./reconciliation");
+const {
+  getTreasuryControls,
+  updateTreasuryControls,
+  allowWithdrawalAddress,
+  enforceTreasuryControls,
+  approveWithdrawal,
+  rejectWithdrawal,
+} = require("./treasury");
+
+/**
+ * Read an optional userId from a request body.
+ * Accepts a non-empty string (max 128 chars) or a positive integer.
+ * @returns {{ userId: string | null, error?: string }}
+ */
+function parseUserId(value) {
+  if (value == null || value === "") return { userId: null };
+  if (Number.isInteger(value) && value > 0) return { userId: String(value) };
+  if (typeof value === "string" && value.trim() && value.trim().length <= 128) {
+    return { userId: value.trim() };
+  }
+  return {
+    userId: null,
+    error: "userId must be a non-empty string (max 128 chars) or a positive integer",
+  };
+}
+
+/**
+ * Respond with the rate in effect for one side, or 503 if the rate feed is stale.
+ * @param {"deposit" | "withdrawal"} type
+ */
+function sendRate(type, res) {
+  const current = getRate(type);
+  if (current.stale) {
+    return res.status(503).json({ error: `The ${type} rate is not available`, ...current });
+  }
+  return res.json(current);
+}
+
+/**
+ * Read a positive rate from a request body.
+ * @returns {{ rate: number | null, error?: string }}
+ */
+function parseRate(value) {
+  const n = Number(value);
+  if (value == null || value === "" || Number.isNaN(n) || n <= 0) {
+    return { rate: null, error: "rate must be a positive number" };
+  }
+  return { rate: n };
+}
+
+// Failure reasons for Binance errors that are not about the request itself.
+const BINANCE_FAILURE_REASONS = {
+  BINANCE_RATE_LIMIT: "binance_rate_limited",
+  BINANCE_AUTH: "binance_auth_error",
+  BINANCE_REGION: "region_restricted",
+};
+
+/**
+ * Response body for a withdrawal that could not be sent to Binance.
+ * @param {any} err
+ */
+function withdrawalFailure(err) {
+  logger.error("Error processing withdrawal", { err });
+
+  if (err instanceof BinanceInsufficientBalanceError) {
+    return {
+      status: "failed",
+      reason: "insufficient_funds",
+      message: err.binanceMessage || "Insufficient funds",
+    };
+  }
+  if (err instanceof BinanceError) {
+    return {
+      status: "failed",
+      reason: BINANCE_FAILURE_REASONS[err.code] || "withdrawal_error",
+      message: err.binanceMessage || err.message,
+      retryAfterMs: err.retryAfterMs || undefined,
+    };
+  }
+
+  return {
+    status: "failed",
+    reason: "withdrawal_error",
+    message: "Failed to process withdrawal",
+    details: process.env.NODE_ENV === "development" ? String(err.message || err) : undefined,
+  };
+}
+
+/**
+ * Response fields for a withdrawal Binance may or may not have accepted (see submitWithdrawal).
+ * Its debit stands until withdraw history settles it.
+ * @param {any} withdrawal
+ */
+function outcomeUnknown(withdrawal) {
+  return {
+    status: "pending",
+    reason: "binance_outcome_unknown",
+    message:
+      `Binance did not confirm the withdrawal (${withdrawal.error}); ` +
+      "its status will be taken from Binance withdraw history",
+  };
+}
+
+/**
+ * Build the Express app with every route. Settings kept in memory (minimum amounts,
+ * rates, fees) are read from the database here, so build the app after choosing it.
+ * @param {object} [dependencies]
+ * @param {import("better-sqlite3").Database} [dependencies.db] - connection from
+ *   openDatabase(), e.g. openDatabase(":memory:"); default SQLITE_DB_PATH
+ * @param {Partial<typeof import("./binanceClient")>} [dependencies.binanceClient] -
+ *   implementation of the binanceClient functions; default ./binanceClient
+ * @returns {import("express").Express}
+ */
+function createApp({ db, binanceClient } = {}) {
+  if (db) useDatabase(db);
+  if (binanceClient) useBinanceClient(binanceClient);
+  loadPlatformFee();
+  loadRates();
+
+  const app = express();
+
+  // Behind a reverse proxy, TRUST_PROXY makes req.ip (kept in the audit log) the client's
+  // address: "true", a number of hops, or addresses/subnets as Express accepts them.
+  const trustProxy = process.env.TRUST_PROXY;
+  if (trustProxy) {
+    app.set(
+      "trust proxy",
+      trustProxy === "true" ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy
+    );
+  }
+
+  app.use(requestContext());
+  app.use(express.json());
+
+  // Admin dashboard (static files; every API call it makes requires an admin API key)
+  app.use("/admin", express.static(path.join(__dirname, "admin")));
+
+  // Load minimum deposit amount from DB if present, otherwise from env/default and persist it.
+  let MIN_DEPOSIT_AMOUNT = (() => {
+    const fromDb = getSetting("MIN_DEPOSIT_AMOUNT");
+    if (fromDb != null) {
+      const n = Number(fromDb);
+      if (!Number.isNaN(n) && n >= 0) return n;
+    }
+    const fromEnv = Number(process.env.MIN_DEPOSIT_AMOUNT || "0");
+    const initial = !Number.isNaN(fromEnv) && fromEnv >= 0 ? fromEnv : 0;
+    setSetting("MIN_DEPOSIT_AMOUNT", initial);
+    return initial;
+  })();
+
+  // Load minimum withdrawal amount from DB if present, otherwise from env/default and persist it.
+  let MIN_WITHDRAWAL_AMOUNT = (() => {
+    const fromDb = getSetting("MIN_WITHDRAWAL_AMOUNT");
+    if (fromDb != null) {
+      const n = Number(fromDb);
+      if (!Number.isNaN(n) && n > 0) return n;
+    }
+    const fromEnv = Number(process.env.MIN_WITHDRAWAL_AMOUNT || "10");
+    const initial = !Number.isNaN(fromEnv) && fromEnv > 0 ? fromEnv : 10;
+    setSetting("MIN_WITHDRAWAL_AMOUNT", initial);
+    return initial;
+  })();
+
+  /**
+   * Health check
+   */
+  app.get("/api/health", (_req, res) => {
+    res.json({ ok: true });
+  });
+
+  /**
+   * GET /api/health/live
+   * The process is up and serving requests. No dependencies are checked.
+   */
+  app.get("/api/health/live", (_req, res) => {
+    res.json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+  });
+
+  /**
+   * GET /api/health/ready
+   * 200 when every readiness check passes, 503 otherwise, with the result of each check.
+   * Without a valid API key each check is only { ok }: why it failed stays with key holders.
+   */
+  app.get("/api/health/ready", optionalApiKey(), async (req, res) => {
+    const { ready, checks } = await checkReadiness();
+    const shown = req.apiKey
+      ? checks
+      : Object.fromEntries(Object.entries(checks).map(([name, check]) => [name, { ok: check.ok }]));
+    res.status(ready ? 200 : 503).json({ status: ready ? "ready" : "not_ready", checks: shown });
+  });
+
+  /**
+   * GET /metrics
+   * Counters and gauges in the Prometheus text format. Scrape it with a read_only API key
+   * sent as a bearer token.
+   */
+  app.get("/metrics", requireRole("read_only"), async (_req, res) => {
+    try {
+      res.type("text/plain; version=0.0.4").send(await renderMetrics());
+    } catch (err) {
+      logger.error("Error rendering metrics", { err });
+      res.status(500).json({ error: "Failed to render metrics" });
+    }
+  });
+
+  /**
+   * GET /api/rate
+   * Returns the KES per USDT rate for deposits: { rate, source, updatedAt, expiresAt, stale }.
+   * 503 if it comes from the rate feed and is older than RATE_MAX_AGE_SECONDS.
+   */
+  app.get("/api/rate", requireRole("read_only"), (_req, res) => sendRate("deposit", res));
+
+  /**
+   * POST /api/rate
+   * Body: { rate: number }
+   * Sets the deposit rate and persists it. With a rate feed configured, the rate
+   * overrides the feed until it expires (RATE_OVERRIDE_TTL_MINUTES).
+   */
+  app.post("/api/rate", requireRole("admin"), (req, res) => {
+    const { rate, error } = parseRate((req.body || {}).rate);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    return res.json(setManualRate("deposit", rate, auditContext(req)));
+  });
+
+  /**
+   * GET /api/rate/withdrawal
+   * Returns the KES per USDT rate used for withdrawals, in the same shape as GET /api/rate.
+   */
+  app.get("/api/rate/withdrawal", requireRole("read_only"), (_req, res) =>
+    sendRate("withdrawal", res)
+  );
+
+  /**
+   * POST /api/rate/withdrawal
+   * Body: { rate: number }
+   * Sets the withdrawal rate, with the same override rules as POST /api/rate.
+   */
+  app.post("/api/rate/withdrawal", requireRole("admin"), (req, res) => {
+    const { rate, error } = parseRate((req.body || {}).rate);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    return res.json(setManualRate("withdrawal", rate, auditContext(req)));
+  });
+
+  /**
+   * GET /api/rate/history
+   * Query: { type?: "deposit" | "withdrawal", page?: number, limit?: number }
+   * Lists changes of the rates in effect, newest first, with the old and new rate,
+   * source ("manual", "feed" or "override_expired"), actor ("api_key:<id>",
+   * "rate_feed:<provider>" or "system") and time.
+   */
+  app.get("/api/rate/history", requireRole("read_only"), (req, res) => {
+    const page = Number(req.query.page || 1);
+    const limit = Number(req.query.limit || 20);
+    if (!Number.isInteger(page) || page < 1) {
+      return res.status(400).json({ error: "page must be a positive integer" });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: "limit must be an integer between 1 and 100" });
+    }
+    const { type } = req.query;
+    if (type != null && !QUOTE_TYPES.includes(type)) {
+      return res.status(400).json({ error: "type must be 'deposit' or 'withdrawal'" });
+    }
+
+    const { rows, total } = listRateHistory({ type, limit, offset: (page - 1) * limit });
+    return res.json({ page, limit, total, history: rows });
+  });
+
+  /**
+   * POST /api/quote
+   * Body: { type: "deposit" | "withdrawal", amount?: number, userId?: string, ttlSeconds?: number }
+   * Locks the current rate for ttlSeconds (default QUOTE_TTL_SECONDS) and returns a quoteId.
+   * Passing it as quoteId to POST /api/deposit/txid or POST /api/withdraw converts at the
+   * locked rate. With amount (USDT) or userId, the quote is only valid for that amount or user.
+   * 503 if the rate is stale.
+   */
+  app.post("/api/quote", requireRole("deposit_verifier"), (req, res) => {
+    const { type, amount, ttlSeconds } = req.body || {};
+    if (!QUOTE_TYPES.includes(type)) {
+      return res.status(400).json({ error: "type must be 'deposit' or 'withdrawal'" });
+    }
+
+    const { userId, error: userIdError } = parseUserId((req.body || {}).userId);
+    if (userIdError) {
+      return res.status(400).json({ error: userIdError });
+    }
+
+    let quotedAmount = null;
+    if (amount != null) {
+      quotedAmount = Number(amount);
+      if (Number.isNaN(quotedAmount) || quotedAmount <= 0) {
+        return res.status(400).json({ error: "amount must be a positive number (in USDT)" });
+      }
+    }
+
+    if (
+      ttlSeconds != null &&
+      (!Number.isInteger(ttlSeconds) || ttlSeconds < 1 || ttlSeconds > QUOTE_MAX_TTL_SECONDS)
+    ) {
+      return res
+        .status(400)
+        .json({ error: `ttlSeconds must be an integer between 1 and ${QUOTE_MAX_TTL_SECONDS}` });
+    }
+
+    try {
+      const quote = createQuote({
+        type,
+        amount: quotedAmount,
+        userId,
+        ttlSeconds,
+        createdBy: `api_key:${req.apiKey.id}`,
+      });
+      return res.status(201).json(formatQuote(quote));
+    } catch (err) {
+      if (err.code === "RATE_UNAVAILABLE") {
+        return res.status(503).json({ error: err.message, ...err.rate });
+      }
+      logger.error("Error creating quote", { err });
+      return res.status(500).json({ error: "Failed to create quote" });
+    }
+  });
+
+  /**
+   * GET /api/min-deposit
+   * Returns the current minimum deposit amount (USDT).
+   */
+  app.get("/api/min-deposit", requireRole("read_only"), (_req, res) => {
+    res.json({ minDepositAmount: MIN_DEPOSIT_AMOUNT });
+  });
+
+  /**
+   * POST /api/min-deposit
+   * Body: { minDepositAmount: number }
+   * Updates the minimum deposit amount and persists it.
+   */
+  app.post("/api/min-deposit", requireRole("admin"), (req, res) => {
+    const { minDepositAmount } = req.body || {};
+    const n = Number(minDepositAmount);
+    if (minDepositAmount == null || Number.isNaN(n) || n < 0) {
+      return res.status(400).json({ error: "minDepositAmount must be a non-negative number" });
+    }
+
+    transaction(() => {
+      setSetting("MIN_DEPOSIT_AMOUNT", n);
+      recordAudit({
+        ...auditContext(req),
+        action: "setting.update",
+        target: "MIN_DEPOSIT_AMOUNT",
+        before: MIN_DEPOSIT_AMOUNT,
+        after: n,
+      });
+    });
+    MIN_DEPOSIT_AMOUNT = n;
+
+    return res.json({ minDepositAmount: MIN_DEPOSIT_AMOUNT });
+  });
+
+  /**
+   * GET /api/min-withdrawal
+   * Returns the current minimum withdrawal amount (USDT).
+   */
+  app.get("/api/min-withdrawal", requireRole("read_only"), (_req, res) => {
+    res.json({ minWithdrawalAmount: MIN_WITHDRAWAL_AMOUNT });
+  });
+
+  /**
+   * POST /api/min-withdrawal
+   * Body: { minWithdrawalAmount: number }
+   * Updates the minimum withdrawal amount and persists it.
+   */
+  app.post("/api/min-withdrawal", requireRole("admin"), (req, res) => {
+    const { minWithdrawalAmount } = req.body || {};
+    const n = Number(minWithdrawalAmount);
+    if (minWithdrawalAmount == null || Number.isNaN(n) || n <= 0) {
+      return res.status(400).json({ error: "minWithdrawalAmount must be a positive number" });
+    }
+
+    transaction(() => {
+      setSetting("MIN_WITHDRAWAL_AMOUNT", n);
+      recordAudit({
+        ...auditContext(req),
+        action: "setting.update",
+        target: "MIN_WITHDRAWAL_AMOUNT",
+        before: MIN_WITHDRAWAL_AMOUNT,
+        after: n,
+      });
+    });
+    MIN_WITHDRAWAL_AMOUNT = n;
+
+    return res.json({ minWithdrawalAmount: MIN_WITHDRAWAL_AMOUNT });
+  });
+
+  /**
+   * GET /api/withdrawal-fee
+   * Returns the platform fee on withdrawals from user accounts: feePercent of the amount
+   * received plus feeFixed USDT.
+   */
+  app.get("/api/withdrawal-fee", requireRole("read_only"), (_req, res) => {
+    res.json(getPlatformFee());
+  });
+
+  /**
+   * POST /api/withdrawal-fee
+   * Body: { feePercent?: number, feeFixed?: number }
+   * Updates the platform fee and persists it.
+   */
+  app.post("/api/withdrawal-fee", requireRole("admin"), (req, res) => {
+    const { fee, error } = setPlatformFee(req.body, auditContext(req));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    return res.json(fee);
+  });
+
+  /**
+   * POST /api/deposit/txid
+   * Body: { txId: string, userId?: string, quoteId?: string }
+   * Verifies the TxID with Binance, awards KES, and stores it so the TxID cannot be used again.
+   * When userId is given, the KES reward is credited to that account in the same transaction.
+   * If the deposit exists but is still pending on Binance, status "pending" is returned and the
+   * claim is re-checked in the background and credited once it confirms.
+   * Minimum deposit amount is enforced server-side (configured via MIN_DEPOSIT_AMOUNT setting).
+   * With a quoteId from POST /api/quote, the deposit is credited at the quoted rate, even if it
+   * confirms after the quote expired; the quote must still be valid when the TxID is submitted.
+   * A deposit the poller credited without a user is credited to the first userId that claims it
+   * (without a quoteId); otherwise an already credited TxID fails with reason "already_used".
+   */
+  app.post("/api/deposit/txid", requireRole("deposit_verifier"), countDepositVerifications(), async (req, res) => {
+    const { txId } = req.body || {};
+
+    if (!txId || typeof txId !== "string") {
+      return res.status(400).json({ error: "txId is required" });
+    }
+
+    const { userId, error: userIdError } = parseUserId((req.body || {}).userId);
+    if (userIdError) {
+      return res.status(400).json({ error: userIdError });
+    }
+
+    const { quoteId } = req.body || {};
+    if (quoteId != null && typeof quoteId !== "string") {
+      return res.status(400).json({ error: "quoteId must be a string" });
+    }
+
+    const txIdTrimmed = txId.trim();
+    if (!txIdTrimmed) {
+      return res.status(400).json({ error: "txId is required" });
+    }
+
+    const normalizedTxId = normalizeTxId(txIdTrimmed);
+
+    // Reject if this TxID was already processed (persists across restarts)
+    const existing = findProcessed(txIdTrimmed);
+    if (existing) {
+      // The poller credits deposits before anyone claims them; the first user to claim one gets it.
+      const assigned =
+        userId && !quoteId
+          ? assignDeposit({ txId: txIdTrimmed, userId, audit: auditContext(req) })
+          : null;
+      if (assigned) {
+        return res.json({
+          status: "complete",
+          confirmedAmount: assigned.amount,
+          confirmedAt: assigned.confirmedAt,
+          rewardKes: assigned.rewardKes,
+          rate: assigned.rate,
+          quoteId: assigned.quoteId,
+          userId: assigned.userId,
+          balanceKes: assigned.balanceKes,
+        });
+      }
+      return res.json({
+        status: "failed",
+        reason: "already_used",
+        message: "Transaction ID already used",
+        confirmedAmount: existing.amount,
+        rewardKes: existing.rewardKes,
+        confirmedAt: existing.confirmedAt,
+      });
+    }
+
+    try {
+      if (quoteId) {
+        checkQuote(quoteId, { type: "deposit", userId });
+      }
+
+      // Search for both normalized and original versions in Binance deposit history
+      const { deposit } = await lookupDeposit(txIdTrimmed);
+      const binanceStatus = deposit ? Number(deposit.status) : null;
+
+      // Known but not confirmed yet: save a claim that is credited in the background once it confirms
+      if (IN_FLIGHT_DEPOSIT_STATUSES.includes(binanceStatus)) {
+        const existingClaim = getPendingDeposit(normalizedTxId);
+        if (existingClaim && existingClaim.userId && userId && existingClaim.userId !== userId) {
+          return res.json({
+            status: "failed",
+            reason: "already_claimed",
+            message: "Transaction ID is already claimed by another user and awaiting confirmation",
+          });
+        }
+        const claimAmount = Number(deposit.amount || 0);
+        const claim = transaction(() => {
+          // A claim keeps the first quote it was submitted with.
+          const quote =
+            quoteId && !(existingClaim && existingClaim.quoteId)
+              ? redeemQuote(quoteId, {
+                  type: "deposit",
+                  userId,
+                  amount: claimAmount,
+                  usedBy: normalizedTxId,
+                })
+              : null;
+          return upsertPendingDeposit({
+            txId: normalizedTxId,
+            submittedTxId: txIdTrimmed,
+            userId: (existingClaim && existingClaim.userId) || userId,
+            binanceStatus,
+            amount: claimAmount,
+            quoteId: quote && quote.id,
+          });
+        });
+        return res.json({
+          status: "pending",
+          reason: "awaiting_confirmation",
+          message: "Deposit found but not confirmed yet. It will be credited automatically once confirmed.",
+          binanceStatus,
+          amount: claim.amount,
+          userId: claim.userId,
+          quoteId: claim.quoteId,
+          claimId: claim.id,
+        });
+      }
+
+      const match = binanceStatus === 1 ? deposit : null;
+
+      if (!match) {
+        return res.json({
+          status: "failed",
+          reason: "not_found",
+          message: "Transaction not found or does not exist",
+        });
+      }
+
+      const confirmedAmount = Number(match.amount || 0);
+      if (MIN_DEPOSIT_AMOUNT > 0 && confirmedAmount < MIN_DEPOSIT_AMOUNT) {
+        emitEvent("deposit.rejected", {
+          txId: normalizedTxId,
+          reason: "amount_too_low",
+          confirmedAmount,
+          minDepositAmount: MIN_DEPOSIT_AMOUNT,
+        });
+        return res.json({
+          status: "failed",
+          reason: "amount_too_low",
+          message: `Deposit amount ${confirmedAmount} USDT is below minimum ${MIN_DEPOSIT_AMOUNT} USDT`,
+          minDepositAmount: MIN_DEPOSIT_AMOUNT,
+          confirmedAmount,
+        });
+      }
+
+      const credited = transaction(() => {
+        const quote = quoteId
+          ? redeemQuote(quoteId, {
+              type: "deposit",
+              userId,
+              amount: confirmedAmount,
+              usedBy: normalizedTxId,
+            })
+          : null;
+        return creditDeposit({
+          txId: txIdTrimmed,
+          deposit: match,
+          rate: quote ? null : requireRate("deposit"),
+          userId,
+          quote,
+          source: "txid",
+          audit: auditContext(req),
+        });
+      });
+      const { rewardKes, confirmedAt } = credited;
+      emitEvent("deposit.credited", { ...credited, network: match.network, source: "txid" });
+
+      return res.json({
+        status: "complete",
+        confirmedAmount,
+        confirmedAt,
+        rewardKes,
+        rate: credited.rate,
+        quoteId: credited.quoteId,
+        userId: credited.userId,
+        balanceKes: credited.balanceKes,
+      });
+    } catch (err) {
+      logger.error("Error verifying txId", { err });
+      if (err.code === "RATE_UNAVAILABLE") {
+        return res.json({
+          status: "failed",
+          reason: "rate_unavailable",
+          message: `${err.message}. The TxID was not used; retry once the rate is available.`,
+        });
+      }
+      if (err.code === "QUOTE_INVALID") {
+        return res.json({
+          status: "failed",
+          reason: err.reason,
+          message: `${err.message}. The TxID was not used.`,
+          quoteId,
+        });
+      }
+      if (err instanceof BinanceRegionError) {
+        return res.json({
+          status: "failed",
+          reason: "region_restricted",
+          message: "Binance API is not available in this region. Access may be restricted by jurisdiction.",
+          binanceMessage: err.binanceMessage,
+        });
+      }
+      if (err instanceof BinanceError && BINANCE_FAILURE_REASONS[err.code]) {
+        return res.json({
+          status: "failed",
+          reason: BINANCE_FAILURE_REASONS[err.code],
+          message: `${err.message}. The TxID was not used.`,
+          retryAfterMs: err.retryAfterMs || undefined,
+        });
+      }
+      return res.json({
+        status: "failed",
+        reason: "verification_error",
+        message: err.binanceMessage || "Failed to verify transaction with Binance",
+        details:
+          process.env.NODE_ENV === "development" ? String(err.message || err) : undefined,
+      });
+    }
+  });
+
+  /**
+   * GET /api/auth/me
+   * Returns the API key making the request (id, name, role). Used by the admin dashboard to sign in.
+   */
+  app.get("/api/auth/me", requireRole("read_only"), (req, res) => {
+    res.json(req.apiKey);
+  });
+
+  /**
+   * GET /api/balance
+   * Returns the live free USDT balance of the Binance spot wallet.
+   */
+  app.get("/api/balance", requireRole("read_only"), async (_req, res) => {
+    try {
+      const balance = await binance().getUSDTBalance();
+      return res.json({ asset: "USDT", balance });
+    } catch (err) {
+      logger.error("Error fetching balance", { err });
+      return res.status(502).json({ error: err.binanceMessage || "Failed to fetch balance" });
+    }
+  });
+
+  /**
+   * GET /api/networks
+   * Query: { refresh?: "true" }
+   * USDT networks from Binance's coin config (cached): whether withdrawals are enabled,
+   * withdrawFee, withdrawMin/withdrawMax and whether a memo is required.
+   */
+  app.get("/api/networks", requireRole("read_only"), async (req, res) => {
+    try {
+      const { networks, updatedAt } = await getNetworks({ refresh: req.query.refresh === "true" });
+      return res.json({ asset: "USDT", updatedAt, networks });
+    } catch (err) {
+      logger.error("Error loading network config", { err });
+      return res.status(502).json({ error: "Could not load the USDT network config from Binance" });
+    }
+  });
+
+  /**
+   * GET /api/address/validate?address=&network=
+   * Checks a withdrawal address, including its checksum where the network has one, and
+   * otherwise against Binance's address pattern for the network.
+   * network is optional; without it TRC20 and Solana addresses are detected.
+   */
+  app.get("/api/address/validate", requireRole("read_only"), async (req, res) => {
+    const address = typeof req.query.address === "string" ? req.query.address.trim() : "";
+    if (!address) {
+      return res.status(400).json({ error: "address is required" });
+    }
+    const network = typeof req.query.network === "string" ? req.query.network.trim() : "";
+
+    let result;
+    try {
+      result = await validateNetworkAddress(address, network || undefined);
+    } catch (err) {
+      logger.error("Error loading network config", { err });
+      return res.status(502).json({ error: "Could not load the USDT network config from Binance" });
+    }
+    const { valid, reason, message, network: detected } = result;
+    if (reason === "unsupported_network") {
+      return res.status(400).json({ error: message, reason });
+    }
+    return res.json({ address, network: detected, valid, reason, message });
+  });
+
+  /**
+   * GET /api/deposits
+   * Query: { search?: string, page?: number, limit?: number }
+   * Lists processed deposits newest first. search matches part of a TxID or userId.
+   */
+  app.get("/api/deposits", requireRole("read_only"), (req, res) => {
+    const page = Number(req.query.page || 1);
+    const limit = Number(req.query.limit || 20);
+    if (!Number.isInteger(page) || page < 1) {
+      return res.status(400).json({ error: "page must be a positive integer" });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: "limit must be an integer between 1 and 100" });
+    }
+    const search = typeof req.query.search === "string" ? req.query.search.trim() : "";
+
+    const { rows, total } = listProcessedTransactions({
+      search: search || undefined,
+      limit,
+      offset: (page - 1) * limit,
+    });
+    return res.json({ page, limit, total, deposits: rows });
+  });
+
+  /**
+   * GET /api/deposits/lookup
+   * Query: { txId: string }
+   * Looks a TxID up in Binance deposit history (same search as POST /api/deposit/txid,
+   * without crediting anything) and reports whether it was already processed.
+   */
+  app.get("/api/deposits/lookup", requireRole("read_only"), async (req, res) => {
+    const txId = typeof req.query.txId === "string" ? req.query.txId.trim() : "";
+    if (!txId) {
+      return res.status(400).json({ error: "txId is required" });
+    }
+
+    const processed = findProcessed(txId);
+    try {
+      const { deposit, source, windowsFetched } = await lookupDeposit(txId);
+      return res.json({
+        txId: normalizeTxId(txId),
+        found: Boolean(deposit),
+        deposit: deposit
+          ? {
+              txId: deposit.txId,
+              amount: Number(deposit.amount || 0),
+              status: Number(deposit.status),
+              network: deposit.network,
+              insertTime: deposit.insertTime,
+            }
+          : null,
+        source,
+        windowsFetched,
+        processed: processed || null,
+        pendingClaim: getPendingDeposit(normalizeTxId(txId)),
+      });
+    } catch (err) {
+      logger.error("Error looking up deposit", { err });
+      return res.status(502).json({ error: err.binanceMessage || "Failed to look up deposit" });
+    }
+  });
+
+  /**
+   * POST /api/withdraw
+   * Body: { address: string, amount?: number, amountMode?: "gross" | "net", network?: string,
+   *   memo?: string, userId?: string, quoteId?: string, clientRequestId?: string }
+   * Withdraws USDT to the provided address (supports TRC20 and Solana).
+   * - address: Address (TRC20 or Solana) (required)
+   * - amount: Amount in USDT (optional, if not provided withdraws all available USDT, fees included)
+   * - amountMode: "net" (default with an amount): amount is what the recipient receives, and
+   *   Binance's network fee and the platform fee are charged on top. "gross": amount is the
+   *   total charged, and the fees come out of it.
+   * - network: Binance network code from GET /api/networks, e.g. "TRX", "BSC" (optional;
+   *   TRC20 and Solana are detected from the address). Withdrawals must be enabled on it.
+   *   The address is checked against it, including the TRON checksum.
+   * - memo: Memo / tag (required on networks that need one, e.g. TON)
+   * The response reports grossAmount (charged, and converted to amountKes), netAmount (received),
+   * withdrawFee (Binance's network fee), platformFee (user withdrawals only) and withdrawMin.
+   * - userId: Account to debit amount * the withdrawal rate from (optional). The debit is
+   *   rejected if it would overdraw the account, and reversed if the withdrawal fails.
+   * - quoteId: Withdrawal quote from POST /api/quote (optional). Converts at the quoted rate;
+   *   the quote is used up even if Binance then rejects the withdrawal. A quoted amount is
+   *   withdrawn in gross mode, so the account is debited the quote's amountKes.
+   * - clientRequestId: Idempotency key (optional, same as the Idempotency-Key header).
+   *   Retries with the same key return the first response and never withdraw twice.
+   * Requires the admin role.
+   */
+  app.post("/api/withdraw", requireRole("admin"), idempotent("POST /api/withdraw"), async (req, res) => {
+    const { address, amount, network } = req.body || {};
+
+    if (!address || typeof address !== "string") {
+      return res.status(400).json({ error: "address is required" });
+    }
+
+    const { userId, error: userIdError } = parseUserId((req.body || {}).userId);
+    if (userIdError) {
+      return res.status(400).json({ error: userIdError });
+    }
+
+    const addressTrimmed = address.trim();
+    if (!addressTrimmed) {
+      return res.status(400).json({ error: "address is required" });
+    }
+
+    if (network != null && typeof network !== "string") {
+      return res.status(400).json({ error: "network must be a string" });
+    }
+
+    // Detect network if not provided, and check it against Binance's USDT network config.
+    // The address is decoded and its checksum checked where the network has one,
+    // so a mistyped address is never sent to Binance.
+    let destination;
+    try {
+      destination = await resolveWithdrawalNetwork({
+        address: addressTrimmed,
+        network: network || undefined,
+        memo: (req.body || {}).memo,
+      });
+    } catch (err) {
+      logger.error("Error loading network config", { err });
+      return res.json({
+        status: "failed",
+        reason: "network_config_unavailable",
+        message: "Could not load the USDT network config from Binance",
+      });
+    }
+    if (!destination.network) {
+      return res.status(400).json({ error: destination.error, reason: destination.reason });
+    }
+    const networkConfig = destination.network;
+    const detectedNetwork = networkConfig.network;
+    const { memo } = destination;
+
+    // Validate amount if provided (amount is in USDT)
+    let withdrawalAmount = null;
+    if (amount != null) {
+      withdrawalAmount = Number(amount);
+      if (Number.isNaN(withdrawalAmount) || withdrawalAmount <= 0) {
+        return res.status(400).json({ error: "amount must be a positive number (in USDT)" });
+      }
+    }
+
+    const requestedMode = (req.body || {}).amountMode;
+    if (requestedMode != null && !AMOUNT_MODES.includes(requestedMode)) {
+      return res.status(400).json({ error: `amountMode must be one of: ${AMOUNT_MODES.join(", ")}` });
+    }
+    if (requestedMode === "net" && withdrawalAmount === null) {
+      return res.status(400).json({ error: 'amount is required when amountMode is "net"' });
+    }
+
+    const { quoteId } = req.body || {};
+    if (quoteId != null && typeof quoteId !== "string") {
+      return res.status(400).json({ error: "quoteId must be a string" });
+    }
+
+    let withdrawalRate;
+    let quote = null;
+    try {
+      if (quoteId) {
+        quote = checkQuote(quoteId, {
+          type: "withdrawal",
+          userId,
+          amount: withdrawalAmount == null ? undefined : withdrawalAmount,
+        });
+        withdrawalRate = quote.rate;
+      } else {
+        withdrawalRate = requireRate("withdrawal");
+      }
+    } catch (err) {
+      if (err.code === "QUOTE_INVALID") {
+        return res.json({ status: "failed", reason: err.reason, message: err.message, quoteId });
+      }
+      if (err.code === "RATE_UNAVAILABLE") {
+        return res.json({
+          status: "failed",
+          reason: "rate_unavailable",
+          message: err.message,
+        });
+      }
+      logger.error("Error reading the withdrawal rate", { err });
+      return res.status(500).json({ error: "Failed to read the withdrawal rate" });
+    }
+
+    // A quoted amount is the gross amount, fees included, so the account is debited exactly
+    // the quote's amountKes; it cannot be withdrawn in net mode.
+    const quotedAmount = quote && quote.amount != null;
+    if (quotedAmount && requestedMode === "net") {
+      return res.json({
+        status: "failed",
+        reason: "quote_amount_mode_mismatch",
+        message: `Quote ${quoteId} is for a gross amount of ${quote.amount} USDT, fees included`,
+        quoteId,
+      });
+    }
+    if (quotedAmount) withdrawalAmount = quote.amount;
+
+    // "net": amount is what arrives; "gross": amount is the total charged, fees included.
+    // Without an amount the whole free balance is withdrawn, fees included.
+    const amountMode = requestedMode || (withdrawalAmount === null || quotedAmount ? "gross" : "net");
+
+    let withdrawal = null;
+    try {
+      // Get USDT balance
+      const availableAmount = await binance().getUSDTBalance();
+
+      if (availableAmount <= 0) {
+        return res.json({
+          status: "failed",
+          reason: "insufficient_funds",
+          message: "Insufficient USDT balance",
+          availableAmount: 0,
+          availableAmountUnit: "USDT",
+        });
+      }
+
+      // Use provided amount or all available balance, and work out the fees
+      const requestedAmount = withdrawalAmount !== null ? withdrawalAmount : availableAmount;
+      const split = splitWithdrawalAmount({
+        amountUsdt: toMinor(requestedAmount, "USDT"),
+        amountMode,
+        networkFeeUsdt: toMinor(networkConfig.withdrawFee, "USDT"),
+        chargePlatformFee: Boolean(userId),
+      });
+      if (!split) {
+        return res.json({
+          status: "failed",
+          reason: "amount_below_fees",
+          message: `Withdrawal amount ${requestedAmount} USDT does not cover the fees`,
+          requestedAmount,
+          withdrawFee: networkConfig.withdrawFee,
+          ...(userId ? getPlatformFee() : {}),
+          amountUnit: "USDT",
+        });
+      }
+      const fees = {
+        amountMode,
+        ...formatSplit(split),
+        withdrawMin: networkConfig.withdrawMin,
+      };
+      // Amount that arrives; Binance is sent it plus the network fee, which it takes out
+      const finalAmount = fees.netAmount;
+
+      // Check minimum withdrawal amount
+      if (finalAmount < MIN_WITHDRAWAL_AMOUNT) {
+        return res.json({
+          status: "failed",
+          reason: "amount_below_minimum",
+          message: `Withdrawal amount ${finalAmount} USDT is below minimum ${MIN_WITHDRAWAL_AMOUNT} USDT`,
+          requestedAmount: finalAmount,
+          minWithdrawalAmount: MIN_WITHDRAWAL_AMOUNT,
+          amountUnit: "USDT",
+          ...fees,
+        });
+      }
+
+      // Binance's limits for the network
+      if (split.netUsdt < toMinor(networkConfig.withdrawMin, "USDT")) {
+        return res.json({
+          status: "failed",
+          reason: "amount_below_network_minimum",
+          message:
+            `Withdrawal amount ${finalAmount} USDT is below the ${detectedNetwork} minimum of ` +
+            `${networkConfig.withdrawMin} USDT`,
+          requestedAmount: finalAmount,
+          network: detectedNetwork,
+          amountUnit: "USDT",
+          ...fees,
+        });
+      }
+      if (
+        networkConfig.withdrawMax > 0 &&
+        split.netUsdt > toMinor(networkConfig.withdrawMax, "USDT")
+      ) {
+        return res.json({
+          status: "failed",
+          reason: "amount_above_network_maximum",
+          message:
+            `Withdrawal amount ${finalAmount} USDT is above the ${detectedNetwork} maximum of ` +
+            `${networkConfig.withdrawMax} USDT`,
+          requestedAmount: finalAmount,
+          network: detectedNetwork,
+          withdrawMax: networkConfig.withdrawMax,
+          amountUnit: "USDT",
+          ...fees,
+        });
+      }
+
+      // Check if the amount sent to Binance, its fee included, exceeds available balance
+      const outgoingAmount = fromMinor(split.netUsdt + split.networkFeeUsdt, "USDT");
+      if (outgoingAmount > availableAmount) {
+        return res.json({
+          status: "failed",
+          reason: "insufficient_funds",
+          message:
+            `Withdrawal of ${finalAmount} USDT plus ${fees.withdrawFee} USDT network fee ` +
+            `exceeds available balance ${availableAmount} USDT`,
+          requestedAmount: outgoingAmount,
+          requestedAmountUnit: "USDT",
+          availableAmount,
+          availableAmountUnit: "USDT",
+          ...fees,
+        });
+      }
+
+      // Record the request before calling Binance so failed attempts are kept too,
+      // and debit the account in the same transaction, so the balance cannot be spent twice
+      const amountKesMinor = usdtToKesMinor(split.grossUsdt, withdrawalRate);
+      const amountKes = fromMinor(amountKesMinor, "KES");
+      try {
+        withdrawal = transaction(() => {
+          const { requiresApproval } = enforceTreasuryControls({
+            address: addressTrimmed,
+            network: detectedNetwork,
+            amount: finalAmount,
+          });
+          const created = insertWithdrawal({
+            address: addressTrimmed,
+            network: detectedNetwork,
+            memo,
+            asset: "USDT",
+            amount: finalAmount,
+            amountMode,
+            networkFee: fees.withdrawFee,
+            platformFee: fees.platformFee,
+            rate: withdrawalRate,
+            amountKes,
+            status: requiresApproval ? "awaiting_approval" : "pending",
+            userId,
+            quoteId,
+          });
+          if (quoteId) {
+            redeemQuote(quoteId, {
+              type: "withdrawal",
+              userId,
+              amount: requestedAmount,
+              usedBy: `withdrawal:${created.id}`,
+            });
+          }
+          postWithdrawal({
+            withdrawalId: created.id,
+            amountUsdt: split.netUsdt,
+            networkFeeUsdt: split.networkFeeUsdt,
+            platformFeeUsdt: split.platformFeeUsdt,
+            amountKes: amountKesMinor,
+            userId,
+          });
+          if (userId) {
+            applyAccountEntry({
+              userId,
+              type: "withdrawal",
+              amountKes: -amountKes,
+              reference: `withdrawal:${created.id}`,
+            });
+          }
+          recordAudit({
+            ...auditContext(req),
+            action: "withdrawal.create",
+            target: `withdrawal:${created.id}`,
+            after: {
+              status: created.status,
+              address: created.address,
+              network: created.network,
+              amount: created.amount,
+              amountKes,
+              userId,
+            },
+          });
+          return created;
+        });
+      } catch (err) {
+        if (err.code === "QUOTE_INVALID") {
+          return res.json({ status: "failed", reason: err.reason, message: err.message, quoteId });
+        }
+        if (err.code === "TREASURY_LIMIT") {
+          return res.json({
+            status: "failed",
+            reason: err.reason,
+            message: err.message,
+            ...err.details,
+          });
+        }
+        if (err.code !== "INSUFFICIENT_BALANCE") throw err;
+        return res.json({
+          status: "failed",
+          reason: "insufficient_balance",
+          message: `Withdrawal of ${amountKes} KES exceeds account balance ${err.balanceKes} KES`,
+          userId,
+          balanceKes: err.balanceKes,
+          requestedAmountKes: amountKes,
+        });
+      }
+      // Recorded and debited: from here on a retry with the same key is replayed.
+      markApplied(res);
+
+      if (withdrawal.status === "awaiting_approval") {
+        emitEvent("withdrawal.awaiting_approval", withdrawal);
+        return res.json({
+          status: "awaiting_approval",
+          id: withdrawal.id,
+          amount: finalAmount,
+          amountUnit: "USDT",
+          rate: withdrawalRate,
+          amountKes,
+          quoteId: quoteId || null,
+          address: addressTrimmed,
+          network: detectedNetwork,
+          memo,
+          userId,
+          ...fees,
+          message: "Withdrawal is above the approval threshold and is held for manual approval",
+        });
+      }
+
+      // Attempt withdrawal
+      withdrawal = await submitWithdrawal(withdrawal, auditContext(req));
+      const outcome = withdrawal.binanceId
+        ? { status: "complete", message: "Withdrawal initiated successfully" }
+        : outcomeUnknown(withdrawal);
+
+      return res.json({
+        status: outcome.status,
+        reason: outcome.reason,
+        id: withdrawal.id,
+        withdrawalId: withdrawal.binanceId,
+        amount: finalAmount,
+        amountUnit: "USDT",
+        rate: withdrawalRate,
+        amountKes,
+        quoteId: quoteId || null,
+        address: addressTrimmed,
+        network: detectedNetwork,
+        memo,
+        userId,
+        ...fees,
+        message: outcome.message,
+      });
+    } catch (err) {
+      return res.json(withdrawalFailure(err));
+    }
+  });
+
+  /**
+   * GET /api/withdrawals
+   * Query: { page?: number, limit?: number, status?: string }
+   * Lists recorded withdrawals, newest first. Statuses of in-flight withdrawals
+   * on the page are refreshed from Binance withdraw history.
+   */
+  app.get("/api/withdrawals", requireRole("read_only"), async (req, res) => {
+    const page = Number(req.query.page || 1);
+    const limit = Number(req.query.limit || 20);
+    if (!Number.isInteger(page) || page < 1) {
+      return res.status(400).json({ error: "page must be a positive integer" });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: "limit must be an integer between 1 and 100" });
+    }
+    const status = typeof req.query.status === "string" ? req.query.status : undefined;
+
+    const { rows, total } = listWithdrawals({ limit, offset: (page - 1) * limit, status });
+
+    let withdrawals = rows;
+    try {
+      withdrawals = await refreshWithdrawals(rows);
+    } catch (err) {
+      // Serve the stored statuses if Binance is unreachable.
+      logger.error("Error refreshing withdrawal statuses", { err });
+    }
+
+    return res.json({ page, limit, total, withdrawals });
+  });
+
+  /**
+   * GET /api/withdrawals/:id
+   * Returns one recorded withdrawal, refreshing its status from Binance if still in flight.
+   */
+  app.get("/api/withdrawals/:id", requireRole("read_only"), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id < 1) {
+      return res.status(400).json({ error: "id must be a positive integer" });
+    }
+
+    try {
+      const withdrawal = await getWithdrawalWithStatus(id);
+      if (!withdrawal) {
+        return res.status(404).json({ error: "Withdrawal not found" });
+      }
+      return res.json(withdrawal);
+    } catch (err) {
+      logger.error("Error refreshing withdrawal status", { err });
+      return res.status(502).json({ error: "Failed to refresh withdrawal status from Binance" });
+    }
+  });
+
+  /**
+   * POST /api/withdrawals/:id/approve
+   * Sends a withdrawal held for manual approval to Binance.
+   * 409 if it is not awaiting approval. Requires the admin role.
+   */
+  app.post("/api/withdrawals/:id/approve", requireRole("admin"), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id < 1) {
+      return res.status(400).json({ error: "id must be a positive integer" });
+    }
+
+    const { withdrawal, approved } = transaction(() => {
+      const result = approveWithdrawal(id, `api_key:${req.apiKey.id}`);
+      if (result.approved) {
+        recordAudit({
+          ...auditContext(req),
+          action: "withdrawal.approve",
+          target: `withdrawal:${id}`,
+          before: { status: "awaiting_approval" },
+          after: { status: result.withdrawal.status },
+        });
+      }
+      return result;
+    });
+    if (!withdrawal) {
+      return res.status(404).json({ error: "Withdrawal not found" });
+    }
+    if (!approved) {
+      return res
+        .status(409)
+        .json({ error: `Withdrawal is ${withdrawal.status}, not awaiting approval` });
+    }
+
+    try {
+      const submitted = await submitWithdrawal(withdrawal, auditContext(req));
+      if (!submitted.binanceId) {
+        return res.json({ ...outcomeUnknown(submitted), withdrawal: submitted });
+      }
+      return res.json({ status: "complete", withdrawal: submitted });
+    } catch (err) {
+      return res.json({ ...withdrawalFailure(err), withdrawal: getWithdrawal(id) });
+    }
+  });
+
+  /**
+   * POST /api/withdrawals/:id/reject
+   * Cancels a withdrawal held for manual approval and reverses its debit.
+   * 409 if it is not awaiting approval. Requires the admin role.
+   */
+  app.post("/api/withdrawals/:id/reject", requireRole("admin"), (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id < 1) {
+      return res.status(400).json({ error: "id must be a positive integer" });
+    }
+
+    const { withdrawal, rejected } = transaction(() => {
+      const result = rejectWithdrawal(id, `api_key:${req.apiKey.id}`, auditContext(req));
+      if (result.rejected) {
+        recordAudit({
+          ...auditContext(req),
+          action: "withdrawal.reject",
+          target: `withdrawal:${id}`,
+          before: { status: "awaiting_approval" },
+          after: { status: result.withdrawal.status },
+        });
+      }
+      return result;
+    });
+    if (!withdrawal) {
+      return res.status(404).json({ error: "Withdrawal not found" });
+    }
+    if (!rejected) {
+      return res
+        .status(409)
+        .json({ error: `Withdrawal is ${withdrawal.status}, not awaiting approval` });
+    }
+    emitEvent("withdrawal.failed", withdrawal);
+    return res.json(withdrawal);
+  });
+
+  /**
+   * GET /api/treasury/controls
+   * Returns the withdrawal allowlist switch, limits and approval threshold,
+   * and how much was withdrawn in the last 24 hours.
+   */
+  app.get("/api/treasury/controls", requireRole("admin"), (_req, res) => {
+    res.json({ controls: getTreasuryControls(), withdrawnLast24h: sumWithdrawalsLast24h() });
+  });
+
+  /**
+   * POST /api/treasury/controls
+   * Body: any of { allowlistEnabled, coolingOffHours, maxPerRequest, maxPerAddress24h,
+   *   max24h, approvalThreshold }
+   * Updates the given controls and persists them. Amounts are USDT; 0 means no limit.
+   */
+  app.post("/api/treasury/controls", requireRole("admin"), (req, res) => {
+    const { controls, error } = transaction(() => {
+      const before = getTreasuryControls();
+      const updated = updateTreasuryControls(req.body);
+      if (updated.error) return updated;
+      recordAudit({
+        ...auditContext(req),
+        action: "setting.update",
+        target: "TREASURY_CONTROLS",
+        before,
+        after: updated.controls,
+      });
+      return updated;
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    return res.json({ controls });
+  });
+
+  /**
+   * GET /api/treasury/addresses
+   * Lists allowlisted withdrawal addresses, with the time each becomes usable.
+   */
+  app.get("/api/treasury/addresses", requireRole("admin"), (_req, res) => {
+    res.json({ addresses: listWithdrawalAddresses() });
+  });
+
+  /**
+   * POST /api/treasury/addresses
+   * Body: { address: string, network: string, label?: string }
+   * Adds an address to the withdrawal allowlist. It can be used once the
+   * cooling-off period (coolingOffHours) has passed. network is a code from GET /api/networks.
+   */
+  app.post("/api/treasury/addresses", requireRole("admin"), async (req, res) => {
+    const { address, network, label } = req.body || {};
+    if (!network || typeof network !== "string") {
+      return res.status(400).json({ error: "network is required" });
+    }
+    const addressTrimmed = typeof address === "string" ? address.trim() : "";
+    let validation;
+    try {
+      validation = await validateNetworkAddress(addressTrimmed, network);
+    } catch (err) {
+      logger.error("Error loading network config", { err });
+      return res.status(502).json({ error: "Could not load the USDT network config from Binance" });
+    }
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.message, reason: validation.reason });
+    }
+    if (label != null && (typeof label !== "string" || label.length > 100)) {
+      return res.status(400).json({ error: "label must be a string of at most 100 characters" });
+    }
+
+    const allowed = transaction(() => {
+      const added = allowWithdrawalAddress({
+        address: addressTrimmed,
+        network,
+        label,
+        createdBy: `api_key:${req.apiKey.id}`,
+      });
+      recordAudit({
+        ...auditContext(req),
+        action: "treasury_address.add",
+        target: `withdrawal_address:${added.id}`,
+        after: added,
+      });
+      return added;
+    });
+    return res.status(201).json(allowed);
+  });
+
+  /**
+   * DELETE /api/treasury/addresses/:id
+   * Removes an address from the withdrawal allowlist.
+   */
+  app.delete("/api/treasury/addresses/:id", requireRole("admin"), (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id < 1) {
+      return res.status(400).json({ error: "id must be a positive integer" });
+    }
+    const removed = transaction(() => {
+      const row = removeWithdrawalAddress(id);
+      if (row) {
+        recordAudit({
+          ...auditContext(req),
+          action: "treasury_address.remove",
+          target: `withdrawal_address:${id}`,
+          after: row,
+        });
+      }
+      return row;
+    });
+    if (!removed) {
+      return res.status(404).json({ error: "Address not found" });
+    }
+    return res.json(removed);
+  });
+
+  /**
+   * GET /api/accounts/:userId
+   * Returns an account's KES balance.
+   */
+  app.get("/api/accounts/:userId", requireRole("read_only"), (req, res) => {
+    const account = getAccount(req.params.userId);
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+    return res.json(account);
+  });
+
+  /**
+   * GET /api/accounts/:userId/transactions
+   * Query: { page?: number, limit?: number }
+   * Lists an account's balance changes (deposits, withdrawals, reversals), newest first.
+   */
+  app.get("/api/accounts/:userId/transactions", requireRole("read_only"), (req, res) => {
+    const page = Number(req.query.page || 1);
+    const limit = Number(req.query.limit || 20);
+    if (!Number.isInteger(page) || page < 1) {
+      return res.status(400).json({ error: "page must be a positive integer" });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: "limit must be an integer between 1 and 100" });
+    }
+    if (!getAccount(req.params.userId)) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const { rows, total } = listAccountTransactions(req.params.userId, {
+      limit,
+      offset: (page - 1) * limit,
+    });
+    return res.json({ page, limit, total, transactions: rows });
+  });
+
+  /**
+   * GET /api/ledger/trial-balance
+   * Balance of every ledger account and per-currency debit/credit totals.
+   * `balanced` is true when each currency nets to zero.
+   */
+  app.get("/api/ledger/trial-balance", requireRole("read_only"), (_req, res) => {
+    res.json(getTrialBalance());
+  });
+
+  /**
+   * GET /api/reconciliation/reports
+   * Query: { page?, limit? }
+   * Lists reconciliation runs newest first, with their summary and number of issues.
+   */
+  app.get("/api/reconciliation/reports", requireRole("read_only"), (req, res) => {
+    const page = Number(req.query.page || 1);
+    const limit = Number(req.query.limit || 20);
+    if (!Number.isInteger(page) || page < 1) {
+      return res.status(400).json({ error: "page must be a positive integer" });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: "limit must be an integer between 1 and 100" });
+    }
+
+    const { rows, total } = listReconciliationReports({ limit, offset: (page - 1) * limit });
+    return res.json({ page, limit, total, reports: rows.map(formatReport) });
+  });
+
+  /**
+   * POST /api/reconciliation/reports
+   * Body: { from, to? } - dates or ISO timestamps; to defaults to now
+   * Reconciles [from, to) against Binance history now and returns the report with its issues.
+   * Requires the admin role.
+   */
+  app.post("/api/reconciliation/reports", requireRole("admin"), async (req, res) => {
+    const { from, to } = req.body || {};
+    const { startTime, endTime, error } = parseReconciliationPeriod({ from, to });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      const report = await runReconciliation({ startTime, endTime, trigger: "api" });
+      return res.status(201).json(report);
+    } catch (err) {
+      logger.error("Reconciliation error", { err });
+      return res.status(502).json({
+        status: "failed",
+        reason: BINANCE_FAILURE_REASONS[err.code] || "reconciliation_error",
+        message: err.binanceMessage || "Failed to fetch Binance history",
+        reportId: err.reportId,
+      });
+    }
+  });
+
+  /**
+   * GET /api/reconciliation/reports/:id
+   * Returns one report with its issues.
+   */
+  app.get("/api/reconciliation/reports/:id", requireRole("read_only"), (req, res) => {
+    const report = getReconciliationReport(Number(req.params.id));
+    if (!report) {
+      return res.status(404).json({ error: "Report not found" });
+    }
+    return res.json({ ...formatReport(report), issues: listReconciliationIssues(report.id) });
+  });
+
+  /**
+   * GET /api/reconciliation/reports/:id/csv
+   * The report's issues as a CSV download, one row per issue.
+   */
+  app.get("/api/reconciliation/reports/:id/csv", requireRole("read_only"), (req, res) => {
+    const report = getReconciliationReport(Number(req.params.id));
+    if (!report) {
+      return res.status(404).json({ error: "Report not found" });
+    }
+    res.attachment(`reconciliation-${report.id}.csv`);
+    res.type("text/csv");
+    return res.send(reportToCsv(report, listReconciliationIssues(report.id)));
+  });
+
+  /**
+   * GET /api/audit
+   * Query: { action?, actor?, target?, outcome?, from?, to?, page?, limit? }
+   * Audit log entries newest first; from/to are dates or ISO timestamps ([from, to)).
+   * Requires the admin role.
+   */
+  app.get("/api/audit", requireRole("admin"), (req, res) => {
+    const page = Number(req.query.page || 1);
+    const limit = Number(req.query.limit || 50);
+    if (!Number.isInteger(page) || page < 1) {
+      return res.status(400).json({ error: "page must be a positive integer" });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({ error: "limit must be an integer between 1 and 200" });
+    }
+    const filters = {};
+    for (const name of ["action", "actor", "target", "outcome"]) {
+      if (typeof req.query[name] === "string" && req.query[name]) {
+        filters[name] = req.query[name];
+      }
+    }
+    for (const name of ["from", "to"]) {
+      if (req.query[name] == null) continue;
+      const time = new Date(String(req.query[name])).getTime();
+      if (Number.isNaN(time)) {
+        return res.status(400).json({ error: `${name} must be a date or timestamp` });
+      }
+      filters[name] = new Date(time).toISOString();
+    }
+
+    const { rows, total } = listAuditLog({ ...filters, limit, offset: (page - 1) * limit });
+    return res.json({ page, limit, total, entries: rows.map(formatAuditEntry) });
+  });
+
+  /**
+   * GET /api/admin/api-keys
+   * Lists API keys (without secrets). Requires the admin role.
+   */
+  app.get("/api/admin/api-keys", requireRole("admin"), (_req, res) => {
+    res.json({ apiKeys: listApiKeys() });
+  });
+
+  /**
+   * POST /api/admin/api-keys
+   * Body: { name: string, role: "read_only" | "deposit_verifier" | "admin" }
+   * Creates an API key. The plaintext key is only returned in this response.
+   * Requires the admin role.
+   */
+  app.post("/api/admin/api-keys", requireRole("admin"), (req, res) => {
+    const { name, role } = req.body || {};
+    if (!name || typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({ error: "name is required" });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ROLES.join(", ")}` });
+    }
+
+    const { key, apiKey } = transaction(() => {
+      const created = createApiKey({ name: name.trim(), role });
+      recordAudit({
+        ...auditContext(req),
+        action: "api_key.create",
+        target: `api_key:${created.apiKey.id}`,
+        after: created.apiKey,
+      });
+      return created;
+    });
+    return res.status(201).json({ key, apiKey });
+  });
+
+  /**
+   * DELETE /api/admin/api-keys/:id
+   * Revokes an API key. Requires the admin role.
+   */
+  app.delete("/api/admin/api-keys/:id", requireRole("admin"), (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id < 1) {
+      return res.status(400).json({ error: "id must be a positive integer" });
+    }
+    if (!getApiKey(id)) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+    if (req.apiKey.id === id) {
+      return res.status(400).json({ error: "An API key cannot revoke itself" });
+    }
+
+    const revoked = transaction(() => {
+      const row = revokeApiKey(id);
+      recordAudit({
+        ...auditContext(req),
+        action: "api_key.revoke",
+        target: `api_key:${id}`,
+        after: row,
+      });
+      return row;
+    });
+    return res.json(revoked);
+  });
+
+  /**
+   * GET /api/webhooks
+   * Lists registered webhook endpoints (without secrets). Requires the admin role.
+   */
+  app.get("/api/webhooks", requireRole("admin"), (_req, res) => {
+    res.json({ webhooks: listWebhookEndpoints() });
+  });
+
+  /**
+   * POST /api/webhooks
+   * Body: { url: string, events?: string[] }
+   * Registers a webhook endpoint for the given events (default: all events).
+   * The signing secret is only returned in this response. Requires the admin role.
+   */
+  app.post("/api/webhooks", requireRole("admin"), (req, res) => {
+    const { url, events = ["*"] } = req.body || {};
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (_err) {
+      parsed = null;
+    }
+    if (!parsed || (parsed.protocol !== "https:" && parsed.protocol !== "http:")) {
+      return res.status(400).json({ error: "url must be a valid http(s) URL" });
+    }
+    if (
+      !Array.isArray(events) ||
+      events.length === 0 ||
+      !events.every((e) => e === "*" || EVENT_TYPES.includes(e))
+    ) {
+      return res
+        .status(400)
+        .json({ error: `events must be a non-empty list of: *, ${EVENT_TYPES.join(", ")}` });
+    }
+
+    const { endpoint, secret } = transaction(() => {
+      const created = createWebhookEndpoint({ url: parsed.toString(), events });
+      recordAudit({
+        ...auditContext(req),
+        action: "webhook.create",
+        target: `webhook:${created.endpoint.id}`,
+        after: created.endpoint,
+      });
+      return created;
+    });
+    return res.status(201).json({ ...endpoint, secret });
+  });
+
+  /**
+   * DELETE /api/webhooks/:id
+   * Deactivates a webhook endpoint. Its delivery log is kept. Requires the admin role.
+   */
+  app.delete("/api/webhooks/:id", requireRole("admin"), (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id < 1) {
+      return res.status(400).json({ error: "id must be a positive integer" });
+    }
+    if (!getWebhookEndpoint(id)) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+    const deactivated = transaction(() => {
+      const row = deactivateWebhookEndpoint(id);
+      recordAudit({
+        ...auditContext(req),
+        action: "webhook.delete",
+        target: `webhook:${id}`,
+        after: row,
+      });
+      return row;
+    });
+    return res.json(deactivated);
+  });
+
+  /**
+   * GET /api/webhooks/:id/deliveries
+   * Query: { page?: number, limit?: number }
+   * Delivery log for a webhook endpoint, newest first. Requires the admin role.
+   */
+  app.get("/api/webhooks/:id/deliveries", requireRole("admin"), (req, res) => {
+    const id = Number(req.params.id);
+    const page = Number(req.query.page || 1);
+    const limit = Number(req.query.limit || 20);
+    if (!Number.isInteger(id) || id < 1) {
+      return res.status(400).json({ error: "id must be a positive integer" });
+    }
+    if (!Number.isInteger(page) || page < 1) {
+      return res.status(400).json({ error: "page must be a positive integer" });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: "limit must be an integer between 1 and 100" });
+    }
+    if (!getWebhookEndpoint(id)) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    const { rows, total } = listWebhookDeliveries(id, { limit, offset: (page - 1) * limit });
+    const deliveries = rows.map((d) => ({ ...d, payload: JSON.parse(d.payload) }));
+    return res.json({ page, limit, total, deliveries });
+  });
+
+  /**
+   * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+   * Queues a delivery to be sent again, with a fresh retry budget. Requires the admin role.
+   */
+  app.post(
+    "/api/webhooks/:id/deliveries/:deliveryId/redeliver",
+    requireRole("admin"),
+    (req, res) => {
+      const id = Number(req.params.id);
+      const deliveryId = Number(req.params.deliveryId);
+      const delivery = getWebhookDelivery(deliveryId);
+      if (!delivery || delivery.endpointId !== id) {
+        return res.status(404).json({ error: "Delivery not found" });
+      }
+      if (!getWebhookEndpoint(id).active) {
+        return res.status(409).json({ error: "Webhook is not active" });
+      }
+
+      const queued = transaction(() => {
+        const row = resetWebhookDelivery(deliveryId);
+        recordAudit({
+          ...auditContext(req),
+          action: "webhook.redeliver",
+          target: `webhook_delivery:${deliveryId}`,
+          before: { status: delivery.status, attempts: delivery.attempts },
+          after: { status: row.status, attempts: row.attempts },
+        });
+        return row;
+      });
+      return res.status(202).json({ ...queued, payload: JSON.parse(queued.payload) });
+    }
+  );
+
+  /**
+   * GET /api/debug/deposits
+   * Returns recent USDT deposit records from Binance. Only when NODE_ENV=development.
+   */
+  app.get("/api/debug/deposits", requireRole("read_only"), async (req, res) => {
+    if (process.env.NODE_ENV !== "development") {
+      return res.status(404).json({ error: "Not found" });
+    }
+    try {
+      const deposits = await binance().getDepositHistory({
+        coin: "USDT",
+        limit: 50,
+      });
+      const safe = deposits.map((d) => ({
+        txId: d.txId,
+        amount: d.amount,
+        status: d.status,
+        insertTime: d.insertTime,
+        network: d.network,
+      }));
+      return res.json({ count: safe.length, deposits: safe });
+    } catch (err) {
+      logger.error("Debug deposits error", { err });
+      return res.status(500).json({ error: String(err.message || err) });
+    }
+  });
+
+  // Read by the background jobs server.js starts.
+  app.locals.getMinDepositAmount = () => MIN_DEPOSIT_AMOUNT;
+
+  return app;
+}
+
+module.exports = { createApp };
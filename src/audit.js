@@ -0,0 +1,139 @@
+const crypto = require("crypto");
+const { transaction, getLastAuditEntry, insertAuditEntry, iterateAuditLog } = require("./db");
+
+// Columns covered by each row's hash, in hashing order. prevHash chains it to the row before.
+const HASHED_COLUMNS = [
+  "id",
+  "createdAt",
+  "action",
+  "actor",
+  "ip",
+  "route",
+  "target",
+  "before",
+  "after",
+  "outcome",
+  "binanceId",
+  "error",
+  "prevHash",
+];
+
+/**
+ * sha256 (hex) of an audit row's hashed columns.
+ * @param {Record<string, any>} row
+ */
+function hashAuditEntry(row) {
+  const values = HASHED_COLUMNS.map((c) => (row[c] == null ? null : row[c]));
+  return crypto.createHash("sha256").update(JSON.stringify(values)).digest("hex");
+}
+
+/**
+ * Who made a request, from where and through which route, for the audit rows it writes.
+ * @param {import("express").Request} req - after requireRole
+ * @returns {{ actor: string, ip: string | null, route: string }}
+ */
+function auditContext(req) {
+  return {
+    actor: req.apiKey ? `api_key:${req.apiKey.id}` : "anonymous",
+    ip: req.ip || null,
+    route: `${req.method} ${req.route ? req.route.path : req.path}`,
+  };
+}
+
+function toJson(value) {
+  return value === undefined ? null : JSON.stringify(value);
+}
+
+/**
+ * Append a row to the audit log, chained to the previous row's hash.
+ * Call it inside the transaction making the change, so both are kept or neither is.
+ * @param {object} entry
+ * @param {string} entry.action - e.g. "setting.update", "deposit.credit", "withdrawal.submit"
+ * @param {string} entry.actor - "api_key:<id>", or the job, e.g. "deposit_poller"
+ * @param {string | null} [entry.ip]
+ * @param {string | null} [entry.route] - e.g. "POST /api/rate"
+ * @param {string | null} [entry.target] - what changed, e.g. "KES_PER_USDT" or "withdrawal:12"
+ * @param {any} [entry.before] - stored as JSON
+ * @param {any} [entry.after] - stored as JSON
+ * @param {"success" | "failure"} [entry.outcome] - default "success"
+ * @param {string | number | null} [entry.binanceId] - Binance deposit or withdrawal id
+ * @param {string | null} [entry.error]
+ * @returns {any} the stored row
+ */
+function recordAudit({
+  action,
+  actor,
+  ip = null,
+  route = null,
+  target = null,
+  before,
+  after,
+  outcome = "success",
+  binanceId = null,
+  error = null,
+}) {
+  return transaction(() => {
+    const previous = getLastAuditEntry();
+    const row = {
+      id: previous ? previous.id + 1 : 1,
+      createdAt: new Date().toISOString(),
+      action,
+      actor,
+      ip,
+      route,
+      target: target == null ? null : String(target),
+      before: toJson(before),
+      after: toJson(after),
+      outcome,
+      binanceId: binanceId == null ? null : String(binanceId),
+      error,
+      prevHash: previous ? previous.hash : null,
+    };
+    row.hash = hashAuditEntry(row);
+    insertAuditEntry(row);
+    return row;
+  });
+}
+
+/**
+ * Format an audit row for API responses.
+ * @param {any} row - audit_log row
+ */
+function formatAuditEntry(row) {
+  return {
+    ...row,
+    before: row.before == null ? null : JSON.parse(row.before),
+    after: row.after == null ? null : JSON.parse(row.after),
+  };
+}
+
+/**
+ * Walk the audit log from the first row and check every link of the chain.
+ * A row whose content changed fails "hash_mismatch"; a removed, inserted or reordered row
+ * makes the next one fail "prev_hash_mismatch" or "id_gap". Removing the newest rows is only
+ * caught by comparing headHash with a copy kept elsewhere.
+ * @returns {{ ok: boolean, checked: number, headHash: string | null,
+ *   breaks: Array<{ id: number, problem: string }> }}
+ */
+function verifyAuditLog() {
+  const breaks = [];
+  let previous = null;
+  let checked = 0;
+  for (const row of iterateAuditLog()) {
+    checked += 1;
+    const expectedId = previous ? previous.id + 1 : 1;
+    if (row.id !== expectedId) {
+      breaks.push({ id: row.id, problem: "id_gap" });
+    }
+    if (row.prevHash !== (previous ? previous.hash : null)) {
+      breaks.push({ id: row.id, problem: "prev_hash_mismatch" });
+    }
+    if (row.hash !== hashAuditEntry(row)) {
+      breaks.push({ id: row.id, problem: "hash_mismatch" });
+    }
+    previous = row;
+  }
+  return { ok: breaks.length === 0, checked, headHash: previous ? previous.hash : null, breaks };
+}
+
+module.exports = { auditContext, recordAudit, formatAuditEntry, verifyAuditLog };
@@ -0,0 +1,99 @@
+const crypto = require("crypto");
+const { insertApiKey, useApiKeyByHash } = require("./db");
+
+/**
+ * API key roles, lowest privilege first. A key is allowed on any route that
+ * requires its own role or a lower one.
+ * - read_only: read rates, minimums and withdrawal records
+ * - deposit_verifier: additionally verify deposits (POST /api/deposit/txid)
+ * - admin: treasury and admin actions (rates, minimums, withdrawals, key management)
+ */
+const ROLES = ["read_only", "deposit_verifier", "admin"];
+
+const KEY_PREFIX = "usdtapi_";
+
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Create a new API key. Only the hash is stored; the plaintext key is returned once.
+ * @param {object} options
+ * @param {string} options.name - label for whoever holds the key
+ * @param {string} options.role - one of ROLES
+ * @returns {{ key: string, apiKey: object }}
+ */
+function createApiKey({ name, role }) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`role must be one of: ${ROLES.join(", ")}`);
+  }
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const key = `${KEY_PREFIX}${secret}`;
+  const apiKey = insertApiKey({
+    name,
+    role,
+    keyPrefix: key.slice(0, KEY_PREFIX.length + 6),
+    keyHash: hashApiKey(key),
+  });
+  return { key, apiKey };
+}
+
+/**
+ * Read the API key from the X-API-Key header or an Authorization: Bearer header.
+ * @param {import("express").Request} req
+ */
+function extractApiKey(req) {
+  const header = req.get("X-API-Key");
+  if (header) return header.trim();
+  const authorization = req.get("Authorization");
+  if (authorization && authorization.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length).trim();
+  }
+  return null;
+}
+
+/**
+ * Express middleware that requires a valid API key with at least the given role.
+ * The matched key (without its hash) is available as req.apiKey.
+ * @param {string} role - one of ROLES
+ */
+function requireRole(role) {
+  const required = ROLES.indexOf(role);
+  if (required === -1) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+
+  return (req, res, next) => {
+    const key = extractApiKey(req);
+    if (!key) {
+      return res.status(401).json({ error: "API key required" });
+    }
+
+    const apiKey = useApiKeyByHash(hashApiKey(key));
+    if (!apiKey) {
+      return res.status(401).json({ error: "Invalid API key" });
+    }
+
+    if (ROLES.indexOf(apiKey.role) < required) {
+      return res.status(403).json({ error: `This action requires the ${role} role` });
+    }
+
+    req.apiKey = apiKey;
+    return next();
+  };
+}
+
+/**
+ * Express middleware for routes open to anyone that tell API key holders more: a valid key
+ * of any role is available as req.apiKey. A missing or unknown key is not an error.
+ */
+function optionalApiKey() {
+  return (req, _res, next) => {
+    const key = extractApiKey(req);
+    const apiKey = key ? useApiKeyByHash(hashApiKey(key)) : null;
+    if (apiKey) req.apiKey = apiKey;
+    return next();
+  };
+}
+
+module.exports = { ROLES, createApiKey, optionalApiKey, requireRole };
@@ -0,0 +1,25 @@
+/**
+ * The Binance client the app calls: ./binanceClient unless another implementation
+ * was installed with useBinanceClient(), e.g. a fake in tests. Modules call
+ * binance().getUSDTBalance() rather than importing the functions, so a client
+ * installed after they are loaded is still picked up.
+ */
+
+let client = null;
+
+/**
+ * @returns {typeof import("./binanceClient")}
+ */
+function binance() {
+  return client || require("./binanceClient");
+}
+
+/**
+ * Route every Binance call through the given client. Pass null to go back to ./binanceClient.
+ * @param {Partial<typeof import("./binanceClient")> | null} binanceClient
+ */
+function useBinanceClient(binanceClient) {
+  client = binanceClient;
+}
+
+module.exports = { binance, useBinanceClient };
@@ -1,20 +1,24 @@
 const crypto = require("crypto");
 const axios = require("axios");
+const { detectNetwork } = require("./addresses");
+const { logger } = require("./logger");
+const { recordBinanceRequest } = require("./metrics");
 
 const BINANCE_API_KEY = process.env.BINANCE_API_KEY;
 const BINANCE_API_SECRET = process.env.BINANCE_API_SECRET;
 
-if (!BINANCE_API_KEY || !BINANCE_API_SECRET) {
+// False when BINANCE_API_KEY or BINANCE_API_SECRET is missing; the readiness check fails then.
+const BINANCE_CREDENTIALS_CONFIGURED = Boolean(BINANCE_API_KEY && BINANCE_API_SECRET);
+
+if (!BINANCE_CREDENTIALS_CONFIGURED) {
   // Do not throw here to allow the app to start, but log clearly.
-  // Requests that actually hit Binance will fail and return a 500.
+  // Requests that actually hit Binance will fail with a BinanceAuthError.
   // This keeps local dev smoother while still warning loudly.
-  // eslint-disable-next-line no-console
-  console.warn(
-    "[usdtapi] BINANCE_API_KEY or BINANCE_API_SECRET is not set. Binance calls will fail."
-  );
+  logger.warn("BINANCE_API_KEY or BINANCE_API_SECRET is not set. Binance calls will fail.");
 }
 
 const BINANCE_BASE_URL = process.env.BINANCE_BASE_URL || "https://api.binance.com";
+const BINANCE_P2P_BASE_URL = process.env.BINANCE_P2P_BASE_URL || "https://p2p.binance.com";
 
 /**
  * Create a signed Binance query string with HMAC SHA256.
@@ -34,54 +38,304 @@ function signParams(params) {
   return `${query}&signature=${signature}`;
 }
 
+function envNumber(name, fallback, min = 0) {
+  const n = Number(process.env[name] || fallback);
+  return !Number.isNaN(n) && n >= min ? n : fallback;
+}
+
+// How long a signed request stays valid after its timestamp. Kept tight now that
+// timestamps are corrected by the offset to Binance server time.
+const BINANCE_RECV_WINDOW_MS = envNumber("BINANCE_RECV_WINDOW_MS", 5000, 1);
+// How often the server time offset is refreshed.
+const BINANCE_TIME_SYNC_INTERVAL_MS = envNumber("BINANCE_TIME_SYNC_INTERVAL_MS", 10 * 60 * 1000);
+// Retries of GET requests after network errors, 5xx and rate limits. POSTs are never retried.
+const BINANCE_MAX_RETRIES = envNumber("BINANCE_MAX_RETRIES", 3);
+// Requests wait for the next minute once this share of the per-minute weight limit is used.
+const BINANCE_WEIGHT_BACKOFF_PERCENT = envNumber("BINANCE_WEIGHT_BACKOFF_PERCENT", 90, 1);
+// Longest a request waits for a rate limit to clear before failing instead.
+const BINANCE_MAX_WAIT_MS = envNumber("BINANCE_MAX_WAIT_MS", 15_000);
+
+const REQUEST_TIMEOUT_MS = 10_000;
+
+/** Any error response from Binance, or a request that never got one. */
+class BinanceError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {number | null} [details.status] - HTTP status, null for network errors
+   * @param {number | null} [details.binanceCode] - Binance error code, e.g. -2015
+   * @param {import("axios").AxiosResponse} [details.response]
+   */
+  constructor(message, { status = null, binanceCode = null, response } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = "BINANCE_ERROR";
+    this.status = status;
+    this.binanceCode = binanceCode;
+    this.binanceMessage = (response && response.data && response.data.msg) || null;
+    this.response = response;
+  }
+}
+
+/** 429 (slow down) or 418 (IP banned). retryAfterMs comes from the Retry-After header. */
+class BinanceRateLimitError extends BinanceError {
+  constructor(message, { retryAfterMs = null, ...details } = {}) {
+    super(message, details);
+    this.code = "BINANCE_RATE_LIMIT";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** Missing or rejected API key, bad signature, or a key without the needed permission. */
+class BinanceAuthError extends BinanceError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = "BINANCE_AUTH";
+  }
+}
+
+/** 451: Binance does not serve this server's region. */
+class BinanceRegionError extends BinanceError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = "BINANCE_REGION";
+  }
+}
+
+/** The wallet does not hold enough of the asset, e.g. for a withdrawal. */
+class BinanceInsufficientBalanceError extends BinanceError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = "BINANCE_INSUFFICIENT_BALANCE";
+  }
+}
+
+// -2014 bad API key format, -2015 invalid key, IP or permissions, -1022 invalid signature.
+const AUTH_ERROR_CODES = [-2014, -2015, -1022];
+// Timestamp outside recvWindow, or ahead of server time.
+const TIMESTAMP_ERROR_CODE = -1021;
+
 /**
- * Call Binance GET signed endpoint.
- * @param {string} path
- * @param {Record<string, string | number>} params
+ * Turn an axios error into the matching BinanceError subclass.
+ * @param {any} err
+ * @returns {BinanceError}
  */
-async function binanceGet(path, params) {
-  if (!BINANCE_API_KEY || !BINANCE_API_SECRET) {
-    throw new Error("Binance API credentials are not configured");
+function toBinanceError(err) {
+  if (err instanceof BinanceError) return err;
+  const response = err.response;
+  if (!response) {
+    return new BinanceError(`Binance request failed: ${err.message || err}`);
   }
 
-  const timestamp = Date.now();
-  // Give some leeway for small clock drift.
-  const signedQuery = signParams({ recvWindow: 60000, ...params, timestamp });
-  const url = `${BINANCE_BASE_URL}${path}?${signedQuery}`;
+  const { status } = response;
+  const data = response.data || {};
+  const binanceCode = typeof data.code === "number" ? data.code : null;
+  const msg = data.msg || data.message || `HTTP ${status}`;
+  const details = { status, binanceCode, response };
 
-  const response = await axios.get(url, {
-    headers: {
-      "X-MBX-APIKEY": BINANCE_API_KEY,
-    },
-    timeout: 10_000,
-  });
+  if (status === 429 || status === 418) {
+    const retryAfter = Number(response.headers && response.headers["retry-after"]);
+    return new BinanceRateLimitError(
+      status === 418 ? `Binance has banned this IP: ${msg}` : `Binance rate limit hit: ${msg}`,
+      { ...details, retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null }
+    );
+  }
+  if (status === 451) {
+    return new BinanceRegionError(
+      `Binance API is not available in this region: ${msg}`,
+      details
+    );
+  }
+  if (status === 401 || AUTH_ERROR_CODES.includes(binanceCode)) {
+    return new BinanceAuthError(`Binance rejected the API credentials: ${msg}`, details);
+  }
+  // Endpoints report this under different codes, so it is recognized by message, here only.
+  if (/insufficient|not enough/i.test(msg)) {
+    return new BinanceInsufficientBalanceError(msg, details);
+  }
+  return new BinanceError(msg, details);
+}
 
-  return response.data;
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+// Local clock minus Binance's, measured against GET /api/v3/time.
+const clock = { offsetMs: 0, syncedAt: 0 };
+
 /**
- * Call Binance POST signed endpoint.
+ * Measure the offset between the local clock and Binance server time.
+ * Called before signed requests when the last sync is older than
+ * BINANCE_TIME_SYNC_INTERVAL_MS, and after a timestamp error.
+ * @returns {Promise<number>} offset in ms (positive when the local clock is ahead)
+ */
+async function syncServerTime() {
+  const sentAt = Date.now();
+  const data = await binanceRequest("GET", "/api/v3/time", {}, { signed: false });
+  const receivedAt = Date.now();
+  const serverTime = Number(data && data.serverTime);
+  if (!Number.isFinite(serverTime)) {
+    throw new BinanceError("Unexpected Binance server time response");
+  }
+  clock.offsetMs = Math.round((sentAt + receivedAt) / 2) - serverTime;
+  clock.syncedAt = receivedAt;
+  return clock.offsetMs;
+}
+
+async function serverTimestamp() {
+  if (Date.now() - clock.syncedAt > BINANCE_TIME_SYNC_INTERVAL_MS) {
+    try {
+      await syncServerTime();
+    } catch (err) {
+      // Sign with the last known offset; a timestamp error will trigger another sync.
+      logger.error("Binance time sync failed", { err });
+      clock.syncedAt = Date.now();
+    }
+  }
+  return Date.now() - clock.offsetMs;
+}
+
+// Per-minute request weight Binance reports, by the header it reports it in.
+const WEIGHT_LIMITS = {
+  "x-mbx-used-weight-1m": 6000,
+  "x-sapi-used-ip-weight-1m": 12000,
+};
+const usedWeight = {}; // header -> { weight, minute }
+let blockedUntil = 0; // set by 429/418 responses
+
+function weightHeaderFor(path) {
+  return path.startsWith("/sapi/") ? "x-sapi-used-ip-weight-1m" : "x-mbx-used-weight-1m";
+}
+
+function trackWeight(headers) {
+  for (const header of Object.keys(WEIGHT_LIMITS)) {
+    const weight = Number(headers && headers[header]);
+    if (Number.isFinite(weight)) {
+      usedWeight[header] = { weight, minute: Math.floor(Date.now() / 60_000) };
+    }
+  }
+}
+
+/**
+ * Wait until a request to path can be sent without risking a ban: past any
+ * Retry-After period, and into the next minute if this one's weight is nearly used up.
+ * @throws {BinanceRateLimitError} if that is more than BINANCE_MAX_WAIT_MS away
+ */
+async function waitForCapacity(path) {
+  const now = Date.now();
+  let waitMs = Math.max(0, blockedUntil - now);
+
+  const header = weightHeaderFor(path);
+  const used = usedWeight[header];
+  const threshold = (WEIGHT_LIMITS[header] * BINANCE_WEIGHT_BACKOFF_PERCENT) / 100;
+  if (used && used.minute === Math.floor(now / 60_000) && used.weight >= threshold) {
+    waitMs = Math.max(waitMs, (used.minute + 1) * 60_000 - now);
+  }
+
+  if (waitMs === 0) return;
+  if (waitMs > BINANCE_MAX_WAIT_MS) {
+    throw new BinanceRateLimitError(
+      `Binance request weight is nearly used up; not sending for ${Math.ceil(waitMs / 1000)}s`,
+      { retryAfterMs: waitMs }
+    );
+  }
+  await sleep(waitMs);
+}
+
+function isRetryable(err) {
+  if (err instanceof BinanceRateLimitError) {
+    return err.status !== 418 && (err.retryAfterMs || 0) <= BINANCE_MAX_WAIT_MS;
+  }
+  return (
+    err.status === null || err.status >= 500 || err.binanceCode === TIMESTAMP_ERROR_CODE
+  );
+}
+
+// Exponential backoff with full jitter, or Retry-After when Binance sets it.
+function retryDelay(err, attempt) {
+  if (err instanceof BinanceRateLimitError && err.retryAfterMs) return err.retryAfterMs;
+  return Math.random() * Math.min(8000, 500 * 2 ** attempt);
+}
+
+/**
+ * Call a Binance REST endpoint. Signed requests get a timestamp corrected to
+ * server time, a recvWindow and an HMAC signature. GETs are retried on network
+ * errors, 5xx, 429 and timestamp errors; POSTs are sent once.
+ * @param {"GET" | "POST"} method
  * @param {string} path
  * @param {Record<string, string | number>} params
+ * @param {object} [options]
+ * @param {boolean} [options.signed] - default true
+ * @throws {BinanceError} or a subclass
  */
-async function binancePost(path, params) {
-  if (!BINANCE_API_KEY || !BINANCE_API_SECRET) {
-    throw new Error("Binance API credentials are not configured");
+async function binanceRequest(method, path, params, { signed = true } = {}) {
+  if (signed && (!BINANCE_API_KEY || !BINANCE_API_SECRET)) {
+    throw new BinanceAuthError("Binance API credentials are not configured");
   }
 
-  const timestamp = Date.now();
-  // Give some leeway for small clock drift.
-  const signedQuery = signParams({ recvWindow: 60000, ...params, timestamp });
-  const url = `${BINANCE_BASE_URL}${path}?${signedQuery}`;
+  for (let attempt = 0; ; attempt += 1) {
+    await waitForCapacity(path);
+
+    let query = new URLSearchParams(params).toString();
+    if (signed) {
+      const timestamp = await serverTimestamp();
+      query = signParams({ recvWindow: BINANCE_RECV_WINDOW_MS, ...params, timestamp });
+    }
+    const url = `${BINANCE_BASE_URL}${path}${query ? `?${query}` : ""}`;
+
+    const startedAt = Date.now();
+    try {
+      const response = await axios.request({
+        method,
+        url,
+        headers: signed ? { "X-MBX-APIKEY": BINANCE_API_KEY } : {},
+        timeout: REQUEST_TIMEOUT_MS,
+      });
+      recordBinanceRequest({ method, endpoint: path, durationMs: Date.now() - startedAt });
+      trackWeight(response.headers);
+      return response.data;
+    } catch (axiosErr) {
+      if (axiosErr.response) trackWeight(axiosErr.response.headers);
+      const err = toBinanceError(axiosErr);
+      recordBinanceRequest({
+        method,
+        endpoint: path,
+        durationMs: Date.now() - startedAt,
+        errorCode: err.code,
+      });
+
+      if (err instanceof BinanceRateLimitError && err.status) {
+        const backoffMs = err.retryAfterMs || 60_000;
+        blockedUntil = Math.max(blockedUntil, Date.now() + backoffMs);
+      }
+      if (err.binanceCode === TIMESTAMP_ERROR_CODE) {
+        clock.syncedAt = 0;
+      }
+      if (method !== "GET" || attempt >= BINANCE_MAX_RETRIES || !isRetryable(err)) {
+        throw err;
+      }
+      logger.warn("Retrying Binance request", { method, endpoint: path, attempt: attempt + 1, err });
+      await sleep(retryDelay(err, attempt));
+    }
+  }
+}
 
-  const response = await axios.post(url, null, {
-    headers: {
-      "X-MBX-APIKEY": BINANCE_API_KEY,
-    },
-    timeout: 10_000,
-  });
+/**
+ * Call Binance GET signed endpoint.
+ * @param {string} path
+ * @param {Record<string, string | number>} params
+ */
+function binanceGet(path, params) {
+  return binanceRequest("GET", path, params);
+}
 
-  return response.data;
+/**
+ * Call Binance POST signed endpoint. Not retried, so a withdrawal is never sent twice.
+ * @param {string} path
+ * @param {Record<string, string | number>} params
+ */
+function binancePost(path, params) {
+  return binanceRequest("POST", path, params);
 }
 
 /**
@@ -92,13 +346,15 @@ async function binancePost(path, params) {
  * @param {string} options.coin - e.g. "USDT"
  * @param {number} [options.startTime] - ms timestamp
  * @param {number} [options.endTime] - ms timestamp
+ * @param {number} [options.offset] - default 0
  * @param {number} [options.limit] - default 1000
  * @returns {Promise<Array<any>>}
  */
-async function getDepositHistory({ coin, startTime, endTime, limit = 1000 }) {
+async function getDepositHistory({ coin, startTime, endTime, offset, limit = 1000 }) {
   const params = { coin, limit };
   if (startTime) params.startTime = startTime;
   if (endTime) params.endTime = endTime;
+  if (offset) params.offset = offset;
 
   const data = await binanceGet("/sapi/v1/capital/deposit/hisrec", params);
   if (!Array.isArray(data)) {
@@ -107,6 +363,98 @@ async function getDepositHistory({ coin, startTime, endTime, limit = 1000 }) {
   return data;
 }
 
+// Binance rejects deposit history queries spanning more than 90 days.
+const DEPOSIT_HISTORY_MAX_RANGE_MS = 90 * 24 * 60 * 60 * 1000;
+
+/**
+ * Fetch every deposit inserted in [startTime, endTime], following offset pages.
+ *
+ * @param {object} options
+ * @param {string} options.coin - e.g. "USDT"
+ * @param {number} options.startTime - ms timestamp
+ * @param {number} options.endTime - ms timestamp, at most 90 days after startTime
+ * @param {number} [options.pageSize] - default 1000 (the Binance maximum)
+ * @returns {Promise<Array<any>>}
+ */
+async function getDepositHistoryRange({ coin, startTime, endTime, pageSize = 1000 }) {
+  if (endTime - startTime > DEPOSIT_HISTORY_MAX_RANGE_MS) {
+    throw new Error("Deposit history range must not exceed 90 days");
+  }
+
+  const deposits = [];
+  for (let offset = 0; ; offset += pageSize) {
+    const page = await getDepositHistory({ coin, startTime, endTime, offset, limit: pageSize });
+    deposits.push(...page);
+    if (page.length < pageSize) return deposits;
+  }
+}
+
+/**
+ * Fetch withdraw history for a given coin.
+ * Documentation: GET /sapi/v1/capital/withdraw/history
+ *
+ * @param {object} options
+ * @param {string} options.coin - e.g. "USDT"
+ * @param {string[]} [options.idList] - Binance withdrawal ids (max 45)
+ * @param {string} [options.withdrawOrderId] - client id sent with the withdrawal
+ * @param {number} [options.status] - Binance withdraw status filter
+ * @param {number} [options.startTime] - ms timestamp
+ * @param {number} [options.endTime] - ms timestamp
+ * @param {number} [options.offset]
+ * @param {number} [options.limit] - default 1000
+ * @returns {Promise<Array<any>>}
+ */
+async function getWithdrawHistory({
+  coin,
+  idList,
+  withdrawOrderId,
+  status,
+  startTime,
+  endTime,
+  offset,
+  limit = 1000,
+}) {
+  const params = { coin, limit };
+  if (idList && idList.length) params.idList = idList.join(",");
+  if (withdrawOrderId) params.withdrawOrderId = withdrawOrderId;
+  if (status != null) params.status = status;
+  if (startTime) params.startTime = startTime;
+  if (endTime) params.endTime = endTime;
+  if (offset) params.offset = offset;
+
+  const data = await binanceGet("/sapi/v1/capital/withdraw/history", params);
+  if (!Array.isArray(data)) {
+    throw new Error("Unexpected Binance withdraw history response format");
+  }
+  return data;
+}
+
+// Binance rejects withdraw history queries spanning more than 90 days.
+const WITHDRAW_HISTORY_MAX_RANGE_MS = 90 * 24 * 60 * 60 * 1000;
+
+/**
+ * Fetch every withdrawal applied for in [startTime, endTime], following offset pages.
+ *
+ * @param {object} options
+ * @param {string} options.coin - e.g. "USDT"
+ * @param {number} options.startTime - ms timestamp
+ * @param {number} options.endTime - ms timestamp, at most 90 days after startTime
+ * @param {number} [options.pageSize] - default 1000 (the Binance maximum)
+ * @returns {Promise<Array<any>>}
+ */
+async function getWithdrawHistoryRange({ coin, startTime, endTime, pageSize = 1000 }) {
+  if (endTime - startTime > WITHDRAW_HISTORY_MAX_RANGE_MS) {
+    throw new Error("Withdraw history range must not exceed 90 days");
+  }
+
+  const withdrawals = [];
+  for (let offset = 0; ; offset += pageSize) {
+    const page = await getWithdrawHistory({ coin, startTime, endTime, offset, limit: pageSize });
+    withdrawals.push(...page);
+    if (page.length < pageSize) return withdrawals;
+  }
+}
+
 /**
  * Get USDT balance from spot wallet.
  * Documentation: GET /api/v3/account
@@ -129,29 +477,93 @@ async function getUSDTBalance() {
 }
 
 /**
- * Withdraw USDT to address (supports TRC20 and Solana).
+ * Latest price of a spot symbol. Public market data, not signed.
+ * Documentation: GET /api/v3/ticker/price
+ * @param {string} symbol - e.g. "USDTKES"
+ * @returns {Promise<number>}
+ */
+async function getTickerPrice(symbol) {
+  const data = await binanceRequest("GET", "/api/v3/ticker/price", { symbol }, { signed: false });
+  const price = Number(data && data.price);
+  if (!Number.isFinite(price) || price <= 0) {
+    throw new Error(`Unexpected Binance ticker response for ${symbol}`);
+  }
+  return price;
+}
+
+/**
+ * Prices of the best Binance P2P advertisements. Public endpoint used by the P2P
+ * web app (not part of the documented API), not signed.
+ * @param {object} options
+ * @param {string} options.asset - e.g. "USDT"
+ * @param {string} options.fiat - e.g. "KES"
+ * @param {"BUY" | "SELL"} options.tradeType - side of the taker: BUY lists sellers' ads
+ * @param {number} [options.rows] - default 10, max 20
+ * @returns {Promise<number[]>} ad prices in fiat per asset, best first
+ */
+async function getP2PAdPrices({ asset, fiat, tradeType, rows = 10 }) {
+  const response = await axios.post(
+    `${BINANCE_P2P_BASE_URL}/bapi/c2c/v2/friendly/c2c/adv/search`,
+    { asset, fiat, tradeType, page: 1, rows, payTypes: [], publisherType: null },
+    { timeout: REQUEST_TIMEOUT_MS }
+  );
+  const ads = response.data && response.data.data;
+  if (!Array.isArray(ads)) {
+    throw new Error("Unexpected Binance P2P response format");
+  }
+  return ads
+    .map((ad) => Number(ad && ad.adv && ad.adv.price))
+    .filter((price) => Number.isFinite(price) && price > 0);
+}
+
+/**
+ * Permissions of the API key in use, e.g. whether it may read and withdraw.
+ * Documentation: GET /sapi/v1/account/apiRestrictions
+ * @returns {Promise<{ipRestrict: boolean, enableReading: boolean, enableWithdrawals: boolean,
+ *   enableInternalTransfer: boolean, enableSpotAndMarginTrading: boolean, createTime: number}>}
+ */
+async function getApiRestrictions() {
+  const restrictions = await binanceGet("/sapi/v1/account/apiRestrictions", {});
+  if (!restrictions || typeof restrictions !== "object") {
+    throw new Error("Unexpected Binance API restrictions response format");
+  }
+  return restrictions;
+}
+
+/**
+ * Deposit and withdrawal settings of one coin on each of its networks
+ * (fees, minimums, whether withdrawals are enabled, memo requirements).
+ * Documentation: GET /sapi/v1/capital/config/getall
+ * @param {string} coin - e.g. "USDT"
+ * @returns {Promise<Array<{network: string, name: string, withdrawEnable: boolean,
+ *   depositEnable: boolean, withdrawFee: string, withdrawMin: string, withdrawMax: string,
+ *   sameAddress: boolean, memoRegex: string, addressRegex: string, busy: boolean}>>}
+ */
+async function getCoinNetworks(coin) {
+  const coins = await binanceGet("/sapi/v1/capital/config/getall", {});
+  if (!Array.isArray(coins)) {
+    throw new Error("Unexpected Binance coin config response format");
+  }
+  const config = coins.find((c) => c.coin === coin);
+  return (config && Array.isArray(config.networkList) && config.networkList) || [];
+}
+
+/**
+ * Withdraw USDT to address.
  * Documentation: POST /sapi/v1/capital/withdraw/apply
  * @param {object} options
- * @param {string} options.address - Address (TRC20 or Solana)
- * @param {number} options.amount - Amount to withdraw
- * @param {string} [options.network] - Network ("TRX" for TRC20, "SOL" for Solana). Auto-detected if not provided.
+ * @param {string} options.address - Address
+ * @param {number} options.amount - Amount to withdraw, including Binance's withdrawal fee
+ * @param {string} [options.network] - Binance network code, e.g. "TRX", "BSC".
+ *   Auto-detected for TRC20 and Solana addresses if not provided.
+ * @param {string} [options.addressTag] - Memo, for networks that need one
+ * @param {string} [options.withdrawOrderId] - Client id, echoed back in withdraw history
  * @returns {Promise<{id: string}>}
  */
-async function withdrawUSDT({ address, amount, network }) {
-  // Auto-detect network if not provided
-  let detectedNetwork = network;
+async function withdrawUSDT({ address, amount, network, addressTag, withdrawOrderId }) {
+  const detectedNetwork = network || detectNetwork(address);
   if (!detectedNetwork) {
-    // TRC20 addresses start with T and are 34 chars
-    if (/^T[A-Za-z1-9]{33}$/.test(address)) {
-      detectedNetwork = "TRX";
-    }
-    // Solana addresses are base58, typically 32-44 chars
-    else if (/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)) {
-      detectedNetwork = "SOL";
-    }
-    else {
-      throw new Error("Unable to detect network from address format. Please specify network.");
-    }
+    throw new Error("Unable to detect network from address format. Please specify network.");
   }
 
   const params = {
@@ -160,13 +572,31 @@ async function withdrawUSDT({ address, amount, network }) {
     address,
     amount,
   };
+  if (addressTag) params.addressTag = addressTag;
+  if (withdrawOrderId) params.withdrawOrderId = withdrawOrderId;
 
   return await binancePost("/sapi/v1/capital/withdraw/apply", params);
 }
 
 module.exports = {
+  BinanceError,
+  BinanceRateLimitError,
+  BinanceAuthError,
+  BinanceRegionError,
+  BinanceInsufficientBalanceError,
+  BINANCE_CREDENTIALS_CONFIGURED,
+  syncServerTime,
+  DEPOSIT_HISTORY_MAX_RANGE_MS,
   getDepositHistory,
+  getDepositHistoryRange,
+  WITHDRAW_HISTORY_MAX_RANGE_MS,
+  getWithdrawHistory,
+  getWithdrawHistoryRange,
   getUSDTBalance,
+  getApiRestrictions,
+  getCoinNetworks,
+  getTickerPrice,
+  getP2PAdPrices,
   withdrawUSDT,
 };
 
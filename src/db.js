@@ -1,56 +1,1113 @@
 const Database = require("better-sqlite3");
 const path = require("path");
+const { toMinor, fromMinor } = require("./money");
+const { migrate, migrationStatus } = require("./migrations");
 
-const dbPath = process.env.SQLITE_DB_PATH || path.join(__dirname, "..", "data.db");
-const db = new Database(dbPath);
-
-db.exec(`
-  CREATE TABLE IF NOT EXISTS processed_transactions (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    txId TEXT NOT NULL UNIQUE,
-    asset TEXT NOT NULL,
-    amount REAL NOT NULL,
-    rewardKes REAL NOT NULL,
-    confirmedAt TEXT NOT NULL,
-    createdAt TEXT NOT NULL DEFAULT (datetime('now'))
-  );
-  CREATE UNIQUE INDEX IF NOT EXISTS idx_processed_transactions_txId ON processed_transactions(txId);
+const DEFAULT_DB_PATH = process.env.SQLITE_DB_PATH || path.join(__dirname, "..", "data.db");
+// "false" leaves migrations to `npm run migrate`; the app then refuses an outdated database.
+const MIGRATE_ON_START = process.env.MIGRATE_ON_START !== "false";
 
-  CREATE TABLE IF NOT EXISTS settings (
-    key TEXT PRIMARY KEY,
-    value TEXT NOT NULL
-  );
-`);
+/**
+ * Open a SQLite database and bring its schema up to date (see src/migrations).
+ * @param {string} [filename] - default SQLITE_DB_PATH or data.db; ":memory:" for a
+ *   throwaway database
+ * @param {object} [options]
+ * @param {boolean} [options.migrate] - apply pending migrations; when false, throw if any are
+ *   pending instead. Default MIGRATE_ON_START
+ * @returns {import("better-sqlite3").Database}
+ */
+function openDatabase(
+  filename = DEFAULT_DB_PATH,
+  { migrate: applyMigrations = MIGRATE_ON_START } = {}
+) {
+  const database = new Database(filename);
+  if (applyMigrations) {
+    migrate(database);
+  } else {
+    const { pending } = migrationStatus(database);
+    if (pending.length) {
+      database.close();
+      const err = new Error(
+        `${filename} has ${pending.length} pending migration(s); run npm run migrate`
+      );
+      err.code = "MIGRATIONS_PENDING";
+      throw err;
+    }
+  }
+  return database;
+}
+
+let db = null;
+
+/**
+ * Make every helper in this module use the given connection, e.g. an in-memory
+ * database in tests. Its schema must be up to date (see openDatabase).
+ * @param {import("better-sqlite3").Database} database
+ */
+function useDatabase(database) {
+  db = database;
+}
+
+// The connection in use, opening the default database on first use.
+function connection() {
+  if (!db) db = openDatabase();
+  return db;
+}
+
+/**
+ * Run fn inside a single SQLite transaction; everything is rolled back if it throws.
+ * @template T
+ * @param {() => T} fn
+ * @returns {T}
+ */
+function transaction(fn) {
+  return connection().transaction(fn)();
+}
 
 function getByTxId(txId) {
-  const row = db.prepare("SELECT * FROM processed_transactions WHERE txId = ?").get(txId);
+  const row = connection()
+    .prepare("SELECT * FROM processed_transactions WHERE txId = ?")
+    .get(txId);
   return row || null;
 }
 
 function insert(record) {
-  const stmt = db.prepare(`
-    INSERT INTO processed_transactions (txId, asset, amount, rewardKes, confirmedAt)
-    VALUES (?, ?, ?, ?, ?)
+  const stmt = connection().prepare(`
+    INSERT INTO processed_transactions
+      (txId, asset, amount, rewardKes, confirmedAt, userId, rate, quoteId, source)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   const result = stmt.run(
     record.txId,
     record.asset,
     record.amount,
     record.rewardKes,
-    record.confirmedAt
+    record.confirmedAt,
+    record.userId || null,
+    record.rate == null ? null : record.rate,
+    record.quoteId || null,
+    record.source || null
   );
   return result;
 }
 
+/**
+ * Set the user of a processed deposit that was credited without one.
+ * @returns {boolean} false if the deposit is unknown or already has a user
+ */
+function assignProcessedTransaction(txId, userId) {
+  const result = connection()
+    .prepare("UPDATE processed_transactions SET userId = ? WHERE txId = ? AND userId IS NULL")
+    .run(userId, txId);
+  return result.changes === 1;
+}
+
+// Keys stored before they were scoped to API keys (migration 003). They are matched for
+// every API key until they expire, so a retry across the upgrade is still replayed.
+const LEGACY_IDEMPOTENCY_API_KEY_ID = 0;
+
+/**
+ * The API key's idempotency key, or a legacy key of the same name.
+ */
+function getIdempotencyKey(apiKeyId, key) {
+  const row = connection()
+    .prepare(
+      `SELECT * FROM idempotency_keys WHERE apiKeyId IN (?, ?) AND key = ?
+       ORDER BY apiKeyId = ? DESC LIMIT 1`
+    )
+    .get(apiKeyId, LEGACY_IDEMPOTENCY_API_KEY_ID, key, apiKeyId);
+  return row || null;
+}
+
+/**
+ * Claim an idempotency key for an in-flight request.
+ * @returns {boolean} false if the API key already used this key, or a legacy key has its name
+ */
+function createIdempotencyKey({ apiKeyId, key, route, requestHash }) {
+  const result = connection()
+    .prepare(
+      `INSERT INTO idempotency_keys (apiKeyId, key, route, requestHash)
+       SELECT ?, ?, ?, ?
+       WHERE NOT EXISTS (SELECT 1 FROM idempotency_keys WHERE apiKeyId = ? AND key = ?)
+       ON CONFLICT(apiKeyId, key) DO NOTHING`
+    )
+    .run(apiKeyId, key, route, requestHash, LEGACY_IDEMPOTENCY_API_KEY_ID, key);
+  return result.changes === 1;
+}
+
+function completeIdempotencyKey(apiKeyId, key, statusCode, response) {
+  connection()
+    .prepare(
+      "UPDATE idempotency_keys SET statusCode = ?, response = ? WHERE apiKeyId = ? AND key = ?"
+    )
+    .run(statusCode, JSON.stringify(response), apiKeyId, key);
+}
+
+/** Forget an in-flight key whose request ended without a stored response, so it can be retried. */
+function releaseIdempotencyKey(apiKeyId, key) {
+  connection()
+    .prepare("DELETE FROM idempotency_keys WHERE apiKeyId = ? AND key = ? AND response IS NULL")
+    .run(apiKeyId, key);
+}
+
+/**
+ * Delete idempotency keys older than the retention window.
+ * @param {number} retentionHours
+ */
+function purgeIdempotencyKeys(retentionHours) {
+  return connection()
+    .prepare("DELETE FROM idempotency_keys WHERE createdAt < datetime('now', ?)")
+    .run(`-${retentionHours} hours`).changes;
+}
+
+const API_KEY_COLUMNS = "id, name, role, keyPrefix, lastUsedAt, revokedAt, createdAt";
+
+function insertApiKey({ name, role, keyPrefix, keyHash }) {
+  const result = connection()
+    .prepare("INSERT INTO api_keys (name, role, keyPrefix, keyHash) VALUES (?, ?, ?, ?)")
+    .run(name, role, keyPrefix, keyHash);
+  return getApiKey(result.lastInsertRowid);
+}
+
+/**
+ * Get an API key by id. The hash is never returned.
+ * @param {number} id
+ */
+function getApiKey(id) {
+  const row = connection().prepare(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE id = ?`).get(id);
+  return row || null;
+}
+
+/**
+ * Find an active (non-revoked) API key by its hash and mark it as used.
+ * @param {string} keyHash
+ */
+function useApiKeyByHash(keyHash) {
+  const row = connection()
+    .prepare(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE keyHash = ? AND revokedAt IS NULL`)
+    .get(keyHash);
+  if (!row) return null;
+  connection().prepare("UPDATE api_keys SET lastUsedAt = datetime('now') WHERE id = ?").run(row.id);
+  return row;
+}
+
+function listApiKeys() {
+  return connection().prepare(`SELECT ${API_KEY_COLUMNS} FROM api_keys ORDER BY id`).all();
+}
+
+function revokeApiKey(id) {
+  connection().prepare(
+    "UPDATE api_keys SET revokedAt = datetime('now') WHERE id = ? AND revokedAt IS NULL"
+  ).run(id);
+  return getApiKey(id);
+}
+
+const WEBHOOK_ENDPOINT_COLUMNS = "id, url, events, active, createdAt";
+
+function parseEndpoint(row) {
+  return row ? { ...row, events: JSON.parse(row.events), active: Boolean(row.active) } : null;
+}
+
+function insertWebhookEndpoint({ url, secret, events }) {
+  const result = connection()
+    .prepare("INSERT INTO webhook_endpoints (url, secret, events) VALUES (?, ?, ?)")
+    .run(url, secret, JSON.stringify(events));
+  return getWebhookEndpoint(result.lastInsertRowid);
+}
+
+/**
+ * Get a webhook endpoint by id. The signing secret is not included.
+ * @param {number} id
+ */
+function getWebhookEndpoint(id) {
+  return parseEndpoint(
+    connection()
+      .prepare(`SELECT ${WEBHOOK_ENDPOINT_COLUMNS} FROM webhook_endpoints WHERE id = ?`)
+      .get(id)
+  );
+}
+
+function listWebhookEndpoints() {
+  return connection()
+    .prepare(`SELECT ${WEBHOOK_ENDPOINT_COLUMNS} FROM webhook_endpoints ORDER BY id`)
+    .all()
+    .map(parseEndpoint);
+}
+
+/**
+ * Active endpoints subscribed to an event, including their signing secrets.
+ * @param {string} event
+ */
+function listWebhookEndpointsForEvent(event) {
+  return connection()
+    .prepare("SELECT * FROM webhook_endpoints WHERE active = 1 ORDER BY id")
+    .all()
+    .map(parseEndpoint)
+    .filter((e) => e.events.includes("*") || e.events.includes(event));
+}
+
+function deactivateWebhookEndpoint(id) {
+  connection().prepare("UPDATE webhook_endpoints SET active = 0 WHERE id = ?").run(id);
+  return getWebhookEndpoint(id);
+}
+
+function insertWebhookDelivery({ endpointId, eventId, event, payload }) {
+  const result = connection()
+    .prepare(
+      "INSERT INTO webhook_deliveries (endpointId, eventId, event, payload) VALUES (?, ?, ?, ?)"
+    )
+    .run(endpointId, eventId, event, payload);
+  return getWebhookDelivery(result.lastInsertRowid);
+}
+
+function getWebhookDelivery(id) {
+  const row = connection().prepare("SELECT * FROM webhook_deliveries WHERE id = ?").get(id);
+  return row || null;
+}
+
+/**
+ * Pending deliveries whose next attempt is due, joined with their endpoint url and secret.
+ * @param {number} limit
+ */
+function listDueWebhookDeliveries(limit) {
+  return connection()
+    .prepare(
+      `SELECT d.*, e.url, e.secret FROM webhook_deliveries d
+       JOIN webhook_endpoints e ON e.id = d.endpointId
+       WHERE d.status = 'pending' AND d.nextAttemptAt <= datetime('now') AND e.active = 1
+       ORDER BY d.nextAttemptAt, d.id LIMIT ?`
+    )
+    .all(limit);
+}
+
+/**
+ * Record the outcome of one delivery attempt.
+ * @param {number} id
+ * @param {object} outcome
+ * @param {string} outcome.status - "pending" (retry later), "delivered" or "failed"
+ * @param {number} [outcome.retryInSeconds] - delay before the next attempt when pending
+ * @param {number | null} [outcome.statusCode]
+ * @param {string | null} [outcome.error]
+ */
+function recordWebhookAttempt(id, { status, retryInSeconds = 0, statusCode = null, error = null }) {
+  connection().prepare(
+    `UPDATE webhook_deliveries SET
+       status = ?,
+       attempts = attempts + 1,
+       nextAttemptAt = datetime('now', ?),
+       lastStatusCode = ?,
+       lastError = ?,
+       deliveredAt = CASE WHEN ? = 'delivered' THEN datetime('now') ELSE deliveredAt END
+     WHERE id = ?`
+  ).run(status, `+${retryInSeconds} seconds`, statusCode, error, status, id);
+}
+
+/**
+ * Queue a delivery to be sent again on the next dispatch, with a fresh attempt budget.
+ * @param {number} id
+ */
+function resetWebhookDelivery(id) {
+  connection().prepare(
+    `UPDATE webhook_deliveries SET status = 'pending', attempts = 0, nextAttemptAt = datetime('now')
+     WHERE id = ?`
+  ).run(id);
+  return getWebhookDelivery(id);
+}
+
+/**
+ * List deliveries for an endpoint, newest first.
+ * @returns {{ rows: Array<any>, total: number }}
+ */
+function listWebhookDeliveries(endpointId, { limit, offset }) {
+  const rows = connection()
+    .prepare(
+      "SELECT * FROM webhook_deliveries WHERE endpointId = ? ORDER BY id DESC LIMIT ? OFFSET ?"
+    )
+    .all(endpointId, limit, offset);
+  const { total } = connection()
+    .prepare("SELECT COUNT(*) AS total FROM webhook_deliveries WHERE endpointId = ?")
+    .get(endpointId);
+  return { rows, total };
+}
+
+/**
+ * List processed deposits newest first, optionally filtered by a TxID or userId substring.
+ * @param {object} options
+ * @param {string} [options.search]
+ * @param {number} options.limit
+ * @param {number} options.offset
+ * @returns {{ rows: Array<any>, total: number }}
+ */
+function listProcessedTransactions({ search, limit, offset }) {
+  const where = search
+    ? "WHERE txId LIKE @pattern ESCAPE '\\' OR userId LIKE @pattern ESCAPE '\\'"
+    : "";
+  // Match the search text literally, not as LIKE wildcards.
+  const pattern = search ? `%${search.replace(/[\\%_]/g, "\\$&")}%` : undefined;
+  const rows = connection()
+    .prepare(
+      `SELECT * FROM processed_transactions ${where} ORDER BY id DESC LIMIT @limit OFFSET @offset`
+    )
+    .all({ pattern, limit, offset });
+  const { total } = connection()
+    .prepare(`SELECT COUNT(*) AS total FROM processed_transactions ${where}`)
+    .get({ pattern });
+  return { rows, total };
+}
+
+/**
+ * Deposits whose Binance confirmation time (confirmedAt) is in [start, end).
+ * @param {string} start - ISO timestamp
+ * @param {string} end - ISO timestamp
+ */
+function listProcessedTransactionsBetween(start, end) {
+  return connection()
+    .prepare(
+      "SELECT * FROM processed_transactions WHERE confirmedAt >= ? AND confirmedAt < ? ORDER BY id"
+    )
+    .all(start, end);
+}
+
 function getSetting(key) {
-  const row = db.prepare("SELECT value FROM settings WHERE key = ?").get(key);
+  const row = connection().prepare("SELECT value FROM settings WHERE key = ?").get(key);
   return row ? row.value : null;
 }
 
 function setSetting(key, value) {
-  db.prepare(
+  connection().prepare(
     "INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"
   ).run(key, String(value));
 }
 
-module.exports = { getByTxId, insert, getSetting, setSetting };
+function listSettings() {
+  return connection().prepare("SELECT key, value FROM settings ORDER BY key").all();
+}
+
+function deleteSetting(key) {
+  return connection().prepare("DELETE FROM settings WHERE key = ?").run(key).changes;
+}
+
+function insertWithdrawal(record) {
+  const result = connection()
+    .prepare(
+      `INSERT INTO withdrawals
+         (address, network, memo, asset, amount, amountMode, networkFee, platformFee, rate,
+          amountKes, status, userId, quoteId)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(
+      record.address,
+      record.network,
+      record.memo || null,
+      record.asset,
+      record.amount,
+      record.amountMode || null,
+      record.networkFee || 0,
+      record.platformFee || 0,
+      record.rate,
+      record.amountKes,
+      record.status,
+      record.userId || null,
+      record.quoteId || null
+    );
+  return getWithdrawal(result.lastInsertRowid);
+}
+
+function getWithdrawal(id) {
+  const row = connection().prepare("SELECT * FROM withdrawals WHERE id = ?").get(id);
+  return row || null;
+}
+
+/**
+ * Update selected columns of a withdrawal and bump updatedAt.
+ * @param {number} id
+ * @param {Record<string, string | number | null>} fields
+ */
+function updateWithdrawal(id, fields) {
+  const allowed = [
+    "binanceId",
+    "status",
+    "binanceStatus",
+    "onChainTxId",
+    "error",
+    "approvedBy",
+    "approvedAt",
+  ];
+  const keys = Object.keys(fields).filter((k) => allowed.includes(k));
+  if (keys.length === 0) return getWithdrawal(id);
+
+  const assignments = keys.map((k) => `${k} = @${k}`).join(", ");
+  const values = {};
+  for (const k of keys) values[k] = fields[k] == null ? null : fields[k];
+  connection().prepare(
+    `UPDATE withdrawals SET ${assignments}, updatedAt = datetime('now') WHERE id = @id`
+  ).run({ ...values, id });
+  return getWithdrawal(id);
+}
+
+/**
+ * List withdrawals newest first.
+ * @param {object} options
+ * @param {number} options.limit
+ * @param {number} options.offset
+ * @param {string} [options.status]
+ * @returns {{ rows: Array<any>, total: number }}
+ */
+function listWithdrawals({ limit, offset, status }) {
+  const where = status ? "WHERE status = @status" : "";
+  const rows = connection()
+    .prepare(`SELECT * FROM withdrawals ${where} ORDER BY id DESC LIMIT @limit OFFSET @offset`)
+    .all({ status, limit, offset });
+  const { total } = connection()
+    .prepare(`SELECT COUNT(*) AS total FROM withdrawals ${where}`)
+    .get({ status });
+  return { rows, total };
+}
+
+/**
+ * Withdrawals recorded in [start, end).
+ * @param {string} start - "YYYY-MM-DD HH:MM:SS" UTC, as createdAt is stored
+ * @param {string} end
+ */
+function listWithdrawalsBetween(start, end) {
+  return connection()
+    .prepare("SELECT * FROM withdrawals WHERE createdAt >= ? AND createdAt < ? ORDER BY id")
+    .all(start, end);
+}
+
+function findWithdrawalByBinanceId(binanceId) {
+  const row = connection().prepare("SELECT * FROM withdrawals WHERE binanceId = ?").get(binanceId);
+  return row || null;
+}
+
+/**
+ * Total USDT of withdrawals recorded in the last 24 hours that did not fail,
+ * including those awaiting approval.
+ * @param {object} [options]
+ * @param {string} [options.address] - only withdrawals to this address
+ * @returns {number}
+ */
+function sumWithdrawalsLast24h({ address } = {}) {
+  const row = connection()
+    .prepare(
+      `SELECT COALESCE(SUM(amount), 0) AS total FROM withdrawals
+       WHERE createdAt >= datetime('now', '-1 day')
+         AND status NOT IN ('cancelled', 'rejected', 'failed')
+         ${address ? "AND address = @address" : ""}`
+    )
+    .get({ address });
+  return row.total;
+}
+
+/**
+ * Add an address to the withdrawal allowlist, or re-add a removed one.
+ * Re-adding restarts its cooling-off period.
+ */
+function upsertWithdrawalAddress({ address, network, label, usableAt, createdBy }) {
+  connection().prepare(
+    `INSERT INTO withdrawal_addresses (address, network, label, usableAt, createdBy)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(address, network) DO UPDATE SET
+       label = excluded.label,
+       usableAt = CASE WHEN status = 'active' THEN usableAt ELSE excluded.usableAt END,
+       createdBy = CASE WHEN status = 'active' THEN createdBy ELSE excluded.createdBy END,
+       status = 'active',
+       removedAt = NULL`
+  ).run(address, network, label || null, usableAt, createdBy || null);
+  return findWithdrawalAddress(address, network);
+}
+
+function getWithdrawalAddress(id) {
+  const row = connection().prepare("SELECT * FROM withdrawal_addresses WHERE id = ?").get(id);
+  return row || null;
+}
+
+function findWithdrawalAddress(address, network) {
+  const row = connection()
+    .prepare("SELECT * FROM withdrawal_addresses WHERE address = ? AND network = ?")
+    .get(address, network);
+  return row || null;
+}
+
+function listWithdrawalAddresses() {
+  return connection()
+    .prepare("SELECT * FROM withdrawal_addresses WHERE status = 'active' ORDER BY id DESC")
+    .all();
+}
+
+function removeWithdrawalAddress(id) {
+  connection().prepare(
+    `UPDATE withdrawal_addresses SET status = 'removed', removedAt = datetime('now')
+     WHERE id = ? AND status = 'active'`
+  ).run(id);
+  return getWithdrawalAddress(id);
+}
+
+function getAccount(userId) {
+  const row = connection().prepare("SELECT * FROM accounts WHERE userId = ?").get(userId);
+  return row || null;
+}
+
+/**
+ * Change an account's KES balance and record the entry in its history.
+ * The account is created on first use. Call inside transaction() together with
+ * the record the entry belongs to.
+ * @param {object} entry
+ * @param {string} entry.userId
+ * @param {string} entry.type - e.g. "deposit", "withdrawal", "withdrawal_reversal"
+ * @param {number} entry.amountKes - positive to credit, negative to debit
+ * @param {string} [entry.reference] - what the entry belongs to, e.g. a TxID
+ * @returns {object} the updated account
+ * @throws {Error} with code "INSUFFICIENT_BALANCE" if a debit would overdraw the account
+ */
+function applyAccountEntry({ userId, type, amountKes, reference }) {
+  connection()
+    .prepare("INSERT INTO accounts (userId) VALUES (?) ON CONFLICT(userId) DO NOTHING")
+    .run(userId);
+  const account = getAccount(userId);
+
+  // Add in cents so repeated entries never accumulate floating point error.
+  const balanceAfterKes = fromMinor(
+    toMinor(account.balanceKes, "KES") + toMinor(amountKes, "KES"),
+    "KES"
+  );
+  if (balanceAfterKes < 0) {
+    const err = new Error(
+      `Balance ${account.balanceKes} KES is less than the ${-amountKes} KES required`
+    );
+    err.code = "INSUFFICIENT_BALANCE";
+    err.balanceKes = account.balanceKes;
+    throw err;
+  }
+
+  connection().prepare(
+    "UPDATE accounts SET balanceKes = ?, updatedAt = datetime('now') WHERE userId = ?"
+  ).run(balanceAfterKes, userId);
+  connection().prepare(
+    `INSERT INTO account_transactions (userId, type, amountKes, balanceAfterKes, reference)
+     VALUES (?, ?, ?, ?, ?)`
+  ).run(userId, type, amountKes, balanceAfterKes, reference || null);
+  return getAccount(userId);
+}
+
+/**
+ * List an account's balance changes, newest first.
+ * @returns {{ rows: Array<any>, total: number }}
+ */
+function listAccountTransactions(userId, { limit, offset }) {
+  const rows = connection()
+    .prepare(
+      "SELECT * FROM account_transactions WHERE userId = ? ORDER BY id DESC LIMIT ? OFFSET ?"
+    )
+    .all(userId, limit, offset);
+  const { total } = connection()
+    .prepare("SELECT COUNT(*) AS total FROM account_transactions WHERE userId = ?")
+    .get(userId);
+  return { rows, total };
+}
+
+/**
+ * Get a ledger account by code, creating it on first use.
+ * @param {{ code: string, type: string, currency: string }} account
+ */
+function getOrCreateLedgerAccount({ code, type, currency }) {
+  connection()
+    .prepare(
+      "INSERT INTO ledger_accounts (code, type, currency) VALUES (?, ?, ?) ON CONFLICT(code) DO NOTHING"
+    )
+    .run(code, type, currency);
+  return connection().prepare("SELECT * FROM ledger_accounts WHERE code = ?").get(code);
+}
+
+/**
+ * Insert a journal entry and its postings. Balance checks are the caller's job (see ledger.js).
+ * @param {{ type: string, reference?: string, description?: string }} entry
+ * @param {Array<{ accountId: number, amount: number }>} postings
+ * @returns {number} entry id
+ */
+function insertJournalEntry({ type, reference, description }, postings) {
+  return transaction(() => {
+    const { lastInsertRowid: entryId } = connection()
+      .prepare("INSERT INTO journal_entries (type, reference, description) VALUES (?, ?, ?)")
+      .run(type, reference || null, description || null);
+    const stmt = connection().prepare(
+      "INSERT INTO postings (entryId, accountId, amount) VALUES (?, ?, ?)"
+    );
+    for (const p of postings) {
+      stmt.run(entryId, p.accountId, p.amount);
+    }
+    return Number(entryId);
+  });
+}
+
+/**
+ * Balance of every ledger account, with its debit and credit totals (minor units).
+ */
+function listLedgerBalances() {
+  return connection()
+    .prepare(
+      `SELECT a.code, a.type, a.currency,
+         COALESCE(SUM(CASE WHEN p.amount > 0 THEN p.amount END), 0) AS debits,
+         COALESCE(-SUM(CASE WHEN p.amount < 0 THEN p.amount END), 0) AS credits,
+         COALESCE(SUM(p.amount), 0) AS balance
+       FROM ledger_accounts a
+       LEFT JOIN postings p ON p.accountId = a.id
+       GROUP BY a.id
+       ORDER BY a.currency, a.code`
+    )
+    .all();
+}
+
+/**
+ * Insert or refresh cached Binance deposit history records.
+ * @param {string} coin
+ * @param {Array<any>} deposits - raw Binance records
+ */
+function upsertBinanceDeposits(coin, deposits) {
+  const stmt = connection().prepare(
+    `INSERT INTO binance_deposits (key, txId, coin, status, insertTime, record)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(key) DO UPDATE SET
+       status = excluded.status,
+       record = excluded.record,
+       fetchedAt = datetime('now')`
+  );
+  transaction(() => {
+    for (const d of deposits) {
+      if (!d || typeof d.txId !== "string") continue;
+      const txId = d.txId.trim();
+      const key = d.id != null ? String(d.id) : `${txId}:${d.insertTime}`;
+      stmt.run(key, txId, coin, Number(d.status), Number(d.insertTime || 0), JSON.stringify(d));
+    }
+  });
+}
+
+/**
+ * Cached Binance deposit records with any of the given TxIDs.
+ * @param {string[]} txIds
+ */
+function findBinanceDeposits(txIds) {
+  const placeholders = txIds.map(() => "?").join(", ");
+  return connection()
+    .prepare(`SELECT record FROM binance_deposits WHERE txId IN (${placeholders})`)
+    .all(...txIds)
+    .map((row) => JSON.parse(row.record));
+}
+
+function isDepositWindowCached(coin, startTime) {
+  return Boolean(
+    connection()
+      .prepare("SELECT 1 FROM deposit_history_windows WHERE coin = ? AND startTime = ?")
+      .get(coin, startTime)
+  );
+}
+
+function markDepositWindowCached(coin, startTime, endTime) {
+  connection().prepare(
+    "INSERT INTO deposit_history_windows (coin, startTime, endTime) VALUES (?, ?, ?) ON CONFLICT DO NOTHING"
+  ).run(coin, startTime, endTime);
+}
+
+function getPendingDeposit(txId) {
+  const row = connection().prepare("SELECT * FROM pending_deposits WHERE txId = ?").get(txId);
+  return row || null;
+}
+
+/**
+ * Save (or refresh) a pending claim for a TxID whose deposit has not confirmed yet.
+ * @param {object} claim
+ * @param {string} claim.txId - normalized TxID
+ * @param {string} claim.submittedTxId - TxID as submitted (trimmed), used for lookups
+ * @param {string | null} claim.userId
+ * @param {number} claim.binanceStatus
+ * @param {number} claim.amount
+ * @param {string | null} [claim.quoteId] - quote whose rate the claim is credited at; kept once set
+ */
+function upsertPendingDeposit({ txId, submittedTxId, userId, binanceStatus, amount, quoteId }) {
+  connection().prepare(
+    `INSERT INTO pending_deposits
+       (txId, submittedTxId, userId, binanceStatus, amount, quoteId, lastCheckedAt)
+     VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+     ON CONFLICT(txId) DO UPDATE SET
+       binanceStatus = excluded.binanceStatus,
+       amount = excluded.amount,
+       quoteId = COALESCE(pending_deposits.quoteId, excluded.quoteId),
+       lastCheckedAt = excluded.lastCheckedAt,
+       updatedAt = datetime('now')`
+  ).run(txId, submittedTxId, userId || null, binanceStatus, amount, quoteId || null);
+  return getPendingDeposit(txId);
+}
+
+/**
+ * Pending claims, least recently checked first.
+ * @param {number} limit
+ */
+function listPendingDeposits(limit) {
+  return connection()
+    .prepare(
+      `SELECT * FROM pending_deposits WHERE status = 'pending'
+       ORDER BY COALESCE(lastCheckedAt, createdAt), id LIMIT ?`
+    )
+    .all(limit);
+}
+
+/**
+ * Record that a pending claim was checked and is still waiting.
+ */
+function touchPendingDeposit(txId, binanceStatus) {
+  connection().prepare(
+    `UPDATE pending_deposits SET
+       binanceStatus = COALESCE(?, binanceStatus),
+       lastCheckedAt = datetime('now'),
+       updatedAt = datetime('now')
+     WHERE txId = ?`
+  ).run(binanceStatus == null ? null : binanceStatus, txId);
+}
+
+/**
+ * Close a pending claim.
+ * @param {string} txId - normalized TxID
+ * @param {"credited" | "rejected" | "expired"} status
+ * @param {string} [reason]
+ */
+function resolvePendingDeposit(txId, status, reason) {
+  connection().prepare(
+    `UPDATE pending_deposits SET status = ?, reason = ?, updatedAt = datetime('now')
+     WHERE txId = ? AND status = 'pending'`
+  ).run(status, reason || null, txId);
+}
+
+function insertRateHistory({ type, previousRate, rate, source, actor }) {
+  connection().prepare(
+    `INSERT INTO rate_history (type, previousRate, rate, source, actor) VALUES (?, ?, ?, ?, ?)`
+  ).run(type, previousRate, rate, source, actor);
+}
+
+/**
+ * List rate changes newest first.
+ * @param {object} options
+ * @param {string} [options.type] - "deposit" or "withdrawal"
+ * @param {number} options.limit
+ * @param {number} options.offset
+ * @returns {{ rows: Array<any>, total: number }}
+ */
+function listRateHistory({ type, limit, offset }) {
+  const where = type ? "WHERE type = @type" : "";
+  const rows = connection()
+    .prepare(`SELECT * FROM rate_history ${where} ORDER BY id DESC LIMIT @limit OFFSET @offset`)
+    .all({ type, limit, offset });
+  const { total } = connection()
+    .prepare(`SELECT COUNT(*) AS total FROM rate_history ${where}`)
+    .get({ type });
+  return { rows, total };
+}
+
+function insertQuote({ id, type, rate, amount, amountKes, userId, createdBy, expiresAt }) {
+  connection().prepare(
+    `INSERT INTO quotes (id, type, rate, amount, amountKes, userId, createdBy, expiresAt)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(id, type, rate, amount, amountKes, userId || null, createdBy || null, expiresAt);
+  return getQuote(id);
+}
+
+function getQuote(id) {
+  const row = connection().prepare("SELECT * FROM quotes WHERE id = ?").get(id);
+  return row || null;
+}
+
+/**
+ * Mark a quote used, unless it already was.
+ * @param {string} id
+ * @param {string} usedBy - what it was used for, e.g. a TxID or "withdrawal:<id>"
+ * @returns {boolean} false if the quote was already used
+ */
+function markQuoteUsed(id, usedBy) {
+  const result = connection()
+    .prepare(
+      `UPDATE quotes SET usedAt = strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), usedBy = ?
+       WHERE id = ? AND usedAt IS NULL`
+    )
+    .run(usedBy, id);
+  return result.changes === 1;
+}
+
+/**
+ * Store a reconciliation run and its issues.
+ * @param {object} report
+ * @param {string} report.periodStart - ISO timestamp
+ * @param {string} report.periodEnd - ISO timestamp
+ * @param {string} report.trigger - "scheduled", "api" or "cli"
+ * @param {"ok" | "issues" | "failed"} report.status
+ * @param {object} [report.summary]
+ * @param {string} [report.error]
+ * @param {Array<any>} issues
+ * @returns {number} report id
+ */
+function insertReconciliationReport(
+  { periodStart, periodEnd, trigger, status, summary, error },
+  issues
+) {
+  const insertIssue = connection().prepare(
+    `INSERT INTO reconciliation_issues
+       (reportId, type, reference, localAmount, binanceAmount, localStatus, binanceStatus,
+        occurredAt, detail)
+     VALUES (@reportId, @type, @reference, @localAmount, @binanceAmount, @localStatus,
+       @binanceStatus, @occurredAt, @detail)`
+  );
+  return transaction(() => {
+    const result = connection()
+      .prepare(
+        `INSERT INTO reconciliation_reports (periodStart, periodEnd, trigger, status, summary, error)
+         VALUES (?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        periodStart,
+        periodEnd,
+        trigger,
+        status,
+        summary ? JSON.stringify(summary) : null,
+        error || null
+      );
+    const reportId = Number(result.lastInsertRowid);
+    for (const issue of issues) {
+      insertIssue.run({
+        localAmount: null,
+        binanceAmount: null,
+        localStatus: null,
+        binanceStatus: null,
+        occurredAt: null,
+        detail: null,
+        ...issue,
+        reportId,
+      });
+    }
+    return reportId;
+  });
+}
+
+function getReconciliationReport(id) {
+  const row = connection().prepare("SELECT * FROM reconciliation_reports WHERE id = ?").get(id);
+  return row || null;
+}
+
+/**
+ * List reconciliation runs newest first, with their number of issues.
+ * @param {object} options
+ * @param {number} options.limit
+ * @param {number} options.offset
+ * @returns {{ rows: Array<any>, total: number }}
+ */
+function listReconciliationReports({ limit, offset }) {
+  const rows = connection()
+    .prepare(
+      `SELECT r.*, (SELECT COUNT(*) FROM reconciliation_issues i WHERE i.reportId = r.id)
+         AS issueCount
+       FROM reconciliation_reports r ORDER BY r.id DESC LIMIT ? OFFSET ?`
+    )
+    .all(limit, offset);
+  const { total } = connection()
+    .prepare("SELECT COUNT(*) AS total FROM reconciliation_reports")
+    .get();
+  return { rows, total };
+}
+
+function listReconciliationIssues(reportId) {
+  return connection()
+    .prepare("SELECT * FROM reconciliation_issues WHERE reportId = ? ORDER BY id")
+    .all(reportId);
+}
+
+function getLastAuditEntry() {
+  const row = connection().prepare("SELECT * FROM audit_log ORDER BY id DESC LIMIT 1").get();
+  return row || null;
+}
+
+/**
+ * Append an audit row, hash included (see src/audit.js).
+ * @param {Record<string, string | number | null>} row - every audit_log column
+ */
+function insertAuditEntry(row) {
+  connection().prepare(
+    `INSERT INTO audit_log
+       (id, createdAt, action, actor, ip, route, target, before, after, outcome, binanceId,
+        error, prevHash, hash)
+     VALUES (@id, @createdAt, @action, @actor, @ip, @route, @target, @before, @after, @outcome,
+       @binanceId, @error, @prevHash, @hash)`
+  ).run(row);
+}
+
+/**
+ * List audit rows newest first.
+ * @param {object} options
+ * @param {string} [options.action]
+ * @param {string} [options.actor]
+ * @param {string} [options.target]
+ * @param {string} [options.outcome]
+ * @param {string} [options.from] - ISO timestamp, inclusive
+ * @param {string} [options.to] - ISO timestamp, exclusive
+ * @param {number} options.limit
+ * @param {number} options.offset
+ * @returns {{ rows: Array<any>, total: number }}
+ */
+function listAuditLog({ action, actor, target, outcome, from, to, limit, offset }) {
+  const filters = { action, actor, target, outcome, from, to };
+  const conditions = [];
+  if (action) conditions.push("action = @action");
+  if (actor) conditions.push("actor = @actor");
+  if (target) conditions.push("target = @target");
+  if (outcome) conditions.push("outcome = @outcome");
+  if (from) conditions.push("createdAt >= @from");
+  if (to) conditions.push("createdAt < @to");
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+  const rows = connection()
+    .prepare(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT @limit OFFSET @offset`)
+    .all({ ...filters, limit, offset });
+  const { total } = connection()
+    .prepare(`SELECT COUNT(*) AS total FROM audit_log ${where}`)
+    .get(filters);
+  return { rows, total };
+}
+
+/**
+ * Every audit row, oldest first, read one at a time.
+ * @returns {IterableIterator<any>}
+ */
+function iterateAuditLog() {
+  return connection().prepare("SELECT * FROM audit_log ORDER BY id").iterate();
+}
+
+/**
+ * Rows of a table whose date column is before a cutoff, for maintenance purges.
+ * Table, column and where come from code, never from input.
+ * @param {object} options
+ * @param {string} options.table
+ * @param {string} options.column - a datetime('now') style column, e.g. "createdAt"
+ * @param {string} [options.where] - extra SQL condition
+ * @param {string} options.cutoff - "YYYY-MM-DD HH:MM:SS" UTC
+ */
+function listRowsBefore({ table, column, where, cutoff }) {
+  return connection()
+    .prepare(
+      `SELECT * FROM ${table} WHERE ${column} < ? ${where ? `AND (${where})` : ""} ORDER BY rowid`
+    )
+    .all(cutoff);
+}
+
+/**
+ * Delete the rows of a table whose column is one of the given values.
+ * @param {string} table
+ * @param {Array<string | number>} values
+ * @param {string} [column]
+ * @returns {number} rows deleted
+ */
+function deleteRows(table, values, column = "id") {
+  const statement = connection().prepare(`DELETE FROM ${table} WHERE ${column} = ?`);
+  return values.reduce((deleted, value) => deleted + statement.run(value).changes, 0);
+}
+
+/**
+ * Copy the database to a file with SQLite's online backup API; other connections keep working.
+ * @param {string} destination
+ * @returns {Promise<{ totalPages: number, remainingPages: number }>}
+ */
+function backupDatabase(destination) {
+  return connection().backup(destination);
+}
+
+/**
+ * Write a row and roll it back, to prove the database accepts writes (e.g. the file is not
+ * read-only and no other process holds the write lock past busy_timeout).
+ * @throws if the write fails
+ */
+function checkDatabaseWritable() {
+  const database = connection();
+  database.exec("SAVEPOINT health_check");
+  try {
+    database
+      .prepare("INSERT OR REPLACE INTO settings (key, value) VALUES ('HEALTH_CHECK', ?)")
+      .run(new Date().toISOString());
+  } finally {
+    database.exec("ROLLBACK TO health_check; RELEASE health_check");
+  }
+}
+
+module.exports = {
+  DEFAULT_DB_PATH,
+  openDatabase,
+  useDatabase,
+  transaction,
+  getByTxId,
+  insert,
+  assignProcessedTransaction,
+  listProcessedTransactions,
+  listProcessedTransactionsBetween,
+  getSetting,
+  setSetting,
+  listSettings,
+  deleteSetting,
+  getIdempotencyKey,
+  createIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+  purgeIdempotencyKeys,
+  insertApiKey,
+  getApiKey,
+  useApiKeyByHash,
+  listApiKeys,
+  revokeApiKey,
+  insertWebhookEndpoint,
+  getWebhookEndpoint,
+  listWebhookEndpoints,
+  listWebhookEndpointsForEvent,
+  deactivateWebhookEndpoint,
+  insertWebhookDelivery,
+  getWebhookDelivery,
+  listDueWebhookDeliveries,
+  recordWebhookAttempt,
+  resetWebhookDelivery,
+  listWebhookDeliveries,
+  insertWithdrawal,
+  getWithdrawal,
+  updateWithdrawal,
+  listWithdrawals,
+  listWithdrawalsBetween,
+  findWithdrawalByBinanceId,
+  sumWithdrawalsLast24h,
+  upsertWithdrawalAddress,
+  getWithdrawalAddress,
+  findWithdrawalAddress,
+  listWithdrawalAddresses,
+  removeWithdrawalAddress,
+  getAccount,
+  applyAccountEntry,
+  listAccountTransactions,
+  getOrCreateLedgerAccount,
+  insertJournalEntry,
+  listLedgerBalances,
+  upsertBinanceDeposits,
+  findBinanceDeposits,
+  isDepositWindowCached,
+  markDepositWindowCached,
+  getPendingDeposit,
+  upsertPendingDeposit,
+  listPendingDeposits,
+  touchPendingDeposit,
+  resolvePendingDeposit,
+  insertRateHistory,
+  listRateHistory,
+  insertQuote,
+  getQuote,
+  markQuoteUsed,
+  insertReconciliationReport,
+  getReconciliationReport,
+  listReconciliationReports,
+  listReconciliationIssues,
+  getLastAuditEntry,
+  insertAuditEntry,
+  listAuditLog,
+  iterateAuditLog,
+  listRowsBefore,
+  deleteRows,
+  backupDatabase,
+  checkDatabaseWritable,
+};
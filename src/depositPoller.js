@@ -0,0 +1,122 @@
+const { DEPOSIT_HISTORY_MAX_RANGE_MS } = require("./binanceClient");
+const { binance } = require("./binance");
+const { getSetting, setSetting } = require("./db");
+const { IN_FLIGHT_DEPOSIT_STATUSES, findProcessed, creditDeposit } = require("./deposits");
+const { emitEvent } = require("./webhooks");
+const { logger } = require("./logger");
+
+const DEPOSIT_POLLER_ENABLED = process.env.DEPOSIT_POLLER_ENABLED === "true";
+
+const DEPOSIT_POLL_INTERVAL_MS = (() => {
+  const n = Number(process.env.DEPOSIT_POLL_INTERVAL_MS || "60000");
+  return !Number.isNaN(n) && n >= 5000 ? n : 60000;
+})();
+
+// How far back the first poll looks, so deposits that arrived before it are credited too.
+const DEPOSIT_POLLER_LOOKBACK_HOURS = (() => {
+  const n = Number(process.env.DEPOSIT_POLLER_LOOKBACK_HOURS || "24");
+  return !Number.isNaN(n) && n >= 0 ? n : 24;
+})();
+
+// Settings key holding the startTime (ms) of the next deposit history query.
+const CURSOR_KEY = "DEPOSIT_POLLER_START_TIME";
+
+function isDuplicateTxId(err) {
+  return err && err.code === "SQLITE_CONSTRAINT_UNIQUE";
+}
+
+/**
+ * Run one poll: credit newly confirmed deposits and advance the cursor. The first poll
+ * starts DEPOSIT_POLLER_LOOKBACK_HOURS back. The cursor never moves past a deposit that may
+ * still confirm, so it is seen again next time.
+ * @param {object} options
+ * @param {() => number} options.getRate - current KES per USDT; may throw if unavailable
+ * @param {() => number} options.getMinDepositAmount - current minimum deposit (USDT)
+ * @returns {Promise<Array<object>>} deposits credited in this poll
+ */
+async function pollDeposits({ getRate, getMinDepositAmount }) {
+  const endTime = Date.now();
+  const storedCursor = Number(getSetting(CURSOR_KEY));
+  // A deposit stuck in flight for longer than Binance's maximum range is given up on.
+  const startTime = Math.max(
+    storedCursor > 0 ? storedCursor : endTime - DEPOSIT_POLLER_LOOKBACK_HOURS * 60 * 60 * 1000,
+    endTime - DEPOSIT_HISTORY_MAX_RANGE_MS
+  );
+
+  const deposits = await binance().getDepositHistoryRange({ coin: "USDT", startTime, endTime });
+
+  const credited = [];
+  let nextCursor = endTime;
+  // Read once, before the first credit, so a stale rate fails the poll before anything is credited.
+  let rate = null;
+  for (const d of deposits) {
+    if (!d || typeof d.txId !== "string" || !d.txId.trim()) continue;
+
+    const status = Number(d.status);
+    if (IN_FLIGHT_DEPOSIT_STATUSES.includes(status) && d.insertTime) {
+      nextCursor = Math.min(nextCursor, Number(d.insertTime));
+    }
+    if (status !== 1) continue;
+
+    const txId = d.txId.trim();
+    if (findProcessed(txId)) continue;
+
+    const minDepositAmount = getMinDepositAmount();
+    if (minDepositAmount > 0 && Number(d.amount || 0) < minDepositAmount) continue;
+
+    let record;
+    try {
+      if (rate == null) rate = getRate();
+      record = creditDeposit({
+        txId,
+        deposit: d,
+        rate,
+        source: "poller",
+        audit: { actor: "deposit_poller" },
+      });
+    } catch (err) {
+      // Claimed through POST /api/deposit/txid in the meantime.
+      if (isDuplicateTxId(err)) continue;
+      throw err;
+    }
+    credited.push({ ...record, network: d.network });
+    // Announced as soon as it is credited, so a later failure in this poll cannot lose it.
+    emitEvent("deposit.credited", { ...record, network: d.network, source: "poller" });
+  }
+
+  setSetting(CURSOR_KEY, nextCursor);
+  return credited;
+}
+
+/**
+ * Start polling Binance deposit history every DEPOSIT_POLL_INTERVAL_MS.
+ * Polls never overlap; a failed poll is logged and retried on the next interval.
+ * @param {object} options - see pollDeposits
+ * @returns {() => void} stop function
+ */
+function startDepositPoller(options) {
+  let timer = null;
+  let stopped = false;
+
+  const tick = async () => {
+    try {
+      const credited = await pollDeposits(options);
+      if (credited.length > 0) {
+        logger.info("Deposit poller credited deposits", { credited: credited.length });
+      }
+    } catch (err) {
+      logger.error("Deposit poller error", { err });
+    }
+    if (!stopped) timer = setTimeout(tick, DEPOSIT_POLL_INTERVAL_MS);
+  };
+
+  logger.info("Deposit poller started", { intervalMs: DEPOSIT_POLL_INTERVAL_MS });
+  tick();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+module.exports = { DEPOSIT_POLLER_ENABLED, pollDeposits, startDepositPoller };
@@ -0,0 +1,268 @@
+const { binance } = require("./binance");
+const {
+  transaction,
+  getByTxId,
+  insert,
+  assignProcessedTransaction,
+  applyAccountEntry,
+  upsertBinanceDeposits,
+  findBinanceDeposits,
+  isDepositWindowCached,
+  markDepositWindowCached,
+  getPendingDeposit,
+  resolvePendingDeposit,
+  getQuote,
+} = require("./db");
+const { postDeposit, postDepositAssignment } = require("./ledger");
+const { recordAudit } = require("./audit");
+const { getArchivedTransaction } = require("./txidArchive");
+const { toMinor, fromMinor, usdtToKesMinor } = require("./money");
+
+const OFF_CHAIN_PREFIX = "Off-chain transfer ";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far back a TxID lookup searches Binance deposit history.
+const DEPOSIT_LOOKBACK_DAYS = (() => {
+  const n = Number(process.env.DEPOSIT_LOOKBACK_DAYS || "365");
+  return !Number.isNaN(n) && n > 0 ? n : 365;
+})();
+
+// Lookups query history in windows aligned to multiples of this size, so fetched windows can be
+// reused from the cache. Must not exceed Binance's 90 day maximum range.
+const LOOKUP_WINDOW_MS = 30 * DAY_MS;
+
+// A window is only cached once it ended this long ago and all its deposits reached a final status.
+const WINDOW_SETTLE_MS = DAY_MS;
+
+// Deposit statuses that never change: 1 success, 2 rejected, 7 wrong deposit.
+const FINAL_DEPOSIT_STATUSES = [1, 2, 7];
+
+// Deposit statuses that can still become successful:
+// 0 pending, 6 credited but cannot withdraw, 8 waiting user confirmation.
+const IN_FLIGHT_DEPOSIT_STATUSES = [0, 6, 8];
+
+/**
+ * Normalize a TxID: if it doesn't start with "Off-chain transfer ", prepend it.
+ * This is the form stored in processed_transactions.
+ * @param {string} txId - already trimmed
+ */
+function normalizeTxId(txId) {
+  return txId.startsWith(OFF_CHAIN_PREFIX) ? txId : `${OFF_CHAIN_PREFIX}${txId}`;
+}
+
+/**
+ * Find an already processed deposit by TxID, checking both normalized and original versions,
+ * in the database and then in the TxID archive of purged rows.
+ * @param {string} txId - already trimmed
+ */
+function findProcessed(txId) {
+  return (
+    getByTxId(normalizeTxId(txId)) ||
+    getByTxId(txId) ||
+    getArchivedTransaction(normalizeTxId(txId)) ||
+    getArchivedTransaction(txId)
+  );
+}
+
+function isFinalDeposit(d) {
+  return FINAL_DEPOSIT_STATUSES.includes(Number(d.status));
+}
+
+/**
+ * Whether a Binance deposit record has the given TxID, in normalized or original form.
+ * @param {any} d - Binance deposit history record
+ * @param {string} txId - already trimmed
+ */
+function matchesTxId(d, txId) {
+  if (!d || typeof d.txId !== "string") return false;
+  const candidates = [normalizeTxId(txId), txId];
+  return candidates.includes(d.txId) || candidates.includes(d.txId.trim());
+}
+
+/**
+ * Find a USDT deposit by TxID in Binance deposit history, newest window first, going back
+ * DEPOSIT_LOOKBACK_DAYS. Deposits that already reached a final status are served from the
+ * SQLite cache, and settled windows are not fetched again.
+ * @param {string} txId - already trimmed
+ * @returns {Promise<{ deposit: any | null, source: "cache" | "binance" | null, windowsFetched: number }>}
+ */
+async function lookupDeposit(txId) {
+  const coin = "USDT";
+  const cached = findBinanceDeposits([...new Set([normalizeTxId(txId), txId])]).find(
+    (d) => matchesTxId(d, txId) && isFinalDeposit(d)
+  );
+  if (cached) {
+    return { deposit: cached, source: "cache", windowsFetched: 0 };
+  }
+
+  const now = Date.now();
+  const oldest = now - DEPOSIT_LOOKBACK_DAYS * DAY_MS;
+  let windowsFetched = 0;
+
+  for (
+    let start = Math.floor(now / LOOKUP_WINDOW_MS) * LOOKUP_WINDOW_MS;
+    start + LOOKUP_WINDOW_MS > oldest;
+    start -= LOOKUP_WINDOW_MS
+  ) {
+    if (isDepositWindowCached(coin, start)) continue;
+
+    const endTime = Math.min(start + LOOKUP_WINDOW_MS - 1, now);
+    const deposits = await binance().getDepositHistoryRange({ coin, startTime: start, endTime });
+    windowsFetched += 1;
+
+    upsertBinanceDeposits(coin, deposits);
+    if (endTime < now - WINDOW_SETTLE_MS && deposits.every(isFinalDeposit)) {
+      markDepositWindowCached(coin, start, endTime);
+    }
+
+    const match = deposits.find((d) => matchesTxId(d, txId));
+    if (match) {
+      return { deposit: match, source: "binance", windowsFetched };
+    }
+  }
+
+  return { deposit: null, source: null, windowsFetched };
+}
+
+/**
+ * Store a confirmed Binance deposit as processed and compute its KES reward.
+ * The reward is computed in integer minor units and posted to the ledger.
+ * When a userId is given (or the TxID has a pending claim with one), the reward is
+ * credited to that account in the same transaction, and any pending claim is closed.
+ * A quote passed in, or one attached to the pending claim, fixes the rate.
+ * @param {object} options
+ * @param {string} options.txId - already trimmed
+ * @param {any} options.deposit - matching Binance deposit history record
+ * @param {number | null} options.rate - KES per USDT, used when there is no quote
+ * @param {string} [options.userId] - account to credit
+ * @param {object} [options.quote] - quotes row, already redeemed by the caller
+ * @param {"txid" | "poller" | "pending_claim"} options.source - what is crediting it
+ * @param {object} [options.audit] - actor, ip and route for the audit log (see auditContext);
+ *   default actor "system"
+ * @returns {{ txId: string, confirmedAmount: number, rewardKes: number, confirmedAt: string,
+ *   rate: number, quoteId: string | null }}
+ *   plus userId, and the new balanceKes when an account was credited
+ */
+function creditDeposit({
+  txId,
+  deposit,
+  rate,
+  userId,
+  quote,
+  source,
+  audit = { actor: "system" },
+}) {
+  const amountUsdt = toMinor(deposit.amount || 0, "USDT");
+  const confirmedAmount = fromMinor(amountUsdt, "USDT");
+  const confirmedAt = new Date(deposit.insertTime || Date.now()).toISOString();
+  const normalizedTxId = normalizeTxId(txId);
+
+  return transaction(() => {
+    const claim = getPendingDeposit(normalizedTxId);
+    const isOpenClaim = claim && claim.status === "pending";
+    if (!userId && isOpenClaim) {
+      userId = claim.userId;
+    }
+    if (!quote && isOpenClaim && claim.quoteId) {
+      quote = getQuote(claim.quoteId);
+    }
+    const creditRate = quote ? quote.rate : rate;
+    if (!(creditRate > 0)) {
+      throw new Error(`No rate to credit deposit ${normalizedTxId} at`);
+    }
+    const amountKes = usdtToKesMinor(amountUsdt, creditRate);
+    const rewardKes = fromMinor(amountKes, "KES");
+
+    // Store the normalized version (with "Off-chain transfer " prefix) in the database
+    insert({
+      txId: normalizedTxId,
+      asset: "USDT",
+      amount: confirmedAmount,
+      rewardKes,
+      confirmedAt,
+      userId,
+      rate: creditRate,
+      quoteId: quote ? quote.id : null,
+      source,
+    });
+    postDeposit({ txId: normalizedTxId, amountUsdt, amountKes, userId });
+    if (claim) resolvePendingDeposit(normalizedTxId, "credited");
+
+    const record = {
+      txId: normalizedTxId,
+      confirmedAmount,
+      rewardKes,
+      confirmedAt,
+      rate: creditRate,
+      quoteId: quote ? quote.id : null,
+      userId: userId || null,
+    };
+    recordAudit({
+      ...audit,
+      action: "deposit.credit",
+      target: normalizedTxId,
+      after: record,
+      binanceId: deposit.id,
+    });
+    if (!userId) return record;
+
+    const account = applyAccountEntry({
+      userId,
+      type: "deposit",
+      amountKes: rewardKes,
+      reference: normalizedTxId,
+    });
+    return { ...record, balanceKes: account.balanceKes };
+  });
+}
+
+/**
+ * Credit a deposit the poller credited without a user to a user's account, when they claim
+ * it later: its rewardKes moves from the unassigned rewards to the account.
+ * @param {object} options
+ * @param {string} options.txId - already trimmed
+ * @param {string} options.userId
+ * @param {object} [options.audit] - actor, ip and route for the audit log; default actor "system"
+ * @returns {object | null} the processed deposit with the new balanceKes, or null if it was not
+ *   credited by the poller or already has a user
+ */
+function assignDeposit({ txId, userId, audit = { actor: "system" } }) {
+  return transaction(() => {
+    const row = getByTxId(normalizeTxId(txId)) || getByTxId(txId);
+    if (!row || row.userId || row.source !== "poller") return null;
+    if (!assignProcessedTransaction(row.txId, userId)) return null;
+
+    postDepositAssignment({
+      txId: row.txId,
+      amountKes: toMinor(row.rewardKes, "KES"),
+      userId,
+    });
+    const account = applyAccountEntry({
+      userId,
+      type: "deposit",
+      amountKes: row.rewardKes,
+      reference: row.txId,
+    });
+    recordAudit({
+      ...audit,
+      action: "deposit.assign",
+      target: row.txId,
+      before: { userId: null },
+      after: { userId, rewardKes: row.rewardKes },
+    });
+    return { ...row, userId, balanceKes: account.balanceKes };
+  });
+}
+
+module.exports = {
+  OFF_CHAIN_PREFIX,
+  FINAL_DEPOSIT_STATUSES,
+  IN_FLIGHT_DEPOSIT_STATUSES,
+  normalizeTxId,
+  findProcessed,
+  matchesTxId,
+  lookupDeposit,
+  creditDeposit,
+  assignDeposit,
+};
@@ -0,0 +1,143 @@
+const { transaction, getSetting, setSetting } = require("./db");
+const { toMinor, fromMinor } = require("./money");
+const { recordAudit } = require("./audit");
+
+// How the amount in POST /api/withdraw is read: what the user pays in total, or what arrives.
+const AMOUNT_MODES = ["gross", "net"];
+
+// Load a fee setting from DB if present, otherwise from env/default and persist it.
+function loadFeeSetting(key, envValue) {
+  const fromDb = getSetting(key);
+  if (fromDb != null) {
+    const n = Number(fromDb);
+    if (!Number.isNaN(n) && n >= 0) return n;
+  }
+  const fromEnv = Number(envValue || "0");
+  const initial = !Number.isNaN(fromEnv) && fromEnv >= 0 ? fromEnv : 0;
+  setSetting(key, initial);
+  return initial;
+}
+
+/**
+ * Platform fee charged on withdrawals paid from a user account, on top of Binance's
+ * network fee: feePercent of the amount that arrives, plus feeFixed USDT.
+ */
+const platformFee = { feePercent: 0, feeFixed: 0 };
+
+const FEE_KEYS = { feePercent: "WITHDRAWAL_FEE_PERCENT", feeFixed: "WITHDRAWAL_FEE_FIXED" };
+
+/** Read the platform fee from the database. Called when the app is created. */
+function loadPlatformFee() {
+  for (const [name, key] of Object.entries(FEE_KEYS)) {
+    platformFee[name] = loadFeeSetting(key, process.env[key]);
+  }
+}
+
+/** @returns {{ feePercent: number, feeFixed: number }} */
+function getPlatformFee() {
+  return { ...platformFee };
+}
+
+/**
+ * Change the platform fee and persist it, with its audit log row. Fields left out keep
+ * their value.
+ * @param {{ feePercent?: unknown, feeFixed?: unknown }} changes
+ * @param {object} [audit] - actor, ip and route for the audit log; default actor "system"
+ * @returns {{ fee: ReturnType<typeof getPlatformFee> | null, error?: string }}
+ */
+function setPlatformFee(changes, audit = { actor: "system" }) {
+  const names = Object.keys(FEE_KEYS).filter((name) => (changes || {})[name] != null);
+  if (names.length === 0) {
+    return { fee: null, error: "Provide feePercent and/or feeFixed" };
+  }
+
+  const parsed = {};
+  for (const name of names) {
+    const n = Number(changes[name]);
+    if (Number.isNaN(n) || n < 0 || (name === "feePercent" && n >= 100)) {
+      return {
+        fee: null,
+        error:
+          name === "feePercent"
+            ? "feePercent must be a number from 0 to less than 100"
+            : "feeFixed must be a non-negative number (USDT)",
+      };
+    }
+    parsed[name] = n;
+  }
+
+  const fee = { ...platformFee, ...parsed };
+  transaction(() => {
+    for (const [name, value] of Object.entries(parsed)) setSetting(FEE_KEYS[name], value);
+    recordAudit({
+      ...audit,
+      action: "setting.update",
+      target: "WITHDRAWAL_FEE",
+      before: getPlatformFee(),
+      after: fee,
+    });
+  });
+  // Only once committed, so a failed write leaves the fee in effect unchanged
+  Object.assign(platformFee, parsed);
+  return { fee: getPlatformFee() };
+}
+
+/**
+ * Split a withdrawal into the amount that arrives and the fees on top of it, so that
+ * gross = net + networkFee + platformFee, with platformFee = net * feePercent% + feeFixed.
+ * In gross mode the platform fee absorbs rounding, so the parts always add up to the gross.
+ * @param {object} options
+ * @param {number} options.amountUsdt - micro-USDT, read according to amountMode
+ * @param {"gross" | "net"} options.amountMode
+ * @param {number} options.networkFeeUsdt - micro-USDT, Binance's fee for the network
+ * @param {boolean} options.chargePlatformFee - false for treasury withdrawals
+ * @returns {{ grossUsdt: number, netUsdt: number, networkFeeUsdt: number,
+ *   platformFeeUsdt: number } | null} micro-USDT; null if nothing would arrive
+ */
+function splitWithdrawalAmount({ amountUsdt, amountMode, networkFeeUsdt, chargePlatformFee }) {
+  const percentMicro = BigInt(chargePlatformFee ? toMinor(platformFee.feePercent, "USDT") : 0);
+  const fixedUsdt = chargePlatformFee ? toMinor(platformFee.feeFixed, "USDT") : 0;
+  const scale = 100_000_000n; // percent at micro precision
+
+  let netUsdt;
+  let platformFeeUsdt;
+  if (amountMode === "net") {
+    netUsdt = amountUsdt;
+    const percentFee = (BigInt(netUsdt) * percentMicro + scale / 2n) / scale;
+    platformFeeUsdt = Number(percentFee) + fixedUsdt;
+  } else {
+    const available = amountUsdt - networkFeeUsdt - fixedUsdt;
+    netUsdt = available > 0 ? Number((BigInt(available) * scale) / (scale + percentMicro)) : 0;
+    platformFeeUsdt = amountUsdt - networkFeeUsdt - netUsdt;
+  }
+  if (netUsdt <= 0) return null;
+
+  return {
+    grossUsdt: netUsdt + networkFeeUsdt + platformFeeUsdt,
+    netUsdt,
+    networkFeeUsdt,
+    platformFeeUsdt,
+  };
+}
+
+/**
+ * Withdrawal amounts as returned by the API.
+ * @param {NonNullable<ReturnType<typeof splitWithdrawalAmount>>} split
+ */
+function formatSplit(split) {
+  return {
+    grossAmount: fromMinor(split.grossUsdt, "USDT"),
+    netAmount: fromMinor(split.netUsdt, "USDT"),
+    withdrawFee: fromMinor(split.networkFeeUsdt, "USDT"),
+    platformFee: fromMinor(split.platformFeeUsdt, "USDT"),
+  };
+}
+
+module.exports = {
+  AMOUNT_MODES,
+  loadPlatformFee,
+  getPlatformFee,
+  setPlatformFee,
+  splitWithdrawalAmount,
+  formatSplit,
+};
@@ -0,0 +1,156 @@
+const {
+  BinanceAuthError,
+  BinanceRegionError,
+  BINANCE_CREDENTIALS_CONFIGURED,
+} = require("./binanceClient");
+const { binance } = require("./binance");
+const { checkDatabaseWritable } = require("./db");
+const { emitEvent } = require("./webhooks");
+const { logger } = require("./logger");
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name] || fallback);
+  return !Number.isNaN(n) && n >= 0 ? n : fallback;
+}
+
+// The app is not ready while the free USDT balance is below this; 0 turns the floor off.
+const BALANCE_FLOOR_USDT = envNumber("BALANCE_FLOOR_USDT", 0);
+// How long Binance check results are reused, so frequent probes do not use up request weight.
+const HEALTH_CHECK_CACHE_MS = envNumber("HEALTH_CHECK_CACHE_MS", 30_000);
+
+// API key permissions the app needs, by the field GET /sapi/v1/account/apiRestrictions reports.
+const REQUIRED_PERMISSIONS = {
+  enableReading: "reading",
+  enableWithdrawals: "withdrawals",
+};
+
+/**
+ * @typedef {object} CheckResult
+ * @property {boolean} ok
+ * @property {string} [reason] - why it failed, e.g. "region_restricted"
+ * @property {string} [message]
+ */
+
+/**
+ * A failed check for an error thrown by a Binance call.
+ * @param {any} err
+ * @returns {CheckResult}
+ */
+function binanceFailure(err) {
+  if (err instanceof BinanceRegionError) {
+    return { ok: false, reason: "region_restricted", message: err.message };
+  }
+  if (err instanceof BinanceAuthError) {
+    return {
+      ok: false,
+      reason: "binance_auth_error",
+      message: err.binanceMessage || err.message,
+    };
+  }
+  return {
+    ok: false,
+    reason: "binance_unavailable",
+    message: err.binanceMessage || err.message || String(err),
+  };
+}
+
+/** @returns {CheckResult} */
+function checkDatabase() {
+  try {
+    checkDatabaseWritable();
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, reason: "database_not_writable", message: err.message };
+  }
+}
+
+/** @returns {Promise<CheckResult>} */
+async function checkApiKey() {
+  if (!BINANCE_CREDENTIALS_CONFIGURED) {
+    return {
+      ok: false,
+      reason: "credentials_missing",
+      message: "BINANCE_API_KEY or BINANCE_API_SECRET is not set",
+    };
+  }
+  let restrictions;
+  try {
+    restrictions = await binance().getApiRestrictions();
+  } catch (err) {
+    return binanceFailure(err);
+  }
+  const missing = Object.entries(REQUIRED_PERMISSIONS)
+    .filter(([field]) => restrictions[field] !== true)
+    .map(([, permission]) => permission);
+  if (missing.length) {
+    return {
+      ok: false,
+      reason: "missing_permissions",
+      message: `The Binance API key is missing permissions: ${missing.join(", ")}`,
+      missing,
+    };
+  }
+  return { ok: true };
+}
+
+let lowBalanceAlerted = false;
+
+/**
+ * Send a balance.low webhook when the balance first drops below the floor, and again only
+ * after it has recovered in between.
+ * @param {number} balance
+ */
+function alertOnLowBalance(balance) {
+  const low = balance < BALANCE_FLOOR_USDT;
+  if (low && !lowBalanceAlerted) {
+    logger.warn("USDT balance is below the floor", { balance, floor: BALANCE_FLOOR_USDT });
+    emitEvent("balance.low", { asset: "USDT", balance, floor: BALANCE_FLOOR_USDT });
+  }
+  lowBalanceAlerted = low;
+}
+
+/**
+ * The balance itself is left out: readiness is public, unlike GET /api/balance.
+ * @returns {Promise<CheckResult>}
+ */
+async function checkBalance() {
+  let balance;
+  try {
+    balance = Number(await binance().getUSDTBalance());
+  } catch (err) {
+    return binanceFailure(err);
+  }
+  alertOnLowBalance(balance);
+  if (balance < BALANCE_FLOOR_USDT) {
+    return {
+      ok: false,
+      reason: "balance_below_floor",
+      message: `The USDT balance is below ${BALANCE_FLOOR_USDT}`,
+    };
+  }
+  return { ok: true };
+}
+
+let binanceChecks = null; // { checkedAt, promise }
+
+/**
+ * Run the readiness checks: the database accepts writes, the Binance API key is configured,
+ * valid and has the needed permissions, and the USDT balance is at least BALANCE_FLOOR_USDT.
+ * Binance results are reused for HEALTH_CHECK_CACHE_MS, and concurrent calls share one run.
+ * @returns {Promise<{ ready: boolean, checks: Record<string, CheckResult> }>}
+ */
+async function checkReadiness() {
+  if (!binanceChecks || Date.now() - binanceChecks.checkedAt >= HEALTH_CHECK_CACHE_MS) {
+    binanceChecks = {
+      checkedAt: Date.now(),
+      promise: Promise.all([checkApiKey(), checkBalance()]).then(([apiKey, balance]) => ({
+        apiKey,
+        balance,
+      })),
+    };
+  }
+  const checks = { database: checkDatabase(), ...(await binanceChecks.promise) };
+  return { ready: Object.values(checks).every((c) => c.ok), checks };
+}
+
+module.exports = { BALANCE_FLOOR_USDT, HEALTH_CHECK_CACHE_MS, checkReadiness };
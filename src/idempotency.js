@@ -0,0 +1,119 @@
+const crypto = require("crypto");
+const {
+  getIdempotencyKey,
+  createIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+  purgeIdempotencyKeys,
+} = require("./db");
+
+// How long a key (and its stored response) is remembered. Retries after this window run again.
+const IDEMPOTENCY_RETENTION_HOURS = (() => {
+  const n = Number(process.env.IDEMPOTENCY_RETENTION_HOURS || "24");
+  return !Number.isNaN(n) && n > 0 ? n : 24;
+})();
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * JSON with object keys sorted, so the same body always hashes the same.
+ * @param {any} value
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashRequest(body) {
+  // clientRequestId is the key itself, not part of the request being deduplicated.
+  const { clientRequestId, ...rest } = body || {};
+  return crypto.createHash("sha256").update(canonicalJson(rest)).digest("hex");
+}
+
+/**
+ * Express middleware that makes a route idempotent. Goes after requireRole: keys are
+ * scoped to the API key, so clients never see each other's responses.
+ * The key is taken from the Idempotency-Key header, or a clientRequestId body field.
+ * - First request with a key: runs the route and, if the route called markApplied, stores
+ *   its JSON response.
+ * - Repeat with the same key and body: returns the stored response without running the route.
+ * - Repeat with the same key but a different body, or while the first is still running: 409.
+ * A response of a request that changed nothing (e.g. a failure before anything was debited),
+ * a 5xx response, or a request that ends without a JSON response (e.g. the route threw)
+ * is not stored, and the key is released so the request can be retried.
+ * Requests without a key are passed through unchanged.
+ * @param {string} route - name stored with the key, so keys cannot be replayed across routes
+ */
+function idempotent(route) {
+  return (req, res, next) => {
+    const headerKey = req.get("Idempotency-Key");
+    const bodyKey = req.body && req.body.clientRequestId;
+    const rawKey = headerKey != null ? headerKey : bodyKey;
+
+    if (rawKey == null || rawKey === "") {
+      return next();
+    }
+    if (typeof rawKey !== "string" || !rawKey.trim() || rawKey.length > MAX_KEY_LENGTH) {
+      return res
+        .status(400)
+        .json({ error: `Idempotency key must be a non-empty string of at most ${MAX_KEY_LENGTH} characters` });
+    }
+
+    const key = rawKey.trim();
+    const apiKeyId = req.apiKey.id;
+    const requestHash = hashRequest(req.body);
+
+    purgeIdempotencyKeys(IDEMPOTENCY_RETENTION_HOURS);
+
+    if (!createIdempotencyKey({ apiKeyId, key, route, requestHash })) {
+      const existing = getIdempotencyKey(apiKeyId, key);
+      if (existing.route !== route || existing.requestHash !== requestHash) {
+        return res.status(409).json({
+          error: "Idempotency key was already used with a different request",
+        });
+      }
+      if (existing.response == null) {
+        return res.status(409).json({
+          error: "A request with this idempotency key is still being processed",
+        });
+      }
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.statusCode).json(JSON.parse(existing.response));
+    }
+
+    // Stored as soon as the route answers, so a retry after a dropped connection is replayed.
+    let stored = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      if (res.locals.idempotencyApplied && res.statusCode < 500) {
+        completeIdempotencyKey(apiKeyId, key, res.statusCode, body);
+        stored = true;
+      }
+      return originalJson(body);
+    };
+    res.on("finish", () => {
+      if (!stored) releaseIdempotencyKey(apiKeyId, key);
+    });
+    return next();
+  };
+}
+
+/**
+ * Record that the request has changed something (e.g. recorded and debited a withdrawal),
+ * so idempotent() stores its response and replays it instead of running the route again.
+ * @param {import("express").Response} res
+ */
+function markApplied(res) {
+  res.locals.idempotencyApplied = true;
+}
+
+module.exports = { idempotent, markApplied, IDEMPOTENCY_RETENTION_HOURS };
@@ -0,0 +1,236 @@
+const { getOrCreateLedgerAccount, insertJournalEntry, listLedgerBalances } = require("./db");
+const { DECIMALS, fromMinor } = require("./money");
+
+/**
+ * Chart of accounts. Codes are "<type>:<name>:<currency>".
+ * USDT and KES never mix in one account; FX conversions go through the two
+ * fx:usdt_kes accounts, so each currency balances on its own.
+ */
+const ACCOUNTS = {
+  binanceWallet: { code: "assets:binance:usdt", type: "asset", currency: "USDT" },
+  fxUsdt: { code: "fx:usdt_kes:usdt", type: "equity", currency: "USDT" },
+  fxKes: { code: "fx:usdt_kes:kes", type: "equity", currency: "KES" },
+  // KES rewards for deposits that were not credited to a user account.
+  unassignedRewards: {
+    code: "liabilities:unassigned_rewards:kes",
+    type: "liability",
+    currency: "KES",
+  },
+  // USDT withdrawn for the treasury rather than on behalf of a user.
+  treasuryWithdrawals: {
+    code: "equity:treasury_withdrawals:usdt",
+    type: "equity",
+    currency: "USDT",
+  },
+  networkFees: { code: "expenses:network_fees:usdt", type: "expense", currency: "USDT" },
+  platformFees: { code: "revenue:platform_fees:usdt", type: "revenue", currency: "USDT" },
+};
+
+/** @param {string} userId */
+function userAccount(userId) {
+  return { code: `liabilities:users:${userId}:kes`, type: "liability", currency: "KES" };
+}
+
+/**
+ * Post a balanced journal entry. Each posting's amount is in integer minor units
+ * of its account's currency, debits positive and credits negative.
+ * @param {object} entry
+ * @param {string} entry.type - e.g. "deposit", "withdrawal", "withdrawal_reversal", "network_fee"
+ * @param {string} [entry.reference] - what the entry belongs to, e.g. a TxID or "withdrawal:<id>"
+ * @param {string} [entry.description]
+ * @param {Array<{ account: object, amount: number }>} entry.postings
+ * @returns {number} journal entry id
+ * @throws {Error} if an amount is not an integer or a currency does not sum to zero
+ */
+function postEntry({ type, reference, description, postings }) {
+  const totals = {};
+  for (const p of postings) {
+    if (!Number.isSafeInteger(p.amount)) {
+      throw new Error(
+        `Ledger amounts must be integer minor units, got ${p.amount} for ${p.account.code}`
+      );
+    }
+    totals[p.account.currency] = (totals[p.account.currency] || 0) + p.amount;
+  }
+  for (const [currency, total] of Object.entries(totals)) {
+    if (total !== 0) {
+      throw new Error(`Unbalanced ${type} entry: ${currency} postings sum to ${total}`);
+    }
+  }
+
+  const rows = postings
+    .filter((p) => p.amount !== 0)
+    .map((p) => ({ accountId: getOrCreateLedgerAccount(p.account).id, amount: p.amount }));
+  return insertJournalEntry({ type, reference, description }, rows);
+}
+
+/**
+ * USDT arrives in the Binance wallet and is converted to a KES liability,
+ * owed to the user (or unassigned when there is no user).
+ * @param {object} options
+ * @param {string} options.txId
+ * @param {number} options.amountUsdt - micro-USDT
+ * @param {number} options.amountKes - KES cents
+ * @param {string | null} [options.userId]
+ */
+function postDeposit({ txId, amountUsdt, amountKes, userId }) {
+  const owedTo = userId ? userAccount(userId) : ACCOUNTS.unassignedRewards;
+  return postEntry({
+    type: "deposit",
+    reference: txId,
+    postings: [
+      { account: ACCOUNTS.binanceWallet, amount: amountUsdt },
+      { account: ACCOUNTS.fxUsdt, amount: -amountUsdt },
+      { account: ACCOUNTS.fxKes, amount: amountKes },
+      { account: owedTo, amount: -amountKes },
+    ],
+  });
+}
+
+function withdrawalPostings({
+  amountUsdt,
+  networkFeeUsdt = 0,
+  platformFeeUsdt = 0,
+  amountKes,
+  userId,
+}) {
+  if (!userId) {
+    return [
+      { account: ACCOUNTS.treasuryWithdrawals, amount: amountUsdt },
+      { account: ACCOUNTS.binanceWallet, amount: -amountUsdt },
+    ];
+  }
+  // The user pays for the network fee, offsetting the network_fee entry Binance's
+  // actual fee is posted with, and for the platform fee, which stays in the wallet.
+  return [
+    { account: userAccount(userId), amount: amountKes },
+    { account: ACCOUNTS.fxKes, amount: -amountKes },
+    { account: ACCOUNTS.fxUsdt, amount: amountUsdt + networkFeeUsdt + platformFeeUsdt },
+    { account: ACCOUNTS.binanceWallet, amount: -amountUsdt },
+    { account: ACCOUNTS.networkFees, amount: -networkFeeUsdt },
+    { account: ACCOUNTS.platformFees, amount: -platformFeeUsdt },
+  ];
+}
+
+/**
+ * A deposit credited without a user is assigned to one: its KES moves from the
+ * unassigned rewards to the user's liability.
+ * @param {object} options
+ * @param {string} options.txId
+ * @param {number} options.amountKes - KES cents
+ * @param {string} options.userId
+ */
+function postDepositAssignment({ txId, amountKes, userId }) {
+  return postEntry({
+    type: "deposit_assignment",
+    reference: txId,
+    postings: [
+      { account: ACCOUNTS.unassignedRewards, amount: amountKes },
+      { account: userAccount(userId), amount: -amountKes },
+    ],
+  });
+}
+
+/**
+ * USDT leaves the Binance wallet. For a user withdrawal, their KES liability is
+ * converted back to USDT, including the fees they were charged; otherwise it is a
+ * treasury withdrawal and the network fee is an expense.
+ * @param {object} options
+ * @param {number} options.withdrawalId
+ * @param {number} options.amountUsdt - micro-USDT sent, excluding fees
+ * @param {number} [options.networkFeeUsdt] - micro-USDT charged to the user for Binance's fee
+ * @param {number} [options.platformFeeUsdt] - micro-USDT
+ * @param {number} options.amountKes - KES cents
+ * @param {string | null} [options.userId]
+ */
+function postWithdrawal({ withdrawalId, ...amounts }) {
+  return postEntry({
+    type: "withdrawal",
+    reference: `withdrawal:${withdrawalId}`,
+    postings: withdrawalPostings(amounts),
+  });
+}
+
+/**
+ * Exact opposite of postWithdrawal, for withdrawals that never left the wallet.
+ * @param {object} options - same as postWithdrawal
+ */
+function postWithdrawalReversal({ withdrawalId, ...amounts }) {
+  return postEntry({
+    type: "withdrawal_reversal",
+    reference: `withdrawal:${withdrawalId}`,
+    postings: withdrawalPostings(amounts).map((p) => ({
+      ...p,
+      amount: -p.amount,
+    })),
+  });
+}
+
+/**
+ * Network fee Binance charged on a withdrawal, paid out of the wallet.
+ * @param {object} options
+ * @param {number} options.withdrawalId
+ * @param {number} options.feeUsdt - micro-USDT
+ */
+function postNetworkFee({ withdrawalId, feeUsdt }) {
+  return postEntry({
+    type: "network_fee",
+    reference: `withdrawal:${withdrawalId}`,
+    postings: [
+      { account: ACCOUNTS.networkFees, amount: feeUsdt },
+      { account: ACCOUNTS.binanceWallet, amount: -feeUsdt },
+    ],
+  });
+}
+
+/**
+ * Balances of every ledger account, and per-currency debit and credit totals.
+ * The books are balanced when every currency nets to zero.
+ */
+function getTrialBalance() {
+  const rows = listLedgerBalances();
+
+  const currencies = {};
+  for (const currency of Object.keys(DECIMALS)) {
+    currencies[currency] = { debits: 0, credits: 0, net: 0 };
+  }
+  for (const row of rows) {
+    const totals = currencies[row.currency];
+    totals.debits += row.debits;
+    totals.credits += row.credits;
+    totals.net += row.balance;
+  }
+
+  return {
+    balanced: Object.values(currencies).every((t) => t.net === 0),
+    currencies: Object.fromEntries(
+      Object.entries(currencies).map(([currency, t]) => [
+        currency,
+        {
+          debits: fromMinor(t.debits, currency),
+          credits: fromMinor(t.credits, currency),
+          net: fromMinor(t.net, currency),
+          netMinor: t.net,
+        },
+      ])
+    ),
+    accounts: rows.map((row) => ({
+      code: row.code,
+      type: row.type,
+      currency: row.currency,
+      balance: fromMinor(row.balance, row.currency),
+      balanceMinor: row.balance,
+    })),
+  };
+}
+
+module.exports = {
+  ACCOUNTS,
+  postEntry,
+  postDeposit,
+  postDepositAssignment,
+  postWithdrawal,
+  postWithdrawalReversal,
+  postNetworkFee,
+  getTrialBalance,
+};
@@ -0,0 +1,128 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+// Lines below this level are dropped: debug, info, warn, error or silent (drops everything).
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : "info";
+
+// Field names whose values are never logged, at any depth.
+const SECRET_FIELD = /secret|password|token$|^signature$|^authorization$|^(x-)?api[-_]?key$/i;
+// usdtapi API keys (see auth.js) and signatures in Binance query strings.
+const SECRET_PATTERNS = [
+  [/usdtapi_[A-Za-z0-9_-]{16,}/g, "usdtapi_[redacted]"],
+  [/signature=[0-9a-f]+/gi, "signature=[redacted]"],
+];
+
+// Accepted from a caller's X-Request-Id; anything else is replaced by a new id.
+const REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Remove secrets from a value about to be logged: fields named like secrets, API keys and
+ * signatures inside strings, and the configured Binance credentials wherever they appear.
+ * @param {any} value
+ * @returns {any}
+ */
+function redact(value, depth = 0) {
+  if (typeof value === "string") {
+    let text = value;
+    for (const [pattern, replacement] of SECRET_PATTERNS) {
+      text = text.replace(pattern, replacement);
+    }
+    for (const secret of [process.env.BINANCE_API_KEY, process.env.BINANCE_API_SECRET]) {
+      if (secret && secret.length >= 8) text = text.split(secret).join("[redacted]");
+    }
+    return text;
+  }
+  if (value instanceof Error) return redact(serializeError(value), depth);
+  if (!value || typeof value !== "object") return value;
+  if (depth >= 5) return "[truncated]";
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+  return Object.fromEntries(
+    Object.entries(value).map(([key, v]) => [
+      key,
+      SECRET_FIELD.test(key) && v != null ? "[redacted]" : redact(v, depth + 1),
+    ])
+  );
+}
+
+/**
+ * The parts of an error worth logging; axios errors otherwise drag in whole requests.
+ * @param {any} err
+ */
+function serializeError(err) {
+  if (!(err instanceof Error)) return { message: String(err) };
+  return {
+    name: err.name,
+    message: err.message,
+    code: err.code,
+    status: err.status,
+    binanceCode: err.binanceCode,
+    binanceMessage: err.binanceMessage || undefined,
+  };
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+  const store = context.getStore();
+  const { err, ...rest } = fields;
+  const line = redact({
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    requestId: store ? store.requestId : undefined,
+    ...rest,
+    err: err === undefined ? undefined : serializeError(err),
+  });
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(line)}\n`);
+}
+
+/**
+ * JSON lines logger. Each line has time, level, msg, the id of the request being handled
+ * (if any) and the given fields, with secrets redacted. Pass an error as fields.err.
+ * warn and error go to stderr, the rest to stdout.
+ */
+const logger = {
+  /** @param {string} message @param {Record<string, any>} [fields] */
+  debug: (message, fields) => write("debug", message, fields),
+  /** @param {string} message @param {Record<string, any>} [fields] */
+  info: (message, fields) => write("info", message, fields),
+  /** @param {string} message @param {Record<string, any>} [fields] */
+  warn: (message, fields) => write("warn", message, fields),
+  /** @param {string} message @param {Record<string, any>} [fields] */
+  error: (message, fields) => write("error", message, fields),
+};
+
+/**
+ * Express middleware giving each request an id, taken from a valid X-Request-Id header or
+ * generated, echoed in the X-Request-Id response header and added to every line logged while
+ * handling it. Logs one line per request once the response is sent.
+ */
+function requestContext() {
+  return (req, res, next) => {
+    const incoming = req.get("X-Request-Id");
+    const requestId = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    req.id = requestId;
+    res.set("X-Request-Id", requestId);
+
+    const startedAt = process.hrtime.bigint();
+    res.on("finish", () => {
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      context.run({ requestId }, () => {
+        logger.info("request", {
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+          durationMs: Math.round(durationMs * 10) / 10,
+          apiKeyId: req.apiKey ? req.apiKey.id : undefined,
+        });
+      });
+    });
+
+    context.run({ requestId }, next);
+  };
+}
+
+module.exports = { LOG_LEVEL, logger, redact, requestContext };
@@ -0,0 +1,246 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const {
+  DEFAULT_DB_PATH,
+  transaction,
+  listSettings,
+  deleteSetting,
+  listRowsBefore,
+  deleteRows,
+  backupDatabase,
+} = require("./db");
+const { migrationStatus } = require("./migrations");
+const { recordAudit } = require("./audit");
+const { archiveTransactions, getArchivedTransaction, txIdArchivePath } = require("./txidArchive");
+
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(path.dirname(DEFAULT_DB_PATH), "backups");
+
+// Tables `purge` may remove old rows from. Anything else (ledger, accounts, withdrawals, audit
+// log) is a financial record and is never purged. `key` identifies a row for deletion.
+const PURGE_TARGETS = {
+  // Purged TxIDs are archived first so they can never be redeemed again
+  processed_transactions: { column: "createdAt", key: "id", archive: true },
+  // Only finished deliveries; pending ones are still being retried
+  webhook_deliveries: { column: "createdAt", key: "id", where: "status <> 'pending'" },
+  // Only resolved claims; pending ones are still being checked
+  pending_deposits: { column: "createdAt", key: "id", where: "status <> 'pending'" },
+  quotes: { column: "createdAt", key: "id" },
+};
+
+// "YYYY-MM-DD HH:MM:SS" UTC, the format of datetime('now') columns.
+function sqliteTime(ms) {
+  return new Date(ms).toISOString().replace("T", " ").slice(0, 19);
+}
+
+// e.g. 20250101T120000Z, for file names.
+function fileStamp() {
+  return new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+}
+
+function sha256File(filename) {
+  return crypto.createHash("sha256").update(fs.readFileSync(filename)).digest("hex");
+}
+
+function checksumPath(filename) {
+  return `${filename}.sha256`;
+}
+
+/**
+ * A backup file name in BACKUP_DIR for the current time, e.g. usdtapi-20250101T120000Z.db.
+ */
+function defaultBackupPath() {
+  return path.join(BACKUP_DIR, `usdtapi-${fileStamp()}.db`);
+}
+
+/**
+ * Back up the database in use with SQLite's online backup API, which is safe while the app is
+ * running, and write its sha256 next to it as <file>.sha256 (sha256sum format).
+ * @param {object} [options]
+ * @param {string} [options.destination] - default a new file in BACKUP_DIR
+ * @param {{ actor: string }} [options.audit]
+ * @returns {Promise<{ file: string, checksum: string, checksumFile: string, bytes: number }>}
+ */
+async function createBackup({
+  destination = defaultBackupPath(),
+  audit = { actor: "maintenance" },
+} = {}) {
+  if (fs.existsSync(destination)) {
+    throw new Error(`${destination} already exists; choose another backup file`);
+  }
+  fs.mkdirSync(path.dirname(destination), { recursive: true });
+  await backupDatabase(destination);
+
+  const checksum = sha256File(destination);
+  const checksumFile = checksumPath(destination);
+  fs.writeFileSync(checksumFile, `${checksum}  ${path.basename(destination)}\n`);
+  const bytes = fs.statSync(destination).size;
+
+  recordAudit({
+    action: "maintenance.backup",
+    ...audit,
+    target: destination,
+    after: { checksum, bytes },
+  });
+  return { file: destination, checksum, checksumFile, bytes };
+}
+
+/**
+ * Check a backup against its <file>.sha256 and with SQLite's integrity check.
+ * @param {string} filename
+ * @returns {{ ok: boolean, checksum: string, expected: string | null, problems: string[] }}
+ */
+function verifyBackup(filename) {
+  if (!fs.existsSync(filename)) {
+    return { ok: false, checksum: null, expected: null, problems: [`${filename} does not exist`] };
+  }
+  const problems = [];
+  const checksum = sha256File(filename);
+  let expected = null;
+  try {
+    expected = fs.readFileSync(checksumPath(filename), "utf8").trim().split(/\s+/)[0];
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    problems.push(`${checksumPath(filename)} is missing`);
+  }
+  if (expected && expected !== checksum) {
+    problems.push(`checksum ${checksum} does not match ${expected}`);
+  }
+
+  let database;
+  try {
+    database = new Database(filename, { readonly: true, fileMustExist: true });
+    const result = database.pragma("integrity_check", { simple: true });
+    if (result !== "ok") problems.push(`integrity check: ${result}`);
+    const { unknown } = migrationStatus(database);
+    if (unknown.length) {
+      problems.push(`made by a newer release: ${unknown.length} migration(s) have no file here`);
+    }
+  } catch (err) {
+    problems.push(`not a readable SQLite database: ${err.message}`);
+  } finally {
+    if (database) database.close();
+  }
+  return { ok: problems.length === 0, checksum, expected, problems };
+}
+
+/**
+ * Replace a database file with a verified backup. The app must be stopped: open connections
+ * would keep using the old file. The file being replaced is kept as <target>.pre-restore-<time>.
+ * Its schema is brought up to date the next time it is opened.
+ * @param {string} filename - the backup
+ * @param {object} [options]
+ * @param {string} [options.target] - default SQLITE_DB_PATH or data.db
+ * @param {boolean} [options.dryRun] - only verify the backup and report what would happen
+ * @returns {{ file: string, target: string, previous: string | null, dryRun: boolean }}
+ */
+function restoreBackup(filename, { target = DEFAULT_DB_PATH, dryRun = false } = {}) {
+  const { ok, problems } = verifyBackup(filename);
+  if (!ok) {
+    const err = new Error(`Refusing to restore ${filename}: ${problems.join("; ")}`);
+    err.code = "BACKUP_INVALID";
+    throw err;
+  }
+
+  const previous = fs.existsSync(target) ? `${target}.pre-restore-${fileStamp()}` : null;
+  if (dryRun) return { file: filename, target, previous, dryRun };
+
+  if (previous) fs.copyFileSync(target, previous);
+  // Copy next to the target, then rename over it, so the target is never half written
+  const incoming = `${target}.restoring`;
+  fs.copyFileSync(filename, incoming);
+  fs.renameSync(incoming, target);
+  return { file: filename, target, previous, dryRun };
+}
+
+/**
+ * Remove rows older than a number of days from one of PURGE_TARGETS. For
+ * processed_transactions the rows are first appended to the TxID archive, which keeps their
+ * TxIDs blocked; if that fails nothing is deleted, and only rows found in the archive are.
+ * @param {string} table - a key of PURGE_TARGETS
+ * @param {object} options
+ * @param {number} options.olderThanDays - a positive integer
+ * @param {boolean} [options.dryRun] - count the rows without archiving or deleting anything
+ * @param {{ actor: string }} [options.audit]
+ * @returns {{ table: string, cutoff: string, matched: number, archived: number,
+ *   deleted: number, dryRun: boolean }}
+ */
+function purgeTable(table, { olderThanDays, dryRun = false, audit = { actor: "maintenance" } }) {
+  const target = PURGE_TARGETS[table];
+  if (!target) {
+    throw new Error(
+      `Cannot purge ${table}; purgeable tables: ${Object.keys(PURGE_TARGETS).join(", ")}`
+    );
+  }
+  if (!Number.isInteger(olderThanDays) || olderThanDays <= 0) {
+    throw new Error("olderThanDays must be a positive whole number of days");
+  }
+
+  const cutoff = sqliteTime(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+  const rows = listRowsBefore({ table, column: target.column, where: target.where, cutoff });
+  const result = { table, cutoff, matched: rows.length, archived: 0, deleted: 0, dryRun };
+  if (dryRun || !rows.length) return result;
+
+  let deletable = rows;
+  if (target.archive) {
+    result.archived = archiveTransactions(rows);
+    deletable = rows.filter((row) => getArchivedTransaction(row.txId));
+  }
+
+  transaction(() => {
+    result.deleted = deleteRows(
+      table,
+      deletable.map((row) => row[target.key]),
+      target.key
+    );
+    recordAudit({
+      action: "maintenance.purge",
+      ...audit,
+      target: table,
+      before: { rows: rows.length, olderThanDays, cutoff },
+      after: {
+        deleted: result.deleted,
+        archivedTo: target.archive ? txIdArchivePath() : undefined,
+      },
+    });
+  });
+  return result;
+}
+
+/**
+ * Delete stored settings so they fall back to their defaults (.env or built-in).
+ * @param {object} [options]
+ * @param {string[]} [options.keys] - default every setting
+ * @param {boolean} [options.dryRun] - list the settings without deleting them
+ * @param {{ actor: string }} [options.audit]
+ * @returns {{ settings: Array<{ key: string, value: string }>, deleted: number, dryRun: boolean }}
+ */
+function resetSettings({ keys, dryRun = false, audit = { actor: "maintenance" } } = {}) {
+  const settings = listSettings().filter((s) => !keys || keys.includes(s.key));
+  const result = { settings, deleted: 0, dryRun };
+  if (dryRun || !settings.length) return result;
+
+  transaction(() => {
+    for (const { key } of settings) result.deleted += deleteSetting(key);
+    recordAudit({
+      action: "maintenance.settings_reset",
+      ...audit,
+      target: keys ? keys.join(",") : "all",
+      before: Object.fromEntries(settings.map((s) => [s.key, s.value])),
+      after: null,
+    });
+  });
+  return result;
+}
+
+module.exports = {
+  BACKUP_DIR,
+  PURGE_TARGETS,
+  defaultBackupPath,
+  createBackup,
+  verifyBackup,
+  restoreBackup,
+  purgeTable,
+  resetSettings,
+};
@@ -0,0 +1,212 @@
+const { binance } = require("./binance");
+const { getRate } = require("./rates");
+const { logger } = require("./logger");
+
+// How long GET /metrics reuses the USDT balance before asking Binance again.
+const METRICS_BALANCE_TTL_MS = Number(process.env.METRICS_BALANCE_TTL_MS) || 60_000;
+
+// Seconds; Binance calls usually take 50 ms to 2 s, and time out at 10 s.
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+/**
+ * A metric whose series are kept by label values.
+ * @param {"counter" | "gauge" | "histogram"} type
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} labelNames
+ */
+function metric(type, name, help, labelNames) {
+  const m = { type, name, help, labelNames, series: new Map() };
+  m.seriesFor = (labels = {}) => {
+    const values = labelNames.map((l) => (labels[l] == null ? "" : String(labels[l])));
+    const key = JSON.stringify(values);
+    if (!m.series.has(key)) {
+      m.series.set(key, {
+        labels: Object.fromEntries(labelNames.map((l, i) => [l, values[i]])),
+        value: 0,
+        buckets: type === "histogram" ? LATENCY_BUCKETS.map(() => 0) : null,
+        sum: 0,
+      });
+    }
+    return m.series.get(key);
+  };
+  registry.push(m);
+  return m;
+}
+
+function counter(name, help, labelNames = []) {
+  const m = metric("counter", name, help, labelNames);
+  return {
+    inc: (labels, by = 1) => {
+      m.seriesFor(labels).value += by;
+    },
+  };
+}
+
+function gauge(name, help, labelNames = []) {
+  const m = metric("gauge", name, help, labelNames);
+  return {
+    set: (labels, value) => {
+      m.seriesFor(labels).value = value;
+    },
+  };
+}
+
+function histogram(name, help, labelNames = []) {
+  const m = metric("histogram", name, help, labelNames);
+  return {
+    observe: (labels, value) => {
+      const series = m.seriesFor(labels);
+      series.value += 1;
+      series.sum += value;
+      LATENCY_BUCKETS.forEach((le, i) => {
+        if (value <= le) series.buckets[i] += 1;
+      });
+    },
+  };
+}
+
+const depositVerifications = counter(
+  "usdtapi_deposit_verifications_total",
+  "POST /api/deposit/txid results, by reason (complete for a credited deposit)",
+  ["reason"]
+);
+const withdrawals = counter(
+  "usdtapi_withdrawals_total",
+  "Withdrawals sent to Binance, by network and outcome (submitted or failed)",
+  ["network", "outcome"]
+);
+const withdrawalVolume = counter(
+  "usdtapi_withdrawal_volume_usdt_total",
+  "USDT amount of withdrawals submitted to Binance, by network",
+  ["network"]
+);
+const binanceLatency = histogram(
+  "usdtapi_binance_request_duration_seconds",
+  "Binance API request latency, by endpoint; each retry is a request",
+  ["method", "endpoint"]
+);
+const binanceErrors = counter(
+  "usdtapi_binance_request_errors_total",
+  "Binance API requests that failed, by endpoint and error code",
+  ["method", "endpoint", "code"]
+);
+const usdtBalance = gauge(
+  "usdtapi_usdt_balance",
+  "Free USDT in the Binance spot wallet, as last fetched"
+);
+const rateGauge = gauge(
+  "usdtapi_rate_kes_per_usdt",
+  "KES per USDT rate in effect, by type (deposit or withdrawal)",
+  ["type"]
+);
+const rateStaleGauge = gauge(
+  "usdtapi_rate_stale",
+  "1 while the rate feed is stale and the rate is unavailable, by type",
+  ["type"]
+);
+
+/**
+ * Express middleware for POST /api/deposit/txid counting each answer by its reason:
+ * "complete" when credited, "invalid_request" for 4xx errors.
+ */
+function countDepositVerifications() {
+  return (_req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const reason = res.statusCode >= 400 ? "invalid_request" : body.reason || body.status;
+      depositVerifications.inc({ reason });
+      return json(body);
+    };
+    next();
+  };
+}
+
+/**
+ * Count a withdrawal sent to Binance, and its volume if Binance accepted it.
+ * @param {{ network: string, amount: number }} withdrawal
+ * @param {"submitted" | "failed" | "unknown"} outcome - unknown: Binance gave no clear answer
+ */
+function recordWithdrawal({ network, amount }, outcome) {
+  withdrawals.inc({ network, outcome });
+  if (outcome === "submitted") withdrawalVolume.inc({ network }, Number(amount) || 0);
+}
+
+/**
+ * Record one Binance API request.
+ * @param {object} request
+ * @param {string} request.method
+ * @param {string} request.endpoint - the path, e.g. "/sapi/v1/capital/deposit/hisrec"
+ * @param {number} request.durationMs
+ * @param {string} [request.errorCode] - set when it failed, e.g. "BINANCE_RATE_LIMIT"
+ */
+function recordBinanceRequest({ method, endpoint, durationMs, errorCode }) {
+  binanceLatency.observe({ method, endpoint }, durationMs / 1000);
+  if (errorCode) binanceErrors.inc({ method, endpoint, code: errorCode });
+}
+
+let balanceFetchedAt = 0;
+
+// Refresh the balance and rate gauges before a scrape. A failed balance fetch keeps the
+// last value; the error is counted in usdtapi_binance_request_errors_total.
+async function collectGauges() {
+  if (Date.now() - balanceFetchedAt >= METRICS_BALANCE_TTL_MS) {
+    balanceFetchedAt = Date.now();
+    try {
+      usdtBalance.set({}, Number(await binance().getUSDTBalance()));
+    } catch (err) {
+      logger.warn("Could not fetch the USDT balance for metrics", { err });
+    }
+  }
+  for (const type of ["deposit", "withdrawal"]) {
+    const { rate, stale } = getRate(type);
+    if (rate != null) rateGauge.set({ type }, rate);
+    rateStaleGauge.set({ type }, stale ? 1 : 0);
+  }
+}
+
+/**
+ * Every metric in the Prometheus text exposition format (version 0.0.4).
+ * @returns {Promise<string>}
+ */
+async function renderMetrics() {
+  await collectGauges();
+  const lines = [];
+  for (const m of registry) {
+    lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+    for (const series of m.series.values()) {
+      if (m.type !== "histogram") {
+        lines.push(`${m.name}${formatLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+      LATENCY_BUCKETS.forEach((le, i) => {
+        const labels = formatLabels({ ...series.labels, le });
+        lines.push(`${m.name}_bucket${labels} ${series.buckets[i]}`);
+      });
+      lines.push(`${m.name}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${series.value}`);
+      lines.push(`${m.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${m.name}_count${formatLabels(series.labels)} ${series.value}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  METRICS_BALANCE_TTL_MS,
+  countDepositVerifications,
+  recordWithdrawal,
+  recordBinanceRequest,
+  renderMetrics,
+};
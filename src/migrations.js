@@ -0,0 +1,129 @@
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// How long to wait for another process applying migrations before giving up.
+const MIGRATION_LOCK_TIMEOUT_MS = Number(process.env.MIGRATION_LOCK_TIMEOUT_MS) || 60000;
+
+/**
+ * @typedef {object} Migration
+ * @property {number} version - the file's number prefix
+ * @property {string} name - the rest of the file name, e.g. "initial_schema"
+ * @property {(database: import("better-sqlite3").Database) => void} up
+ */
+
+/**
+ * Load the migrations in src/migrations, ordered by version. Files are named
+ * <version>_<name>.js and export up(database), which runs inside the migration's transaction.
+ * @param {string} [dir]
+ * @returns {Migration[]}
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  for (const file of fs.readdirSync(dir)) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) continue;
+    const version = Number(match[1]);
+    if (migrations.some((m) => m.version === version)) {
+      throw new Error(`Duplicate migration version ${version} in ${dir}`);
+    }
+    const { up } = require(path.join(dir, file));
+    if (typeof up !== "function") {
+      throw new Error(`Migration ${file} does not export up(database)`);
+    }
+    migrations.push({ version, name: match[2], up });
+  }
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * A migration's file name without ".js", e.g. "001_initial_schema".
+ * @param {{ version: number, name: string }} migration
+ */
+function migrationLabel({ version, name }) {
+  return `${String(version).padStart(3, "0")}_${name}`;
+}
+
+function ensureMigrationsTable(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+  `);
+}
+
+function appliedVersions(database) {
+  return new Map(
+    database
+      .prepare("SELECT version, name, appliedAt FROM schema_migrations")
+      .all()
+      .map((row) => [row.version, row])
+  );
+}
+
+/**
+ * Which migrations have been applied, which are pending, and any applied version with no
+ * matching file (e.g. the database was migrated by a newer release).
+ * @param {import("better-sqlite3").Database} database
+ * @param {Migration[]} [migrations]
+ * @returns {{ applied: Array<{ version: number, name: string, appliedAt: string }>,
+ *   pending: Array<{ version: number, name: string }>,
+ *   unknown: Array<{ version: number, name: string, appliedAt: string }> }}
+ */
+function migrationStatus(database, migrations = loadMigrations()) {
+  ensureMigrationsTable(database);
+  const applied = appliedVersions(database);
+  const known = new Set(migrations.map((m) => m.version));
+  return {
+    applied: migrations.filter((m) => applied.has(m.version)).map((m) => applied.get(m.version)),
+    pending: migrations
+      .filter((m) => !applied.has(m.version))
+      .map(({ version, name }) => ({ version, name })),
+    unknown: [...applied.values()].filter((row) => !known.has(row.version)),
+  };
+}
+
+/**
+ * Apply every pending migration in version order, each in its own transaction together with
+ * its schema_migrations row. Each transaction is started with BEGIN IMMEDIATE, which takes
+ * SQLite's write lock: another process starting at the same time waits, then sees the
+ * migration applied and skips it. A migration that throws is rolled back and stops the run.
+ * @param {import("better-sqlite3").Database} database
+ * @param {Migration[]} [migrations]
+ * @returns {Array<{ version: number, name: string }>} the migrations applied by this call
+ */
+function migrate(database, migrations = loadMigrations()) {
+  const busyTimeout = database.pragma("busy_timeout", { simple: true });
+  database.pragma(`busy_timeout = ${MIGRATION_LOCK_TIMEOUT_MS}`);
+  try {
+    ensureMigrationsTable(database);
+    const applied = [];
+    for (const migration of migrations) {
+      const apply = database.transaction(() => {
+        if (appliedVersions(database).has(migration.version)) return false;
+        migration.up(database);
+        database
+          .prepare("INSERT INTO schema_migrations (version, name) VALUES (?, ?)")
+          .run(migration.version, migration.name);
+        return true;
+      });
+      try {
+        if (apply.immediate()) {
+          applied.push({ version: migration.version, name: migration.name });
+        }
+      } catch (err) {
+        err.message = `Migration ${migrationLabel(migration)} failed: ${err.message}`;
+        throw err;
+      }
+    }
+    return applied;
+  } finally {
+    database.pragma(`busy_timeout = ${busyTimeout}`);
+  }
+}
+
+module.exports = { MIGRATIONS_DIR, loadMigrations, migrationLabel, migrationStatus, migrate };
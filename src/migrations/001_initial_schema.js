@@ -0,0 +1,293 @@
+/**
+ * The schema as it was before migrations existed. Every statement is idempotent, so a database
+ * created by any earlier version (from the original processed_transactions and settings tables
+ * onwards) is adopted without touching its data. Later migrations need not be.
+ */
+
+/**
+ * Add a column to an existing table if it is missing (CREATE TABLE IF NOT EXISTS
+ * does not change tables created by older versions).
+ */
+function ensureColumn(database, table, column, definition) {
+  const columns = database.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some((c) => c.name === column)) {
+    database.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * @param {import("better-sqlite3").Database} database
+ */
+function up(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS processed_transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      txId TEXT NOT NULL UNIQUE,
+      asset TEXT NOT NULL,
+      amount REAL NOT NULL,
+      rewardKes REAL NOT NULL,
+      confirmedAt TEXT NOT NULL,
+      createdAt TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_processed_transactions_txId ON processed_transactions(txId);
+
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      key TEXT PRIMARY KEY,
+      route TEXT NOT NULL,
+      requestHash TEXT NOT NULL,
+      statusCode INTEGER,
+      response TEXT,
+      createdAt TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_idempotency_keys_createdAt ON idempotency_keys(createdAt);
+
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      role TEXT NOT NULL,
+      keyPrefix TEXT NOT NULL,
+      keyHash TEXT NOT NULL UNIQUE,
+      lastUsedAt TEXT,
+      revokedAt TEXT,
+      createdAt TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_endpoints (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT NOT NULL,
+      active INTEGER NOT NULL DEFAULT 1,
+      createdAt TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      endpointId INTEGER NOT NULL REFERENCES webhook_endpoints(id),
+      eventId TEXT NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      nextAttemptAt TEXT NOT NULL DEFAULT (datetime('now')),
+      lastStatusCode INTEGER,
+      lastError TEXT,
+      deliveredAt TEXT,
+      createdAt TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, nextAttemptAt);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpointId ON webhook_deliveries(endpointId);
+
+    CREATE TABLE IF NOT EXISTS settings (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS withdrawals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      binanceId TEXT,
+      address TEXT NOT NULL,
+      network TEXT NOT NULL,
+      asset TEXT NOT NULL,
+      amount REAL NOT NULL,
+      rate REAL NOT NULL,
+      amountKes REAL NOT NULL,
+      status TEXT NOT NULL,
+      binanceStatus INTEGER,
+      onChainTxId TEXT,
+      error TEXT,
+      createdAt TEXT NOT NULL DEFAULT (datetime('now')),
+      updatedAt TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_withdrawals_binanceId ON withdrawals(binanceId);
+    CREATE INDEX IF NOT EXISTS idx_withdrawals_status ON withdrawals(status);
+
+    CREATE TABLE IF NOT EXISTS accounts (
+      userId TEXT PRIMARY KEY,
+      balanceKes REAL NOT NULL DEFAULT 0 CHECK (balanceKes >= 0),
+      createdAt TEXT NOT NULL DEFAULT (datetime('now')),
+      updatedAt TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS account_transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userId TEXT NOT NULL REFERENCES accounts(userId),
+      type TEXT NOT NULL,
+      amountKes REAL NOT NULL,
+      balanceAfterKes REAL NOT NULL,
+      reference TEXT,
+      createdAt TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_account_transactions_userId ON account_transactions(userId);
+
+    CREATE TABLE IF NOT EXISTS ledger_accounts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code TEXT NOT NULL UNIQUE,
+      type TEXT NOT NULL,
+      currency TEXT NOT NULL,
+      createdAt TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS journal_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      reference TEXT,
+      description TEXT,
+      createdAt TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_journal_entries_reference ON journal_entries(reference);
+
+    -- amount is in integer minor units of the account currency: debits positive, credits negative
+    CREATE TABLE IF NOT EXISTS postings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      entryId INTEGER NOT NULL REFERENCES journal_entries(id),
+      accountId INTEGER NOT NULL REFERENCES ledger_accounts(id),
+      amount INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_postings_entryId ON postings(entryId);
+    CREATE INDEX IF NOT EXISTS idx_postings_accountId ON postings(accountId);
+
+    -- Binance deposit history records fetched for TxID lookups
+    CREATE TABLE IF NOT EXISTS binance_deposits (
+      key TEXT PRIMARY KEY,
+      txId TEXT NOT NULL,
+      coin TEXT NOT NULL,
+      status INTEGER NOT NULL,
+      insertTime INTEGER NOT NULL,
+      record TEXT NOT NULL,
+      fetchedAt TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_binance_deposits_txId ON binance_deposits(txId);
+
+    -- TxIDs submitted while their deposit was still pending on Binance, re-checked in the background
+    CREATE TABLE IF NOT EXISTS pending_deposits (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      txId TEXT NOT NULL UNIQUE,
+      submittedTxId TEXT NOT NULL,
+      userId TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      binanceStatus INTEGER,
+      amount REAL,
+      reason TEXT,
+      lastCheckedAt TEXT,
+      createdAt TEXT NOT NULL DEFAULT (datetime('now')),
+      updatedAt TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_pending_deposits_status ON pending_deposits(status);
+
+    -- Deposit history windows that are fully cached in binance_deposits and will not change
+    CREATE TABLE IF NOT EXISTS deposit_history_windows (
+      coin TEXT NOT NULL,
+      startTime INTEGER NOT NULL,
+      endTime INTEGER NOT NULL,
+      fetchedAt TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (coin, startTime)
+    );
+
+    -- Every change of the deposit or withdrawal rate in effect
+    CREATE TABLE IF NOT EXISTS rate_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      previousRate REAL,
+      rate REAL,
+      source TEXT NOT NULL,
+      actor TEXT NOT NULL,
+      createdAt TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_rate_history_type ON rate_history(type, id);
+
+    -- Addresses withdrawals may be sent to when the allowlist is enabled
+    CREATE TABLE IF NOT EXISTS withdrawal_addresses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      address TEXT NOT NULL,
+      network TEXT NOT NULL,
+      label TEXT,
+      status TEXT NOT NULL DEFAULT 'active',
+      usableAt TEXT NOT NULL,
+      createdBy TEXT,
+      createdAt TEXT NOT NULL DEFAULT (datetime('now')),
+      removedAt TEXT,
+      UNIQUE (address, network)
+    );
+
+    -- Rates locked for a short time by POST /api/quote; each quote can be used once
+    CREATE TABLE IF NOT EXISTS quotes (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      rate REAL NOT NULL,
+      amount REAL,
+      amountKes REAL,
+      userId TEXT,
+      createdBy TEXT,
+      expiresAt TEXT NOT NULL,
+      usedAt TEXT,
+      usedBy TEXT,
+      createdAt TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    -- Runs comparing our deposits and withdrawals with Binance history over a period
+    CREATE TABLE IF NOT EXISTS reconciliation_reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      periodStart TEXT NOT NULL,
+      periodEnd TEXT NOT NULL,
+      trigger TEXT NOT NULL,
+      status TEXT NOT NULL,
+      summary TEXT,
+      error TEXT,
+      createdAt TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    -- Discrepancies found by a reconciliation run
+    CREATE TABLE IF NOT EXISTS reconciliation_issues (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      reportId INTEGER NOT NULL REFERENCES reconciliation_reports(id),
+      type TEXT NOT NULL,
+      reference TEXT NOT NULL,
+      localAmount REAL,
+      binanceAmount REAL,
+      localStatus TEXT,
+      binanceStatus INTEGER,
+      occurredAt TEXT,
+      detail TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_reconciliation_issues_reportId ON reconciliation_issues(reportId);
+
+    -- Admin and money-moving actions, append-only; each row's hash covers the previous row's
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY,
+      createdAt TEXT NOT NULL,
+      action TEXT NOT NULL,
+      actor TEXT NOT NULL,
+      ip TEXT,
+      route TEXT,
+      target TEXT,
+      before TEXT,
+      after TEXT,
+      outcome TEXT NOT NULL,
+      binanceId TEXT,
+      error TEXT,
+      prevHash TEXT,
+      hash TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action);
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+  `);
+
+  ensureColumn(database, "processed_transactions", "userId", "TEXT");
+  ensureColumn(database, "withdrawals", "userId", "TEXT");
+  ensureColumn(database, "processed_transactions", "rate", "REAL");
+  ensureColumn(database, "processed_transactions", "quoteId", "TEXT");
+  ensureColumn(database, "withdrawals", "quoteId", "TEXT");
+  ensureColumn(database, "withdrawals", "approvedBy", "TEXT");
+  ensureColumn(database, "withdrawals", "approvedAt", "TEXT");
+  ensureColumn(database, "withdrawals", "memo", "TEXT");
+  ensureColumn(database, "withdrawals", "amountMode", "TEXT");
+  ensureColumn(database, "withdrawals", "networkFee", "REAL");
+  ensureColumn(database, "withdrawals", "platformFee", "REAL");
+  ensureColumn(database, "pending_deposits", "quoteId", "TEXT");
+}
+
+module.exports = { up };
@@ -0,0 +1,13 @@
+/**
+ * Record what credited each deposit: "txid", "poller" or "pending_claim", as in the
+ * deposit.credited webhook. Rows credited before this are filled in by migration 004.
+ */
+
+/**
+ * @param {import("better-sqlite3").Database} database
+ */
+function up(database) {
+  database.exec("ALTER TABLE processed_transactions ADD COLUMN source TEXT");
+}
+
+module.exports = { up };
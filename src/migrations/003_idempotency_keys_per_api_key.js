@@ -0,0 +1,31 @@
+/**
+ * Scope idempotency keys to the API key that sent them, so two clients choosing the same
+ * key never see each other's responses. Keys stored before this belong to no API key
+ * (apiKeyId 0); they are still matched for any API key until they expire, so a retry
+ * sent across the upgrade is replayed rather than run twice (see db.js).
+ */
+
+/**
+ * @param {import("better-sqlite3").Database} database
+ */
+function up(database) {
+  database.exec(`
+    CREATE TABLE idempotency_keys_new (
+      apiKeyId INTEGER NOT NULL,
+      key TEXT NOT NULL,
+      route TEXT NOT NULL,
+      requestHash TEXT NOT NULL,
+      statusCode INTEGER,
+      response TEXT,
+      createdAt TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (apiKeyId, key)
+    );
+    INSERT INTO idempotency_keys_new (apiKeyId, key, route, requestHash, statusCode, response, createdAt)
+      SELECT 0, key, route, requestHash, statusCode, response, createdAt FROM idempotency_keys;
+    DROP TABLE idempotency_keys;
+    ALTER TABLE idempotency_keys_new RENAME TO idempotency_keys;
+    CREATE INDEX idx_idempotency_keys_createdAt ON idempotency_keys(createdAt);
+  `);
+}
+
+module.exports = { up };
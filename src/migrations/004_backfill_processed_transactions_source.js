@@ -0,0 +1,28 @@
+/**
+ * Fill in processed_transactions.source for deposits credited before migration 002, from the
+ * actor of their deposit.credit audit row. Poller credits without a user can then still be
+ * assigned to the first user who claims them. Rows without an audit row stay NULL.
+ */
+
+/**
+ * @param {import("better-sqlite3").Database} database
+ */
+function up(database) {
+  database.exec(`
+    UPDATE processed_transactions
+    SET source = (
+      SELECT CASE
+        WHEN a.actor = 'deposit_poller' THEN 'poller'
+        WHEN a.actor = 'pending_deposit_checker' THEN 'pending_claim'
+        ELSE 'txid'
+      END
+      FROM audit_log a
+      WHERE a.action = 'deposit.credit' AND a.target = processed_transactions.txId
+      ORDER BY a.id
+      LIMIT 1
+    )
+    WHERE source IS NULL;
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,594 @@
+const crypto = require("crypto");
+const express = require("express");
+const { toMinor, fromMinor } = require("./money");
+
+/**
+ * Local stand-in for the parts of the Binance API this app calls, for offline
+ * development and integration tests. Signed endpoints check the API key header,
+ * the HMAC signature and the timestamp the way Binance does. State is in memory
+ * and scripted through /mock routes; see README "Mock Binance server".
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Errors as Binance returns them: HTTP status, Binance code and message.
+const ERRORS = {
+  region: {
+    status: 451,
+    code: 0,
+    msg:
+      "Service unavailable from a restricted location according to 'b. Eligibility' in " +
+      "https://www.binance.com/en/terms. Please contact customer service if you believe " +
+      "you received this message in error.",
+  },
+  insufficient_balance: { status: 400, code: -4026, msg: "User has insufficient balance" },
+  rate_limit: { status: 429, code: -1003, msg: "Too many requests; current limit is exceeded." },
+  ip_ban: { status: 418, code: -1003, msg: "Way too many requests; IP banned." },
+  invalid_api_key: {
+    status: 401,
+    code: -2015,
+    msg: "Invalid API-key, IP, or permissions for action.",
+  },
+  server_error: { status: 503, code: -1001, msg: "Internal error; unable to process your request." },
+  timestamp: {
+    status: 400,
+    code: -1021,
+    msg: "Timestamp for this request is outside of the recvWindow.",
+  },
+};
+
+// Request weight per endpoint, reported in the used-weight headers like Binance does.
+const WEIGHTS = {
+  "/api/v3/account": 20,
+  "/api/v3/ticker/price": 2,
+  "/sapi/v1/capital/config/getall": 10,
+  "/sapi/v1/capital/withdraw/apply": 600,
+  "/sapi/v1/capital/withdraw/history": 10,
+};
+
+const DEFAULT_NETWORKS = [
+  {
+    network: "TRX",
+    name: "Tron (TRC20)",
+    withdrawEnable: true,
+    depositEnable: true,
+    withdrawFee: "1",
+    withdrawMin: "10",
+    withdrawMax: "9999999",
+    sameAddress: false,
+    memoRegex: "",
+    addressRegex: "^T[1-9A-HJ-NP-Za-km-z]{33}$",
+    busy: false,
+  },
+  {
+    network: "BSC",
+    name: "BNB Smart Chain (BEP20)",
+    withdrawEnable: true,
+    depositEnable: true,
+    withdrawFee: "0.29",
+    withdrawMin: "10",
+    withdrawMax: "9999999",
+    sameAddress: false,
+    memoRegex: "",
+    addressRegex: "^(0x)[0-9A-Fa-f]{40}$",
+    busy: false,
+  },
+  {
+    network: "SOL",
+    name: "Solana",
+    withdrawEnable: true,
+    depositEnable: true,
+    withdrawFee: "1",
+    withdrawMin: "5",
+    withdrawMax: "9999999",
+    sameAddress: false,
+    memoRegex: "",
+    addressRegex: "^[1-9A-HJ-NP-Za-km-z]{32,44}$",
+    busy: false,
+  },
+];
+
+/** Fixtures used for whatever a fixture file or POST /mock/reset leaves out. */
+function defaultFixtures() {
+  return {
+    balances: { USDT: { free: 1000, locked: 0 } },
+    deposits: [
+      { txId: "Off-chain transfer 100000000001", amount: 25, status: 1, ageMs: 60 * 60 * 1000 },
+      { txId: "Off-chain transfer 100000000002", amount: 10, status: 0, ageMs: 5 * 60 * 1000 },
+    ],
+    withdrawals: [],
+    networks: DEFAULT_NETWORKS,
+    prices: { USDTKES: 129.5 },
+    p2p: { BUY: [130.1, 130.2, 130.4], SELL: [129.2, 129.1, 128.9] },
+    // Permissions GET /sapi/v1/account/apiRestrictions reports for the API key
+    apiRestrictions: {
+      ipRestrict: true,
+      enableReading: true,
+      enableWithdrawals: true,
+      enableInternalTransfer: false,
+      enableSpotAndMarginTrading: false,
+    },
+    // Status new withdrawals get: 6 Completed, 4 Processing, 2 Awaiting Approval, ...
+    withdrawStatus: 6,
+    // Added to the server time, to exercise the client's clock sync.
+    clockSkewMs: 0,
+    failures: [],
+  };
+}
+
+function randomHex(bytes) {
+  return crypto.randomBytes(bytes).toString("hex");
+}
+
+// Binance formats withdrawal times as "YYYY-MM-DD HH:mm:ss" UTC.
+function formatTime(ms) {
+  return new Date(ms).toISOString().replace("T", " ").slice(0, 19);
+}
+
+// Inverse of formatTime.
+function parseTime(text) {
+  return new Date(`${text.replace(" ", "T")}Z`).getTime();
+}
+
+function binanceError(res, { status, code, msg }, retryAfter) {
+  if (retryAfter) res.set("Retry-After", String(retryAfter));
+  return res.status(status).json({ code, msg });
+}
+
+function missingParam(res, name) {
+  return binanceError(res, {
+    status: 400,
+    code: -1102,
+    msg: `Mandatory parameter '${name}' was not sent, was empty/null, or malformed.`,
+  });
+}
+
+/**
+ * Create the mock server. Call .app.listen(port) to serve it.
+ * @param {object} options
+ * @param {string} options.apiKey - expected in X-MBX-APIKEY
+ * @param {string} options.apiSecret - HMAC key signatures are checked with
+ * @param {object} [options.fixtures] - initial state, merged over defaultFixtures()
+ * @param {boolean} [options.log] - log each Binance request to the console
+ */
+function createMockBinance({ apiKey, apiSecret, fixtures = {}, log = false }) {
+  let state;
+  // Ids keep counting across resets, as the API under test remembers the ones it saw.
+  let nextDepositId = 1;
+  let nextWithdrawalId = 1;
+  let requests;
+  let weight;
+
+  function depositFrom(d) {
+    const insertTime = d.insertTime || Date.now() - (d.ageMs || 0);
+    const offChain = typeof d.txId === "string" && d.txId.startsWith("Off-chain transfer");
+    return {
+      id: String(d.id || nextDepositId++),
+      amount: String(d.amount),
+      coin: d.coin || "USDT",
+      network: d.network || "TRX",
+      status: d.status == null ? 1 : Number(d.status),
+      address: d.address || "TXmockDepositAddress111111111111111",
+      addressTag: d.addressTag || "",
+      txId: d.txId || `0x${randomHex(32)}`,
+      insertTime,
+      transferType: d.transferType == null ? (offChain ? 1 : 0) : d.transferType,
+      confirmTimes: d.confirmTimes || "1/1",
+      unlockConfirm: d.unlockConfirm || 0,
+      walletType: 0,
+    };
+  }
+
+  function withdrawalFrom(w) {
+    const status = w.status == null ? state.withdrawStatus : Number(w.status);
+    return {
+      id: String(w.id || `mockw${nextWithdrawalId++}`),
+      amount: String(w.amount),
+      transactionFee: String(w.transactionFee || 0),
+      coin: w.coin || "USDT",
+      status,
+      address: w.address,
+      addressTag: w.addressTag || "",
+      txId: w.txId || (status === 6 ? `0x${randomHex(32)}` : ""),
+      applyTime: w.applyTime || formatTime(Date.now()),
+      network: w.network,
+      transferType: 0,
+      withdrawOrderId: w.withdrawOrderId || "",
+      info: "",
+      confirmNo: status === 6 ? 12 : 0,
+      walletType: 0,
+    };
+  }
+
+  /**
+   * Replace the state with the defaults, overridden by fixtures.
+   * @param {object} [overrides] - same shape as defaultFixtures()
+   */
+  function reset(overrides = {}) {
+    const { failures, ...rest } = { ...defaultFixtures(), ...overrides };
+    state = { ...rest, failures: [] };
+    // A balance is { free, locked } or just the free amount.
+    state.balances = Object.fromEntries(
+      Object.entries(state.balances).map(([asset, b]) => [
+        asset,
+        typeof b === "object"
+          ? { free: Number(b.free || 0), locked: Number(b.locked || 0) }
+          : { free: Number(b), locked: 0 },
+      ])
+    );
+    state.deposits = state.deposits.map(depositFrom);
+    state.withdrawals = state.withdrawals.map(withdrawalFrom);
+    failures.forEach(addFailure);
+    requests = [];
+    weight = { minute: 0, api: 0, sapi: 0 };
+  }
+
+  /**
+   * Make upcoming requests fail.
+   * @param {object} failure
+   * @param {string} [failure.error] - a key of ERRORS, e.g. "region" or "insufficient_balance"
+   * @param {number} [failure.status] - with code and msg, instead of error
+   * @param {number} [failure.code]
+   * @param {string} [failure.msg]
+   * @param {string} [failure.path] - only requests to this path; default any
+   * @param {string} [failure.method] - only this method; default any
+   * @param {number} [failure.times] - how many requests fail; default 1, 0 until cleared
+   * @param {number} [failure.retryAfter] - seconds, sent as Retry-After
+   */
+  function addFailure(failure) {
+    const base = failure.error ? ERRORS[failure.error] : null;
+    if (failure.error && !base) {
+      throw new Error(`Unknown error ${failure.error}. Known: ${Object.keys(ERRORS).join(", ")}`);
+    }
+    if (!base && !failure.status) {
+      throw new Error("A failure needs an error name or a status");
+    }
+    const entry = { times: 1, ...base, ...failure };
+    state.failures.push(entry);
+    return entry;
+  }
+
+  function takeFailure(req) {
+    const index = state.failures.findIndex(
+      (f) =>
+        (!f.path || f.path === req.path) &&
+        (!f.method || f.method.toUpperCase() === req.method)
+    );
+    if (index === -1) return null;
+    const failure = state.failures[index];
+    if (failure.times > 0) {
+      failure.times -= 1;
+      if (failure.times === 0) state.failures.splice(index, 1);
+    }
+    return failure;
+  }
+
+  function serverTime() {
+    return Date.now() + state.clockSkewMs;
+  }
+
+  // Used weight in the current minute, per limit, like X-MBX-USED-WEIGHT-1M.
+  function addWeight(path) {
+    const minute = Math.floor(Date.now() / 60_000);
+    if (minute !== weight.minute) weight = { minute, api: 0, sapi: 0 };
+    const bucket = path.startsWith("/sapi/") ? "sapi" : "api";
+    weight[bucket] += WEIGHTS[path] || 1;
+    return bucket === "sapi"
+      ? { "X-SAPI-USED-IP-WEIGHT-1M": String(weight.sapi) }
+      : { "X-MBX-USED-WEIGHT-1M": String(weight.api) };
+  }
+
+  // Checks Binance applies to SIGNED endpoints, in the same order. Returns an error or null.
+  function verifySigned(req) {
+    const key = req.get("X-MBX-APIKEY");
+    if (!key) return { status: 401, code: -2014, msg: "API-key format invalid." };
+    if (key !== apiKey) return ERRORS.invalid_api_key;
+
+    // The signature covers the query string and body exactly as sent, minus the signature.
+    const query = req.originalUrl.includes("?") ? req.originalUrl.split("?")[1] : "";
+    const body = typeof req.body === "string" ? req.body : "";
+    const total = [query, body].filter(Boolean).join("");
+    const match = total.match(/(?:^|&)signature=([0-9a-fA-F]+)(?=&|$)/);
+    const payload = total.replace(/(^|&)signature=[^&]*/, "").replace(/^&/, "");
+    const expected = crypto.createHmac("sha256", apiSecret).update(payload).digest("hex");
+    if (
+      !match ||
+      match[1].length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(match[1].toLowerCase()), Buffer.from(expected))
+    ) {
+      return { status: 400, code: -1022, msg: "Signature for this request is not valid." };
+    }
+
+    const params = new URLSearchParams(payload);
+    const timestamp = Number(params.get("timestamp"));
+    const recvWindow = Number(params.get("recvWindow") || 5000);
+    if (!timestamp) {
+      return {
+        status: 400,
+        code: -1102,
+        msg: "Mandatory parameter 'timestamp' was not sent, was empty/null, or malformed.",
+      };
+    }
+    if (recvWindow > 60_000) {
+      return { status: 400, code: -1131, msg: "recvWindow must be less than 60000" };
+    }
+    const now = serverTime();
+    if (timestamp >= now + 1000 || now - timestamp > recvWindow) return ERRORS.timestamp;
+    return null;
+  }
+
+  function params(req) {
+    const body = typeof req.body === "string" ? Object.fromEntries(new URLSearchParams(req.body)) : {};
+    return { ...req.query, ...body };
+  }
+
+  const app = express();
+  const binance = express.Router();
+
+  binance.use(express.text({ type: "application/x-www-form-urlencoded" }));
+  binance.use((req, res, next) => {
+    const entry = { at: new Date().toISOString(), method: req.method, path: req.path, params: params(req) };
+    requests.push(entry);
+    if (requests.length > 500) requests.shift();
+    if (log) {
+      // eslint-disable-next-line no-console
+      console.log(`[mock-binance] ${req.method} ${req.path}`);
+    }
+
+    res.set(addWeight(req.path));
+    const failure = takeFailure(req);
+    if (failure) {
+      entry.failed = failure.status;
+      return binanceError(res, failure, failure.retryAfter);
+    }
+    next();
+  });
+
+  // Routes below this run signature checks; public ones are declared first.
+  binance.get("/api/v3/time", (req, res) => res.json({ serverTime: serverTime() }));
+  binance.get("/api/v3/ping", (req, res) => res.json({}));
+
+  binance.get("/api/v3/ticker/price", (req, res) => {
+    const { symbol } = req.query;
+    if (!symbol) return missingParam(res, "symbol");
+    if (state.prices[symbol] == null) {
+      return binanceError(res, { status: 400, code: -1121, msg: "Invalid symbol." });
+    }
+    return res.json({ symbol, price: String(state.prices[symbol]) });
+  });
+
+  app.post("/bapi/c2c/v2/friendly/c2c/adv/search", express.json(), (req, res) => {
+    const prices = state.p2p[(req.body && req.body.tradeType) || "BUY"] || [];
+    const rows = Number((req.body && req.body.rows) || 10);
+    res.json({
+      code: "000000",
+      data: prices.slice(0, rows).map((price) => ({ adv: { price: String(price) } })),
+      success: true,
+    });
+  });
+
+  binance.use((req, res, next) => {
+    const error = verifySigned(req);
+    if (error) {
+      requests[requests.length - 1].failed = error.status;
+      return binanceError(res, error);
+    }
+    next();
+  });
+
+  binance.get("/api/v3/account", (req, res) => {
+    res.json({
+      makerCommission: 10,
+      takerCommission: 10,
+      canTrade: true,
+      canWithdraw: true,
+      canDeposit: true,
+      updateTime: Date.now(),
+      accountType: "SPOT",
+      balances: Object.entries(state.balances).map(([asset, b]) => ({
+        asset,
+        free: b.free.toFixed(8),
+        locked: b.locked.toFixed(8),
+      })),
+      permissions: ["SPOT"],
+    });
+  });
+
+  binance.get("/sapi/v1/account/apiRestrictions", (req, res) => {
+    res.json({ createTime: Date.now() - 30 * DAY_MS, ...state.apiRestrictions });
+  });
+
+  binance.get("/sapi/v1/capital/deposit/hisrec", (req, res) => {
+    const p = params(req);
+    const endTime = Number(p.endTime) || serverTime();
+    // Without a range, Binance returns the last 90 days.
+    const startTime = Number(p.startTime) || endTime - 90 * DAY_MS;
+    if (endTime - startTime > 90 * DAY_MS) {
+      return binanceError(res, { status: 400, code: -1127, msg: "Lookup interval is too big." });
+    }
+    const offset = Number(p.offset || 0);
+    const limit = Math.min(Number(p.limit || 1000), 1000);
+    const matches = state.deposits
+      .filter(
+        (d) =>
+          (!p.coin || d.coin === p.coin) &&
+          (p.status == null || d.status === Number(p.status)) &&
+          (!p.txId || d.txId === p.txId) &&
+          d.insertTime >= startTime &&
+          d.insertTime <= endTime
+      )
+      .sort((a, b) => b.insertTime - a.insertTime);
+    return res.json(matches.slice(offset, offset + limit));
+  });
+
+  binance.get("/sapi/v1/capital/withdraw/history", (req, res) => {
+    const p = params(req);
+    const ids = p.idList ? p.idList.split(",") : null;
+    const endTime = Number(p.endTime) || serverTime();
+    const startTime = Number(p.startTime) || endTime - 90 * DAY_MS;
+    if (endTime - startTime > 90 * DAY_MS) {
+      return binanceError(res, { status: 400, code: -1127, msg: "Lookup interval is too big." });
+    }
+    const offset = Number(p.offset || 0);
+    const limit = Math.min(Number(p.limit || 1000), 1000);
+    const matches = state.withdrawals
+      .filter(
+        (w) =>
+          (!p.coin || w.coin === p.coin) &&
+          (!ids || ids.includes(w.id)) &&
+          (!p.withdrawOrderId || w.withdrawOrderId === p.withdrawOrderId) &&
+          (p.status == null || w.status === Number(p.status)) &&
+          // An idList lookup is not limited to the default 90 day range.
+          (ids || (parseTime(w.applyTime) >= startTime && parseTime(w.applyTime) <= endTime))
+      )
+      .reverse();
+    return res.json(matches.slice(offset, offset + limit));
+  });
+
+  binance.get("/sapi/v1/capital/config/getall", (req, res) => {
+    res.json([
+      {
+        coin: "USDT",
+        name: "TetherUS",
+        free: String(state.balances.USDT ? state.balances.USDT.free : 0),
+        depositAllEnable: true,
+        withdrawAllEnable: true,
+        networkList: state.networks.map((n) => ({ coin: "USDT", isDefault: false, ...n })),
+      },
+    ]);
+  });
+
+  // The amount is what arrives; the network fee is taken from the balance on top of it.
+  binance.post("/sapi/v1/capital/withdraw/apply", (req, res) => {
+    const p = params(req);
+    for (const name of ["coin", "address", "amount"]) {
+      if (!p[name]) return missingParam(res, name);
+    }
+    const network = state.networks.find((n) => n.network === (p.network || "TRX"));
+    if (p.coin !== "USDT" || !network) {
+      return binanceError(res, { status: 400, code: -4018, msg: "The network is not supported." });
+    }
+    if (!network.withdrawEnable) {
+      return binanceError(res, {
+        status: 400,
+        code: -4019,
+        msg: "The current currency is not open for withdrawal.",
+      });
+    }
+    if (network.addressRegex && !new RegExp(network.addressRegex).test(p.address)) {
+      return binanceError(res, { status: 400, code: -4007, msg: "Invalid withdrawal address." });
+    }
+    const amount = toMinor(p.amount, "USDT");
+    if (!(amount > 0) || amount < toMinor(network.withdrawMin, "USDT")) {
+      return binanceError(res, {
+        status: 400,
+        code: -4022,
+        msg: `The withdrawal amount must be at least ${network.withdrawMin}.`,
+      });
+    }
+    // The fee comes out of amount: the recipient gets amount - fee.
+    const fee = toMinor(network.withdrawFee, "USDT");
+    if (amount <= fee) {
+      return binanceError(res, {
+        status: 400,
+        code: -4022,
+        msg: `The withdrawal amount must be more than the fee of ${network.withdrawFee}.`,
+      });
+    }
+    const balance = state.balances.USDT || { free: 0, locked: 0 };
+    if (toMinor(balance.free, "USDT") < amount) {
+      return binanceError(res, ERRORS.insufficient_balance);
+    }
+
+    balance.free = fromMinor(toMinor(balance.free, "USDT") - amount, "USDT");
+    state.balances.USDT = balance;
+    const withdrawal = withdrawalFrom({
+      amount: fromMinor(amount - fee, "USDT"),
+      transactionFee: network.withdrawFee,
+      address: p.address,
+      addressTag: p.addressTag,
+      network: network.network,
+      withdrawOrderId: p.withdrawOrderId,
+    });
+    state.withdrawals.push(withdrawal);
+    return res.json({ id: withdrawal.id });
+  });
+
+  // Control API for scripting fixtures. Not part of Binance, not signed.
+  const control = express.Router();
+  control.use(express.json());
+
+  control.get("/state", (req, res) => res.json(state));
+
+  control.post("/reset", (req, res) => {
+    reset(req.body || {});
+    res.json(state);
+  });
+
+  control.put("/balances/:asset", (req, res) => {
+    const { free = 0, locked = 0 } = req.body || {};
+    if (Number.isNaN(Number(free)) || Number.isNaN(Number(locked))) {
+      return res.status(400).json({ error: "free and locked must be numbers" });
+    }
+    state.balances[req.params.asset] = { free: Number(free), locked: Number(locked) };
+    return res.json(state.balances);
+  });
+
+  control.post("/deposits", (req, res) => {
+    if (!req.body || req.body.amount == null) {
+      return res.status(400).json({ error: "amount is required" });
+    }
+    const deposit = depositFrom(req.body);
+    state.deposits.push(deposit);
+    return res.status(201).json(deposit);
+  });
+
+  control.patch("/deposits/:id", (req, res) => {
+    const deposit = state.deposits.find((d) => d.id === req.params.id || d.txId === req.params.id);
+    if (!deposit) return res.status(404).json({ error: "Deposit not found" });
+    Object.assign(deposit, req.body, { id: deposit.id });
+    return res.json(deposit);
+  });
+
+  control.patch("/withdrawals/:id", (req, res) => {
+    const withdrawal = state.withdrawals.find((w) => w.id === req.params.id);
+    if (!withdrawal) return res.status(404).json({ error: "Withdrawal not found" });
+    Object.assign(withdrawal, req.body, { id: withdrawal.id });
+    if (Number(withdrawal.status) === 6 && !withdrawal.txId) withdrawal.txId = `0x${randomHex(32)}`;
+    return res.json(withdrawal);
+  });
+
+  control.post("/failures", (req, res) => {
+    try {
+      return res.status(201).json(addFailure(req.body || {}));
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  });
+
+  control.delete("/failures", (req, res) => {
+    state.failures = [];
+    res.json({ failures: [] });
+  });
+
+  control.get("/requests", (req, res) => res.json({ requests }));
+
+  app.use("/mock", control);
+  app.use(binance);
+
+  reset(fixtures);
+
+  return {
+    app,
+    reset,
+    addFailure,
+    get state() {
+      return state;
+    },
+    get requests() {
+      return requests;
+    },
+  };
+}
+
+module.exports = { ERRORS, defaultFixtures, createMockBinance };
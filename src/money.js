@@ -0,0 +1,56 @@
+/**
+ * Integer minor-unit helpers, so money is never added or multiplied as floating point.
+ * USDT is held to 6 decimals (micro-USDT) and KES to 2 decimals (cents).
+ */
+
+const DECIMALS = {
+  USDT: 6,
+  KES: 2,
+};
+
+/**
+ * Convert a decimal amount (number or numeric string) to integer minor units,
+ * rounding half away from zero at the currency's precision.
+ * @param {number | string} value - e.g. 20.5 or "20.5"
+ * @param {"USDT" | "KES"} currency
+ * @returns {number} e.g. 20500000 for 20.5 USDT
+ */
+function toMinor(value, currency) {
+  const decimals = DECIMALS[currency];
+  const n = Number(value);
+  if (!Number.isFinite(n)) {
+    throw new Error(`Invalid ${currency} amount: ${value}`);
+  }
+  // toFixed gives the exact decimal digits; one extra digit decides rounding.
+  const [whole, fraction] = Math.abs(n).toFixed(decimals + 1).split(".");
+  let minor = BigInt(whole + fraction.slice(0, decimals));
+  if (Number(fraction[decimals]) >= 5) minor += 1n;
+  return Number(n < 0 ? -minor : minor);
+}
+
+/**
+ * Convert integer minor units back to a decimal number for API responses.
+ * @param {number} minor
+ * @param {"USDT" | "KES"} currency
+ */
+function fromMinor(minor, currency) {
+  return minor / 10 ** DECIMALS[currency];
+}
+
+/**
+ * KES value of a USDT amount at a KES-per-USDT rate, in cents.
+ * The rate is taken to 6 decimals and the product rounded once, half up.
+ * @param {number} usdtMinor - micro-USDT
+ * @param {number} rate - KES per USDT
+ * @returns {number} KES cents
+ */
+function usdtToKesMinor(usdtMinor, rate) {
+  const rateMicro = BigInt(toMinor(rate, "USDT"));
+  const product = BigInt(usdtMinor) * rateMicro; // scale 10^12
+  const negative = product < 0n;
+  const abs = negative ? -product : product;
+  const cents = (abs + 5_000_000_000n) / 10_000_000_000n; // to scale 10^2
+  return Number(negative ? -cents : cents);
+}
+
+module.exports = { DECIMALS, toMinor, fromMinor, usdtToKesMinor };
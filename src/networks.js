@@ -0,0 +1,172 @@
+const { binance } = require("./binance");
+const { validateAddress } = require("./addresses");
+const { logger } = require("./logger");
+
+// How long Binance's USDT network config is reused before it is fetched again.
+const NETWORK_CACHE_TTL_SECONDS = (() => {
+  const n = Number(process.env.NETWORK_CACHE_TTL_SECONDS || "600");
+  return !Number.isNaN(n) && n >= 0 ? n : 600;
+})();
+
+let cache = null; // { client, networks, fetchedAt }
+let inflight = null;
+
+function formatNetwork(n) {
+  return {
+    network: n.network,
+    name: n.name,
+    withdrawEnabled: Boolean(n.withdrawEnable),
+    depositEnabled: Boolean(n.depositEnable),
+    withdrawFee: Number(n.withdrawFee || 0),
+    withdrawMin: Number(n.withdrawMin || 0),
+    withdrawMax: Number(n.withdrawMax || 0),
+    // Binance sets sameAddress when deposits share one address and are told apart by memo.
+    memoRequired: Boolean(n.sameAddress),
+    memoRegex: n.memoRegex || null,
+    addressRegex: n.addressRegex || null,
+    busy: Boolean(n.busy),
+  };
+}
+
+/**
+ * USDT networks from Binance's coin config, cached for NETWORK_CACHE_TTL_SECONDS.
+ * If Binance cannot be reached, the last fetched config is served instead.
+ * @param {object} [options]
+ * @param {boolean} [options.refresh] - fetch even if the cache is fresh
+ * @returns {Promise<{ networks: ReturnType<typeof formatNetwork>[], updatedAt: string }>}
+ */
+async function getNetworks({ refresh = false } = {}) {
+  const client = binance();
+  // A config fetched through a different client (see useBinanceClient) is never reused.
+  if (cache && cache.client !== client) cache = null;
+  const fresh = cache && Date.now() - cache.fetchedAt < NETWORK_CACHE_TTL_SECONDS * 1000;
+  if (!fresh || refresh) {
+    // Concurrent requests share one fetch.
+    inflight =
+      inflight ||
+      client
+        .getCoinNetworks("USDT")
+        .then((list) => {
+          cache = { client, networks: list.map(formatNetwork), fetchedAt: Date.now() };
+        })
+        .catch((err) => {
+          if (!cache) throw err;
+          logger.error("Error refreshing network config", { err });
+        })
+        .finally(() => {
+          inflight = null;
+        });
+    await inflight;
+  }
+  return { networks: cache.networks, updatedAt: new Date(cache.fetchedAt).toISOString() };
+}
+
+// Networks without a validator in addresses.js are checked against Binance's pattern, if any.
+function checkFormat(address, config) {
+  return config.addressRegex
+    ? validateAddress(address, config.network, { addressRegex: config.addressRegex })
+    : { network: config.network, valid: true };
+}
+
+/**
+ * Validate an address, using Binance's address pattern for networks without
+ * a checksum validator. Without a network, only TRC20 and Solana are detected.
+ * @param {string} address - already trimmed
+ * @param {string} [network]
+ * @returns {Promise<ReturnType<typeof validateAddress>>}
+ */
+async function validateNetworkAddress(address, network) {
+  const result = validateAddress(address, network);
+  if (result.reason !== "unsupported_network") return result;
+
+  const { networks } = await getNetworks();
+  const config = networks.find((n) => n.network === network);
+  if (!config) {
+    return {
+      ...result,
+      message: `Binance does not offer USDT on ${network}. Networks: ${networks
+        .map((n) => n.network)
+        .join(", ")}`,
+    };
+  }
+  return checkFormat(address, config);
+}
+
+/**
+ * Check a withdrawal destination against Binance's network config.
+ * @param {object} destination
+ * @param {string} destination.address - already trimmed
+ * @param {string} [destination.network] - detected from the address if omitted
+ * @param {string} [destination.memo]
+ * @returns {Promise<{ network: ReturnType<typeof formatNetwork> | null, memo?: string | null,
+ *   error?: string, reason?: string }>}
+ */
+async function resolveWithdrawalNetwork({ address, network, memo }) {
+  const { networks } = await getNetworks();
+  const withdrawable = networks.filter((n) => n.withdrawEnabled).map((n) => n.network);
+
+  const validation = validateAddress(address, network);
+  const config = networks.find((n) => n.network === (network || validation.network));
+  if (network && !config) {
+    return {
+      network: null,
+      reason: "unsupported_network",
+      error: `network must be one of: ${withdrawable.join(", ")}`,
+    };
+  }
+  if (config && !config.withdrawEnabled) {
+    return {
+      network: null,
+      reason: "network_withdrawals_disabled",
+      error: `Binance has USDT withdrawals on ${config.network} disabled`,
+    };
+  }
+
+  const checked =
+    validation.reason === "unsupported_network" ? checkFormat(address, config) : validation;
+  if (!checked.valid) {
+    return { network: null, reason: checked.reason, error: checked.message };
+  }
+  if (!config) {
+    return {
+      network: null,
+      reason: "unsupported_network",
+      error: `Binance does not offer USDT on ${checked.network}`,
+    };
+  }
+
+  if (memo != null && typeof memo !== "string") {
+    return { network: null, reason: "invalid_memo", error: "memo must be a string" };
+  }
+  if (!memo) {
+    if (config.memoRequired) {
+      return {
+        network: null,
+        reason: "memo_required",
+        error: `memo is required for withdrawals on ${config.network}`,
+      };
+    }
+    return { network: config, memo: null };
+  }
+  if (!config.memoRequired && !config.memoRegex) {
+    return {
+      network: null,
+      reason: "memo_not_supported",
+      error: `${config.network} does not use a memo`,
+    };
+  }
+  if (config.memoRegex && !new RegExp(config.memoRegex).test(memo)) {
+    return {
+      network: null,
+      reason: "invalid_memo",
+      error: `memo does not match the ${config.network} memo format ${config.memoRegex}`,
+    };
+  }
+  return { network: config, memo };
+}
+
+module.exports = {
+  getNetworks,
+  validateNetworkAddress,
+  resolveWithdrawalNetwork,
+};
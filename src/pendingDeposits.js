@@ -0,0 +1,156 @@
+const {
+  listPendingDeposits,
+  touchPendingDeposit,
+  resolvePendingDeposit,
+} = require("./db");
+const {
+  FINAL_DEPOSIT_STATUSES,
+  findProcessed,
+  lookupDeposit,
+  creditDeposit,
+} = require("./deposits");
+const { emitEvent } = require("./webhooks");
+const { logger } = require("./logger");
+
+const PENDING_DEPOSIT_CHECK_INTERVAL_MS = (() => {
+  const n = Number(process.env.PENDING_DEPOSIT_CHECK_INTERVAL_MS || "60000");
+  return !Number.isNaN(n) && n >= 5000 ? n : 60000;
+})();
+
+// Claims whose deposit has not confirmed after this long are closed as expired.
+const PENDING_DEPOSIT_MAX_AGE_HOURS = (() => {
+  const n = Number(process.env.PENDING_DEPOSIT_MAX_AGE_HOURS || "72");
+  return !Number.isNaN(n) && n > 0 ? n : 72;
+})();
+
+const CHECK_BATCH_SIZE = 50;
+
+function isExpired(claim) {
+  const createdAt = new Date(`${claim.createdAt.replace(" ", "T")}Z`).getTime();
+  return Date.now() - createdAt > PENDING_DEPOSIT_MAX_AGE_HOURS * 60 * 60 * 1000;
+}
+
+/**
+ * Re-check one pending claim against Binance and finalize it if its deposit
+ * reached a final status.
+ * @param {any} claim - pending_deposits row
+ * @param {object} options - see checkPendingDeposits
+ * @returns {Promise<"credited" | "rejected" | "expired" | "pending">}
+ */
+async function checkClaim(claim, { getRate, getMinDepositAmount }) {
+  if (findProcessed(claim.submittedTxId)) {
+    // Credited through the TxID route or the poller in the meantime.
+    resolvePendingDeposit(claim.txId, "credited");
+    return "credited";
+  }
+
+  const { deposit } = await lookupDeposit(claim.submittedTxId);
+  const binanceStatus = deposit ? Number(deposit.status) : null;
+
+  if (binanceStatus === 1) {
+    const confirmedAmount = Number(deposit.amount || 0);
+    const minDepositAmount = getMinDepositAmount();
+    if (minDepositAmount > 0 && confirmedAmount < minDepositAmount) {
+      resolvePendingDeposit(claim.txId, "rejected", "amount_too_low");
+      emitEvent("deposit.rejected", {
+        txId: claim.txId,
+        reason: "amount_too_low",
+        confirmedAmount,
+        minDepositAmount,
+        userId: claim.userId,
+      });
+      return "rejected";
+    }
+
+    const credited = creditDeposit({
+      txId: claim.submittedTxId,
+      deposit,
+      // A claim submitted with a quote is credited at the quoted rate.
+      rate: claim.quoteId ? null : getRate(),
+      userId: claim.userId,
+      source: "pending_claim",
+      audit: { actor: "pending_deposit_checker" },
+    });
+    emitEvent("deposit.credited", { ...credited, network: deposit.network, source: "pending_claim" });
+    return "credited";
+  }
+
+  if (binanceStatus != null && FINAL_DEPOSIT_STATUSES.includes(binanceStatus)) {
+    resolvePendingDeposit(claim.txId, "rejected", "deposit_rejected");
+    emitEvent("deposit.rejected", {
+      txId: claim.txId,
+      reason: "deposit_rejected",
+      binanceStatus,
+      userId: claim.userId,
+    });
+    return "rejected";
+  }
+
+  if (isExpired(claim)) {
+    resolvePendingDeposit(claim.txId, "expired", "not_confirmed_in_time");
+    return "expired";
+  }
+
+  touchPendingDeposit(claim.txId, binanceStatus);
+  return "pending";
+}
+
+/**
+ * Re-check every pending claim once. A claim whose check throws is logged and marked
+ * checked, so it goes to the back of the queue instead of blocking the claims behind it;
+ * it is closed as expired once it is past PENDING_DEPOSIT_MAX_AGE_HOURS.
+ * @param {object} options
+ * @param {() => number} options.getRate - current KES per USDT
+ * @param {() => number} options.getMinDepositAmount - current minimum deposit (USDT)
+ * @returns {Promise<Record<string, number>>} number of claims per outcome
+ */
+async function checkPendingDeposits(options) {
+  const outcomes = { credited: 0, rejected: 0, expired: 0, pending: 0, failed: 0 };
+  for (const claim of listPendingDeposits(CHECK_BATCH_SIZE)) {
+    try {
+      outcomes[await checkClaim(claim, options)] += 1;
+    } catch (err) {
+      logger.error("Pending deposit claim check failed", { txId: claim.txId, err });
+      if (isExpired(claim)) {
+        resolvePendingDeposit(claim.txId, "expired", "not_confirmed_in_time");
+        outcomes.expired += 1;
+      } else {
+        touchPendingDeposit(claim.txId, null);
+        outcomes.failed += 1;
+      }
+    }
+  }
+  return outcomes;
+}
+
+/**
+ * Re-check pending claims every PENDING_DEPOSIT_CHECK_INTERVAL_MS.
+ * Runs never overlap; a failed run is logged and retried on the next interval.
+ * @param {object} options - see checkPendingDeposits
+ * @returns {() => void} stop function
+ */
+function startPendingDepositChecker(options) {
+  let timer = null;
+  let stopped = false;
+
+  const tick = async () => {
+    try {
+      const { credited, rejected, expired, failed } = await checkPendingDeposits(options);
+      if (credited + rejected + expired + failed > 0) {
+        logger.info("Pending deposits checked", { credited, rejected, expired, failed });
+      }
+    } catch (err) {
+      logger.error("Pending deposit check error", { err });
+    }
+    if (!stopped) timer = setTimeout(tick, PENDING_DEPOSIT_CHECK_INTERVAL_MS);
+  };
+
+  timer = setTimeout(tick, PENDING_DEPOSIT_CHECK_INTERVAL_MS);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+module.exports = { checkPendingDeposits, startPendingDepositChecker };
@@ -0,0 +1,138 @@
+const crypto = require("crypto");
+const { insertQuote, getQuote, markQuoteUsed } = require("./db");
+const { requireRate } = require("./rates");
+const { toMinor, fromMinor, usdtToKesMinor } = require("./money");
+
+const QUOTE_TYPES = ["deposit", "withdrawal"];
+
+// Lock time when POST /api/quote does not ask for one.
+const QUOTE_TTL_SECONDS = (() => {
+  const n = Number(process.env.QUOTE_TTL_SECONDS || "60");
+  return Number.isInteger(n) && n > 0 ? n : 60;
+})();
+
+// Longest lock a caller can ask for.
+const QUOTE_MAX_TTL_SECONDS = (() => {
+  const n = Number(process.env.QUOTE_MAX_TTL_SECONDS || "900");
+  return Number.isInteger(n) && n > 0 ? n : 900;
+})();
+
+function quoteError(reason, message) {
+  const err = new Error(message);
+  err.code = "QUOTE_INVALID";
+  err.reason = reason;
+  return err;
+}
+
+/**
+ * Lock the current deposit or withdrawal rate.
+ * @param {object} options
+ * @param {"deposit" | "withdrawal"} options.type
+ * @param {number | null} [options.amount] - USDT; when set, the quote is only valid for this amount
+ * @param {string | null} [options.userId] - when set, the quote is only valid for this user
+ * @param {number} [options.ttlSeconds] - default QUOTE_TTL_SECONDS, at most QUOTE_MAX_TTL_SECONDS
+ * @param {string} [options.createdBy] - e.g. "api_key:3"
+ * @returns {object} quotes row
+ * @throws {Error} with code "RATE_UNAVAILABLE" if the rate is stale
+ */
+function createQuote({ type, amount = null, userId = null, ttlSeconds, createdBy }) {
+  const rate = requireRate(type);
+  const ttl = Math.min(ttlSeconds || QUOTE_TTL_SECONDS, QUOTE_MAX_TTL_SECONDS);
+  const amountKes =
+    amount == null ? null : fromMinor(usdtToKesMinor(toMinor(amount, "USDT"), rate), "KES");
+
+  return insertQuote({
+    id: `qt_${crypto.randomBytes(12).toString("base64url")}`,
+    type,
+    rate,
+    amount,
+    amountKes,
+    userId,
+    createdBy,
+    expiresAt: new Date(Date.now() + ttl * 1000).toISOString(),
+  });
+}
+
+/**
+ * Check that a quote can be used, without using it.
+ * @param {string} quoteId
+ * @param {object} use
+ * @param {"deposit" | "withdrawal"} use.type
+ * @param {string | null} use.userId
+ * @param {number} [use.amount] - USDT; checked against the quoted amount when given
+ * @returns {object} quotes row
+ * @throws {Error} with code "QUOTE_INVALID" and a reason
+ */
+function checkQuote(quoteId, { type, userId, amount }) {
+  const quote = getQuote(quoteId);
+  if (!quote) {
+    throw quoteError("quote_not_found", "Quote not found");
+  }
+  if (quote.type !== type) {
+    throw quoteError("quote_type_mismatch", `Quote ${quoteId} is a ${quote.type} quote`);
+  }
+  if (quote.usedAt) {
+    throw quoteError("quote_used", `Quote ${quoteId} was already used`);
+  }
+  if (Date.parse(quote.expiresAt) <= Date.now()) {
+    throw quoteError("quote_expired", `Quote ${quoteId} expired at ${quote.expiresAt}`);
+  }
+  if (quote.userId && quote.userId !== userId) {
+    throw quoteError("quote_user_mismatch", `Quote ${quoteId} was issued for another user`);
+  }
+  if (
+    quote.amount != null &&
+    amount !== undefined &&
+    toMinor(quote.amount, "USDT") !== toMinor(amount, "USDT")
+  ) {
+    throw quoteError(
+      "quote_amount_mismatch",
+      `Quote ${quoteId} is for ${quote.amount} USDT, not ${amount} USDT`
+    );
+  }
+  return quote;
+}
+
+/**
+ * Check a quote and mark it used. Call inside the transaction that applies its rate,
+ * so the quote is only used up if the operation is recorded.
+ * @param {string} quoteId
+ * @param {object} use - see checkQuote, plus:
+ * @param {string} use.usedBy - e.g. a TxID or "withdrawal:<id>"
+ * @returns {object} quotes row
+ * @throws {Error} with code "QUOTE_INVALID" and a reason
+ */
+function redeemQuote(quoteId, { usedBy, ...use }) {
+  const quote = checkQuote(quoteId, use);
+  if (!markQuoteUsed(quoteId, usedBy)) {
+    throw quoteError("quote_used", `Quote ${quoteId} was already used`);
+  }
+  return quote;
+}
+
+/**
+ * Quote as returned by the API.
+ * @param {object} quote - quotes row
+ */
+function formatQuote(quote) {
+  return {
+    quoteId: quote.id,
+    type: quote.type,
+    rate: quote.rate,
+    amount: quote.amount,
+    amountKes: quote.amountKes,
+    userId: quote.userId,
+    expiresAt: quote.expiresAt,
+    usedAt: quote.usedAt,
+    usedBy: quote.usedBy,
+  };
+}
+
+module.exports = {
+  QUOTE_TYPES,
+  QUOTE_MAX_TTL_SECONDS,
+  createQuote,
+  checkQuote,
+  redeemQuote,
+  formatQuote,
+};
@@ -0,0 +1,403 @@
+const { transaction, getSetting, setSetting, insertRateHistory } = require("./db");
+const { binance } = require("./binance");
+const { toMinor, fromMinor } = require("./money");
+const { emitEvent } = require("./webhooks");
+const { recordAudit } = require("./audit");
+const { logger } = require("./logger");
+
+// Name of the registered provider the feed reads from; unset keeps rates manual-only.
+const RATE_FEED_PROVIDER = process.env.RATE_FEED_PROVIDER || "";
+
+const RATE_FEED_INTERVAL_MS = (() => {
+  const n = Number(process.env.RATE_FEED_INTERVAL_MS || "60000");
+  return !Number.isNaN(n) && n >= 5000 ? n : 60000;
+})();
+
+// A feed rate older than this is not quoted; deposits and withdrawals fail until it refreshes.
+const RATE_MAX_AGE_SECONDS = (() => {
+  const n = Number(process.env.RATE_MAX_AGE_SECONDS || "300");
+  return !Number.isNaN(n) && n > 0 ? n : 300;
+})();
+
+// How long a manual POST /api/rate takes precedence over the feed.
+const RATE_OVERRIDE_TTL_MINUTES = (() => {
+  const n = Number(process.env.RATE_OVERRIDE_TTL_MINUTES || "60");
+  return !Number.isNaN(n) && n > 0 ? n : 60;
+})();
+
+function spreadPercent(name) {
+  const n = Number(process.env[name] || "0");
+  return !Number.isNaN(n) && n >= 0 && n < 100 ? n : 0;
+}
+
+/**
+ * Per-side settings. Deposits pay out below the market rate and withdrawals charge
+ * above it, each by its own spread.
+ */
+const RATE_TYPES = {
+  deposit: {
+    key: "KES_PER_USDT",
+    spreadPercent: spreadPercent("RATE_DEPOSIT_SPREAD_PERCENT"),
+    direction: -1,
+  },
+  withdrawal: {
+    key: "KES_PER_USDT_WITHDRAWAL",
+    spreadPercent: spreadPercent("RATE_WITHDRAWAL_SPREAD_PERCENT"),
+    direction: 1,
+  },
+};
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Rate providers. Each returns the market (mid) KES per USDT rate; spreads are applied here.
+ * @type {Record<string, { fetchRate: () => Promise<number> }>}
+ */
+const providers = {
+  // Midpoint of the median buy and sell prices among the best P2P ads.
+  binance_p2p: {
+    async fetchRate() {
+      const rows = Number(process.env.RATE_FEED_P2P_ROWS || "10");
+      const [buy, sell] = await Promise.all(
+        ["BUY", "SELL"].map((tradeType) =>
+          binance().getP2PAdPrices({ asset: "USDT", fiat: "KES", tradeType, rows })
+        )
+      );
+      if (!buy.length || !sell.length) {
+        throw new Error("Binance P2P returned no USDT/KES ads");
+      }
+      return (median(buy) + median(sell)) / 2;
+    },
+  },
+  // Last price of a spot symbol quoted in KES per USDT.
+  binance_ticker: {
+    fetchRate() {
+      return binance().getTickerPrice(process.env.RATE_FEED_TICKER_SYMBOL || "USDTKES");
+    },
+  },
+};
+
+/**
+ * Add a rate provider, selectable with RATE_FEED_PROVIDER=<name>.
+ * Must be called before startRateFeed.
+ * @param {string} name
+ * @param {{ fetchRate: () => Promise<number> }} provider - resolves to KES per USDT
+ */
+function registerRateProvider(name, provider) {
+  if (!provider || typeof provider.fetchRate !== "function") {
+    throw new Error("A rate provider must implement fetchRate()");
+  }
+  providers[name] = provider;
+}
+
+// Load a manual rate from DB if present, otherwise from env/default and persist it.
+function loadManualRate(key, envValue) {
+  const fromDb = getSetting(key);
+  if (fromDb != null) {
+    const n = Number(fromDb);
+    if (!Number.isNaN(n) && n > 0) return n;
+  }
+  const fromEnv = Number(envValue || "150");
+  const initial = !Number.isNaN(fromEnv) && fromEnv > 0 ? fromEnv : 150;
+  setSetting(key, initial);
+  return initial;
+}
+
+const manualRates = {
+  deposit: { rate: null, overrideUntil: null },
+  withdrawal: { rate: null, overrideUntil: null },
+};
+
+// Last market rate from the feed, kept across restarts.
+let feed = null;
+
+// Timers dropping each side's manual override when it expires.
+const overrideTimers = { deposit: null, withdrawal: null };
+
+// setTimeout cannot wait longer than this; longer overrides are re-armed when it fires.
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/** Read the manual rates and last feed rate from the database. Called when the app is created. */
+function loadRates() {
+  manualRates.deposit = {
+    rate: loadManualRate("KES_PER_USDT", process.env.KES_PER_USDT),
+    overrideUntil: Number(getSetting("KES_PER_USDT_OVERRIDE_UNTIL")) || null,
+  };
+  manualRates.withdrawal = {
+    rate: loadManualRate(
+      "KES_PER_USDT_WITHDRAWAL",
+      process.env.KES_PER_USDT_WITHDRAWAL || process.env.KES_PER_USDT
+    ),
+    overrideUntil: Number(getSetting("KES_PER_USDT_WITHDRAWAL_OVERRIDE_UNTIL")) || null,
+  };
+
+  const mid = Number(getSetting("RATE_FEED_MID"));
+  const updatedAt = Number(getSetting("RATE_FEED_UPDATED_AT"));
+  feed = mid > 0 && updatedAt > 0 ? { mid, updatedAt } : null;
+
+  Object.keys(RATE_TYPES).forEach(scheduleOverrideExpiry);
+}
+
+/**
+ * Drop a side's manual override once it has expired, recording the switch back to the feed
+ * rate in rate_history with source "override_expired".
+ * @param {"deposit" | "withdrawal"} type
+ */
+function expireOverride(type) {
+  const manual = manualRates[type];
+  if (!manual.overrideUntil) return;
+  if (manual.overrideUntil > Date.now()) {
+    scheduleOverrideExpiry(type);
+    return;
+  }
+
+  const expired = { rate: manual.rate, overrideUntil: null };
+  transaction(() => {
+    setSetting(`${RATE_TYPES[type].key}_OVERRIDE_UNTIL`, 0);
+    recordChange({ type, rate: manual.rate }, rateFor(type, expired), {
+      source: "override_expired",
+      actor: "system",
+    });
+  });
+  manualRates[type] = expired;
+}
+
+/**
+ * Arm the timer that drops a side's manual override when it expires, replacing any earlier one.
+ * @param {"deposit" | "withdrawal"} type
+ */
+function scheduleOverrideExpiry(type) {
+  clearTimeout(overrideTimers[type]);
+  overrideTimers[type] = null;
+  const { overrideUntil } = manualRates[type];
+  if (!overrideUntil) return;
+
+  const delay = Math.min(Math.max(overrideUntil - Date.now(), 0), MAX_TIMER_MS);
+  overrideTimers[type] = setTimeout(() => {
+    try {
+      expireOverride(type);
+    } catch (err) {
+      logger.error("Error expiring the manual rate override", { type, err });
+    }
+  }, delay);
+  // Never keeps the process alive on its own.
+  overrideTimers[type].unref();
+}
+
+function withSpread(mid, { spreadPercent: percent, direction }) {
+  // Rounded to whole cents per USDT, so small market moves do not change the quote.
+  return fromMinor(toMinor(mid * (1 + (direction * percent) / 100), "KES"), "KES");
+}
+
+/**
+ * The KES per USDT rate currently in effect for one side, and where it came from.
+ * - "manual": no feed is configured; the rate set with POST /api/rate(/withdrawal).
+ * - "override": a manual rate set while the feed is on, until expiresAt.
+ * - "feed": the provider's market rate with the side's spread applied.
+ * @param {"deposit" | "withdrawal"} type
+ * @returns {{ type: string, rate: number | null, source: string, updatedAt: string | null,
+ *   expiresAt: string | null, stale: boolean }}
+ */
+function getRate(type) {
+  return rateFor(type, manualRates[type]);
+}
+
+/**
+ * The rate in effect for one side if its manual rate and override were as given.
+ * @param {"deposit" | "withdrawal"} type
+ * @param {{ rate: number | null, overrideUntil: number | null }} manual
+ * @returns {ReturnType<typeof getRate>}
+ */
+function rateFor(type, manual) {
+  if (!RATE_FEED_PROVIDER) {
+    return {
+      type,
+      rate: manual.rate,
+      source: "manual",
+      updatedAt: null,
+      expiresAt: null,
+      stale: false,
+    };
+  }
+  if (manual.overrideUntil && manual.overrideUntil > Date.now()) {
+    return {
+      type,
+      rate: manual.rate,
+      source: "override",
+      updatedAt: null,
+      expiresAt: new Date(manual.overrideUntil).toISOString(),
+      stale: false,
+    };
+  }
+  if (!feed) {
+    return { type, rate: null, source: "feed", updatedAt: null, expiresAt: null, stale: true };
+  }
+  return {
+    type,
+    rate: withSpread(feed.mid, RATE_TYPES[type]),
+    source: "feed",
+    updatedAt: new Date(feed.updatedAt).toISOString(),
+    expiresAt: null,
+    stale: Date.now() - feed.updatedAt > RATE_MAX_AGE_SECONDS * 1000,
+  };
+}
+
+/**
+ * The rate to convert at right now.
+ * @param {"deposit" | "withdrawal"} type
+ * @returns {number} KES per USDT
+ * @throws {Error} with code "RATE_UNAVAILABLE" if the feed rate is missing or stale
+ */
+function requireRate(type) {
+  const current = getRate(type);
+  if (current.stale) {
+    const err = new Error(
+      current.updatedAt
+        ? `The ${type} rate is stale (last updated ${current.updatedAt}, ` +
+            `max age ${RATE_MAX_AGE_SECONDS}s)`
+        : `No ${type} rate is available from the rate feed yet`
+    );
+    err.code = "RATE_UNAVAILABLE";
+    err.rate = current;
+    throw err;
+  }
+  return current.rate;
+}
+
+/**
+ * Record a change of the rate in effect in rate_history and announce it.
+ * @param {ReturnType<typeof getRate>} before - rate in effect before the change
+ * @param {ReturnType<typeof getRate>} after - rate in effect after it
+ * @param {object} change
+ * @param {"manual" | "feed" | "override_expired"} change.source
+ * @param {string} change.actor - e.g. "api_key:3" or "rate_feed:binance_p2p"
+ */
+function recordChange(before, after, { source, actor }) {
+  if (after.rate === before.rate) return;
+
+  insertRateHistory({
+    type: before.type,
+    previousRate: before.rate,
+    rate: after.rate,
+    source,
+    actor,
+  });
+  emitEvent("rate.changed", {
+    type: before.type,
+    previousRate: before.rate,
+    rate: after.rate,
+    source,
+    actor,
+  });
+}
+
+/**
+ * Set a rate by hand. With a feed configured, it overrides the feed for
+ * RATE_OVERRIDE_TTL_MINUTES; otherwise it stays until changed again.
+ * The setting, its audit row and the rate history row are written in one transaction;
+ * the rate in effect changes only once it has committed.
+ * @param {"deposit" | "withdrawal"} type
+ * @param {number} rate - KES per USDT
+ * @param {object} [audit] - actor, ip and route for the audit log; default actor "system"
+ * @returns {ReturnType<typeof getRate>}
+ */
+function setManualRate(type, rate, audit = { actor: "system" }) {
+  const { key } = RATE_TYPES[type];
+  const before = getRate(type);
+  const manual = {
+    rate,
+    overrideUntil: RATE_FEED_PROVIDER
+      ? Date.now() + RATE_OVERRIDE_TTL_MINUTES * 60 * 1000
+      : manualRates[type].overrideUntil,
+  };
+
+  transaction(() => {
+    setSetting(key, rate);
+    if (RATE_FEED_PROVIDER) setSetting(`${key}_OVERRIDE_UNTIL`, manual.overrideUntil);
+    recordAudit({
+      ...audit,
+      action: "setting.update",
+      target: key,
+      before: before.rate,
+      after: rate,
+    });
+    recordChange(before, rateFor(type, manual), { source: "manual", actor: audit.actor });
+  });
+  manualRates[type] = manual;
+  scheduleOverrideExpiry(type);
+  return getRate(type);
+}
+
+/**
+ * Fetch the market rate from the configured provider once.
+ * @returns {Promise<number>} mid KES per USDT
+ */
+async function refreshRates() {
+  const provider = providers[RATE_FEED_PROVIDER];
+  if (!provider) {
+    throw new Error(`Unknown RATE_FEED_PROVIDER "${RATE_FEED_PROVIDER}"`);
+  }
+
+  const mid = Number(await provider.fetchRate());
+  if (!Number.isFinite(mid) || mid <= 0) {
+    throw new Error(`Rate provider ${RATE_FEED_PROVIDER} returned an invalid rate: ${mid}`);
+  }
+
+  const before = Object.keys(RATE_TYPES).map(getRate);
+  feed = { mid, updatedAt: Date.now() };
+  setSetting("RATE_FEED_MID", mid);
+  setSetting("RATE_FEED_UPDATED_AT", feed.updatedAt);
+  const actor = `rate_feed:${RATE_FEED_PROVIDER}`;
+  before.forEach((b) => recordChange(b, getRate(b.type), { source: "feed", actor }));
+  return mid;
+}
+
+/**
+ * Refresh the market rate every RATE_FEED_INTERVAL_MS.
+ * Runs never overlap; a failed fetch is logged and retried on the next interval,
+ * and the rate goes stale once RATE_MAX_AGE_SECONDS pass without a success.
+ * @returns {() => void} stop function
+ */
+function startRateFeed() {
+  if (!providers[RATE_FEED_PROVIDER]) {
+    throw new Error(`Unknown RATE_FEED_PROVIDER "${RATE_FEED_PROVIDER}"`);
+  }
+
+  let timer = null;
+  let stopped = false;
+
+  const tick = async () => {
+    try {
+      await refreshRates();
+    } catch (err) {
+      logger.error("Rate feed error", { err });
+    }
+    if (!stopped) timer = setTimeout(tick, RATE_FEED_INTERVAL_MS);
+  };
+
+  logger.info("Rate feed started", {
+    provider: RATE_FEED_PROVIDER,
+    intervalMs: RATE_FEED_INTERVAL_MS,
+  });
+  tick();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+module.exports = {
+  RATE_FEED_PROVIDER,
+  registerRateProvider,
+  loadRates,
+  getRate,
+  requireRate,
+  setManualRate,
+  refreshRates,
+  startRateFeed,
+};
@@ -0,0 +1,467 @@
+const { binance } = require("./binance");
+const {
+  getSetting,
+  setSetting,
+  listProcessedTransactionsBetween,
+  listWithdrawalsBetween,
+  findWithdrawalByBinanceId,
+  insertReconciliationReport,
+  getReconciliationReport,
+  listReconciliationIssues,
+} = require("./db");
+const { normalizeTxId, findProcessed } = require("./deposits");
+const { BINANCE_WITHDRAW_STATUS, FINAL_STATUSES, withdrawOrderIdFor } = require("./withdrawals");
+const { toMinor, fromMinor } = require("./money");
+const { logger } = require("./logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Binance history queries cover at most 90 days, so a report does too.
+const RECONCILIATION_MAX_RANGE_MS = 90 * DAY_MS;
+
+const RECONCILIATION_ENABLED = process.env.RECONCILIATION_ENABLED === "true";
+
+// Days before today (UTC) the daily run covers.
+const RECONCILIATION_WINDOW_DAYS = (() => {
+  const n = Number(process.env.RECONCILIATION_WINDOW_DAYS || "1");
+  return Number.isInteger(n) && n >= 1 && n <= 90 ? n : 1;
+})();
+
+// A withdrawal still in flight this long after it was requested is reported as stuck.
+const RECONCILIATION_STUCK_HOURS = (() => {
+  const n = Number(process.env.RECONCILIATION_STUCK_HOURS || "24");
+  return !Number.isNaN(n) && n > 0 ? n : 24;
+})();
+
+// How often the daily job checks whether today's run is done.
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Settings key holding the UTC date (YYYY-MM-DD) of the last successful daily run.
+const LAST_RUN_KEY = "RECONCILIATION_LAST_RUN_DATE";
+
+const ISSUE_TYPES = [
+  // Credited in processed_transactions, but not a successful deposit on Binance
+  "deposit_missing_on_binance",
+  // Successful on Binance, never credited
+  "deposit_unclaimed",
+  "deposit_amount_mismatch",
+  // Has a Binance id that Binance withdraw history does not know
+  "withdrawal_missing_on_binance",
+  // On Binance, with no withdrawals row (e.g. made outside the API)
+  "withdrawal_not_recorded",
+  "withdrawal_amount_mismatch",
+  // Failed, cancelled or rejected on Binance, but the debit was not reversed
+  "withdrawal_failed",
+  // Completed on Binance, but recorded as failed and reversed
+  "withdrawal_status_mismatch",
+  // Not sent, or not final on Binance, RECONCILIATION_STUCK_HOURS after it was requested
+  "withdrawal_stuck",
+];
+
+const UNSUCCESSFUL_STATUSES = FINAL_STATUSES.filter((s) => s !== "completed");
+
+// Binance accepts at most 45 ids per idList query.
+const ID_LIST_MAX = 45;
+
+/**
+ * Read a report period from a request body or command line.
+ * Each bound is a date ("2026-10-01", midnight UTC), an ISO timestamp or ms since the epoch.
+ * The period is [from, to); to defaults to now and is capped at now.
+ * @returns {{ startTime: number | null, endTime: number | null, error?: string }}
+ */
+function parseReconciliationPeriod({ from, to }) {
+  const toTime = (value) => {
+    if (typeof value === "number") return value;
+    if (typeof value === "string" && value.trim()) return new Date(value.trim()).getTime();
+    return NaN;
+  };
+  const now = Date.now();
+  const startTime = toTime(from);
+  const endTime = to == null || to === "" ? now : Math.min(toTime(to), now);
+  if (Number.isNaN(startTime)) {
+    return { startTime: null, endTime: null, error: "from must be a date or timestamp" };
+  }
+  if (Number.isNaN(endTime)) {
+    return { startTime: null, endTime: null, error: "to must be a date or timestamp" };
+  }
+  if (startTime >= endTime) {
+    return { startTime: null, endTime: null, error: "from must be before to and in the past" };
+  }
+  if (endTime - startTime > RECONCILIATION_MAX_RANGE_MS) {
+    return { startTime: null, endTime: null, error: "The period must not exceed 90 days" };
+  }
+  return { startTime, endTime };
+}
+
+// withdrawals.createdAt and Binance applyTime are "YYYY-MM-DD HH:MM:SS" UTC.
+function toSqlTime(ms) {
+  return new Date(ms).toISOString().replace("T", " ").slice(0, 19);
+}
+
+function fromSqlTime(text) {
+  return new Date(`${text.replace(" ", "T")}Z`).getTime();
+}
+
+function sumUsdt(amounts) {
+  return fromMinor(
+    amounts.reduce((sum, a) => sum + toMinor(a || 0, "USDT"), 0),
+    "USDT"
+  );
+}
+
+function countByType(issues) {
+  const counts = {};
+  for (const issue of issues) counts[issue.type] = (counts[issue.type] || 0) + 1;
+  return counts;
+}
+
+/**
+ * Compare credited deposits with Binance deposit history.
+ * @returns {{ issues: Array<any>, summary: object }}
+ */
+function compareDeposits(credited, binanceDeposits) {
+  const issues = [];
+  const byTxId = new Map();
+  for (const d of binanceDeposits) {
+    if (!d || typeof d.txId !== "string" || !d.txId.trim()) continue;
+    const txId = normalizeTxId(d.txId.trim());
+    // A TxID seen twice (e.g. rejected, then sent again) counts by its successful deposit.
+    if (!byTxId.has(txId) || Number(d.status) === 1) byTxId.set(txId, d);
+  }
+
+  for (const row of credited) {
+    const d = byTxId.get(row.txId);
+    if (!d || Number(d.status) !== 1) {
+      issues.push({
+        type: "deposit_missing_on_binance",
+        reference: row.txId,
+        localAmount: row.amount,
+        binanceAmount: d ? Number(d.amount) : null,
+        localStatus: "credited",
+        binanceStatus: d ? Number(d.status) : null,
+        occurredAt: row.confirmedAt,
+        detail: d
+          ? `Credited, but its Binance deposit has status ${d.status}`
+          : "Credited, but not found in Binance deposit history",
+      });
+    } else if (toMinor(d.amount, "USDT") !== toMinor(row.amount, "USDT")) {
+      issues.push({
+        type: "deposit_amount_mismatch",
+        reference: row.txId,
+        localAmount: row.amount,
+        binanceAmount: Number(d.amount),
+        localStatus: "credited",
+        binanceStatus: 1,
+        occurredAt: row.confirmedAt,
+        detail: `Credited ${row.amount} USDT, Binance received ${d.amount} USDT`,
+      });
+    }
+  }
+
+  const received = [...byTxId.values()].filter((d) => Number(d.status) === 1);
+  for (const d of received) {
+    if (findProcessed(d.txId.trim())) continue;
+    issues.push({
+      type: "deposit_unclaimed",
+      reference: normalizeTxId(d.txId.trim()),
+      binanceAmount: Number(d.amount),
+      binanceStatus: 1,
+      occurredAt: new Date(Number(d.insertTime)).toISOString(),
+      detail: `Received ${d.amount} USDT on ${d.network || "an unknown network"}, never credited`,
+    });
+  }
+
+  return {
+    issues,
+    summary: {
+      credited: credited.length,
+      creditedUsdt: sumUsdt(credited.map((r) => r.amount)),
+      received: received.length,
+      receivedUsdt: sumUsdt(received.map((d) => d.amount)),
+    },
+  };
+}
+
+/**
+ * Compare recorded withdrawals with Binance withdraw history. Withdrawals recorded in the
+ * period but sent to Binance after it (e.g. approved later) are looked up by id.
+ * @returns {Promise<{ issues: Array<any>, summary: object }>}
+ */
+async function compareWithdrawals(recorded, binanceWithdrawals, now) {
+  const issues = [];
+  const byId = new Map();
+  const byOrderId = new Map();
+  for (const w of binanceWithdrawals) {
+    if (!w || w.id == null) continue;
+    byId.set(String(w.id), w);
+    if (w.withdrawOrderId) byOrderId.set(w.withdrawOrderId, w);
+  }
+
+  const unseen = recorded.filter((r) => r.binanceId && !byId.has(r.binanceId));
+  for (let i = 0; i < unseen.length; i += ID_LIST_MAX) {
+    const history = await binance().getWithdrawHistory({
+      coin: "USDT",
+      idList: unseen.slice(i, i + ID_LIST_MAX).map((r) => r.binanceId),
+    });
+    for (const w of history) {
+      if (w && w.id != null) byId.set(String(w.id), w);
+    }
+  }
+
+  const matched = new Set();
+  const stuckBefore = now - RECONCILIATION_STUCK_HOURS * 60 * 60 * 1000;
+  for (const row of recorded) {
+    const reference = `withdrawal:${row.id}`;
+    const occurredAt = new Date(fromSqlTime(row.createdAt)).toISOString();
+    const w =
+      (row.binanceId && byId.get(row.binanceId)) || byOrderId.get(withdrawOrderIdFor(row.id));
+    if (!w) {
+      if (row.binanceId) {
+        issues.push({
+          type: "withdrawal_missing_on_binance",
+          reference,
+          localAmount: row.amount,
+          localStatus: row.status,
+          occurredAt,
+          detail: `Binance withdrawal ${row.binanceId} not found in withdraw history`,
+        });
+      } else if (
+        ["pending", "submitted"].includes(row.status) &&
+        fromSqlTime(row.createdAt) < stuckBefore
+      ) {
+        issues.push({
+          type: "withdrawal_stuck",
+          reference,
+          localAmount: row.amount,
+          localStatus: row.status,
+          occurredAt,
+          detail:
+            row.status === "pending"
+              ? "Never sent to Binance"
+              : "Sent to Binance without a clear answer, and not found in withdraw history",
+        });
+      }
+      continue;
+    }
+
+    matched.add(String(w.id));
+    const binanceStatus = Number(w.status);
+    const status = BINANCE_WITHDRAW_STATUS[binanceStatus];
+    const compared = {
+      reference,
+      localAmount: row.amount,
+      binanceAmount: Number(w.amount),
+      localStatus: row.status,
+      binanceStatus,
+      occurredAt,
+    };
+    if (toMinor(w.amount, "USDT") !== toMinor(row.amount, "USDT")) {
+      issues.push({
+        ...compared,
+        type: "withdrawal_amount_mismatch",
+        detail: `Recorded ${row.amount} USDT, Binance sent ${w.amount} USDT`,
+      });
+    }
+    if (UNSUCCESSFUL_STATUSES.includes(status) && !UNSUCCESSFUL_STATUSES.includes(row.status)) {
+      issues.push({
+        ...compared,
+        type: "withdrawal_failed",
+        detail: `${status} on Binance${w.info ? ` (${w.info})` : ""}, debit not reversed`,
+      });
+    } else if (status === "completed" && UNSUCCESSFUL_STATUSES.includes(row.status)) {
+      issues.push({
+        ...compared,
+        type: "withdrawal_status_mismatch",
+        detail: `Completed on Binance${w.txId ? ` (${w.txId})` : ""}, recorded as ${row.status}`,
+      });
+    } else if (status === "processing" && fromSqlTime(row.createdAt) < stuckBefore) {
+      issues.push({
+        ...compared,
+        type: "withdrawal_stuck",
+        detail: `Still in flight on Binance (status ${binanceStatus})`,
+      });
+    }
+  }
+
+  for (const w of binanceWithdrawals) {
+    if (!w || w.id == null || matched.has(String(w.id))) continue;
+    // Ours, but recorded before the period.
+    if (findWithdrawalByBinanceId(String(w.id))) continue;
+    if (typeof w.withdrawOrderId === "string" && w.withdrawOrderId.startsWith("usdtapi-")) continue;
+    issues.push({
+      type: "withdrawal_not_recorded",
+      reference: `binance:${w.id}`,
+      binanceAmount: Number(w.amount),
+      binanceStatus: Number(w.status),
+      occurredAt: w.applyTime ? new Date(fromSqlTime(w.applyTime)).toISOString() : null,
+      detail: `${w.amount} USDT to ${w.address} on ${w.network}, not made through this API`,
+    });
+  }
+
+  const completed = binanceWithdrawals.filter((w) => w && Number(w.status) === 6);
+  return {
+    issues,
+    summary: {
+      recorded: recorded.length,
+      completedUsdt: sumUsdt(recorded.filter((r) => r.status === "completed").map((r) => r.amount)),
+      binance: binanceWithdrawals.length,
+      binanceCompletedUsdt: sumUsdt(completed.map((w) => w.amount)),
+    },
+  };
+}
+
+/**
+ * Format a stored report for API responses.
+ * @param {any} row - reconciliation_reports row
+ */
+function formatReport(row) {
+  return { ...row, summary: row.summary ? JSON.parse(row.summary) : null };
+}
+
+/**
+ * Compare deposits and withdrawals in [startTime, endTime) with Binance history and store
+ * the result as a report. Nothing else is changed. A run that fails (e.g. Binance is
+ * unreachable) is stored with status "failed" and the error is rethrown.
+ * @param {object} options
+ * @param {number} options.startTime - ms timestamp
+ * @param {number} options.endTime - ms timestamp, at most 90 days after startTime
+ * @param {string} options.trigger - "scheduled", "api" or "cli"
+ * @returns {Promise<any>} the report, with its issues
+ */
+async function runReconciliation({ startTime, endTime, trigger }) {
+  const periodStart = new Date(startTime).toISOString();
+  const periodEnd = new Date(endTime).toISOString();
+  const now = Date.now();
+
+  let deposits;
+  let withdrawals;
+  try {
+    // Binance ranges include endTime.
+    const range = { coin: "USDT", startTime, endTime: endTime - 1 };
+    const binanceDeposits = await binance().getDepositHistoryRange(range);
+    const binanceWithdrawals = await binance().getWithdrawHistoryRange(range);
+    deposits = compareDeposits(
+      listProcessedTransactionsBetween(periodStart, periodEnd),
+      binanceDeposits
+    );
+    // createdAt has whole seconds, so one made earlier in the second endTime falls in is included.
+    withdrawals = await compareWithdrawals(
+      listWithdrawalsBetween(toSqlTime(startTime), toSqlTime(Math.ceil(endTime / 1000) * 1000)),
+      binanceWithdrawals,
+      now
+    );
+  } catch (err) {
+    const id = insertReconciliationReport(
+      { periodStart, periodEnd, trigger, status: "failed", error: String(err.message || err) },
+      []
+    );
+    err.reportId = id;
+    throw err;
+  }
+
+  const issues = [...deposits.issues, ...withdrawals.issues];
+  const summary = {
+    deposits: deposits.summary,
+    withdrawals: withdrawals.summary,
+    issues: countByType(issues),
+  };
+  const id = insertReconciliationReport(
+    { periodStart, periodEnd, trigger, status: issues.length > 0 ? "issues" : "ok", summary },
+    issues
+  );
+  return { ...formatReport(getReconciliationReport(id)), issues: listReconciliationIssues(id) };
+}
+
+const CSV_COLUMNS = [
+  "type",
+  "reference",
+  "localAmount",
+  "binanceAmount",
+  "localStatus",
+  "binanceStatus",
+  "occurredAt",
+  "detail",
+];
+
+function csvField(value) {
+  if (value == null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A report's issues as CSV, one row per issue, with the report period on every row.
+ * @param {any} report - reconciliation_reports row
+ * @param {Array<any>} issues
+ * @returns {string}
+ */
+function reportToCsv(report, issues) {
+  const header = ["reportId", "periodStart", "periodEnd", ...CSV_COLUMNS];
+  const lines = [header.join(",")];
+  for (const issue of issues) {
+    const fields = [report.id, report.periodStart, report.periodEnd];
+    lines.push([...fields, ...CSV_COLUMNS.map((c) => issue[c])].map(csvField).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Run the daily reconciliation, covering the RECONCILIATION_WINDOW_DAYS days before today
+ * (UTC), unless it already ran today.
+ * @returns {Promise<any | null>} the report, or null if there was nothing to do
+ */
+async function runDailyReconciliation() {
+  const today = new Date().toISOString().slice(0, 10);
+  if (getSetting(LAST_RUN_KEY) === today) return null;
+
+  const endTime = new Date(today).getTime();
+  const startTime = endTime - RECONCILIATION_WINDOW_DAYS * DAY_MS;
+  const report = await runReconciliation({ startTime, endTime, trigger: "scheduled" });
+  setSetting(LAST_RUN_KEY, today);
+  return report;
+}
+
+/**
+ * Run the daily reconciliation once a day. Checks every hour, so a failed run is retried
+ * an hour later; runs never overlap.
+ * @returns {() => void} stop function
+ */
+function startReconciliationJob() {
+  let timer = null;
+  let stopped = false;
+
+  const tick = async () => {
+    try {
+      const report = await runDailyReconciliation();
+      if (report) {
+        logger.info("Reconciliation report stored", {
+          reportId: report.id,
+          periodStart: report.periodStart,
+          periodEnd: report.periodEnd,
+          issues: report.issues.length,
+        });
+      }
+    } catch (err) {
+      logger.error("Reconciliation error", { err });
+    }
+    if (!stopped) timer = setTimeout(tick, CHECK_INTERVAL_MS);
+  };
+
+  logger.info("Reconciliation job started", { windowDays: RECONCILIATION_WINDOW_DAYS });
+  tick();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+module.exports = {
+  ISSUE_TYPES,
+  RECONCILIATION_ENABLED,
+  parseReconciliationPeriod,
+  runReconciliation,
+  formatReport,
+  reportToCsv,
+  startReconciliationJob,
+};
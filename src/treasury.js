@@ -0,0 +1,241 @@
+const {
+  transaction,
+  getSetting,
+  setSetting,
+  getWithdrawal,
+  updateWithdrawal,
+  sumWithdrawalsLast24h,
+  upsertWithdrawalAddress,
+  findWithdrawalAddress,
+} = require("./db");
+const { failWithdrawal } = require("./withdrawals");
+const { toMinor, fromMinor } = require("./money");
+
+/**
+ * Withdrawal controls, stored in the settings table under `key`.
+ * Until set through the API they fall back to the environment variable of the same name.
+ * Amounts are USDT; 0 means no limit.
+ */
+const CONTROLS = {
+  // Only send to allowlisted addresses whose cooling-off period has passed.
+  allowlistEnabled: { key: "WITHDRAWAL_ALLOWLIST_ENABLED", type: "boolean", default: false },
+  // Hours before a newly allowlisted address can be used.
+  coolingOffHours: { key: "WITHDRAWAL_ADDRESS_COOLING_OFF_HOURS", type: "number", default: 24 },
+  maxPerRequest: { key: "WITHDRAWAL_MAX_PER_REQUEST", type: "number", default: 0 },
+  // Rolling 24 hours, per destination address.
+  maxPerAddress24h: { key: "WITHDRAWAL_MAX_PER_ADDRESS_24H", type: "number", default: 0 },
+  // Rolling 24 hours, all addresses.
+  max24h: { key: "WITHDRAWAL_MAX_24H", type: "number", default: 0 },
+  // Withdrawals above this are held until approved with POST /api/withdrawals/:id/approve.
+  approvalThreshold: { key: "WITHDRAWAL_APPROVAL_THRESHOLD", type: "number", default: 0 },
+};
+
+function parseControl(control, value) {
+  if (control.type === "boolean") {
+    if (value === true || value === "true") return true;
+    if (value === false || value === "false") return false;
+    return undefined;
+  }
+  const n = Number(value);
+  return value !== "" && value != null && !Number.isNaN(n) && n >= 0 ? n : undefined;
+}
+
+/**
+ * Current withdrawal controls.
+ * @returns {Record<keyof typeof CONTROLS, number | boolean>}
+ */
+function getTreasuryControls() {
+  const controls = {};
+  for (const [name, control] of Object.entries(CONTROLS)) {
+    const value = [getSetting(control.key), process.env[control.key]]
+      .map((v) => (v == null ? undefined : parseControl(control, v)))
+      .find((v) => v !== undefined);
+    controls[name] = value === undefined ? control.default : value;
+  }
+  return controls;
+}
+
+/**
+ * Change some withdrawal controls and persist them.
+ * @param {Record<string, unknown>} changes - subset of the control names
+ * @returns {{ controls: ReturnType<typeof getTreasuryControls> | null, error?: string }}
+ */
+function updateTreasuryControls(changes) {
+  const names = Object.keys(changes || {}).filter((name) => name in CONTROLS);
+  if (names.length === 0) {
+    const known = Object.keys(CONTROLS).join(", ");
+    return { controls: null, error: `Provide at least one of: ${known}` };
+  }
+
+  const parsed = {};
+  for (const name of names) {
+    const control = CONTROLS[name];
+    const value = parseControl(control, changes[name]);
+    if (value === undefined) {
+      return {
+        controls: null,
+        error:
+          control.type === "boolean"
+            ? `${name} must be true or false`
+            : `${name} must be a non-negative number`,
+      };
+    }
+    parsed[name] = value;
+  }
+
+  transaction(() => {
+    for (const [name, value] of Object.entries(parsed)) setSetting(CONTROLS[name].key, value);
+  });
+  return { controls: getTreasuryControls() };
+}
+
+/**
+ * Add an address to the withdrawal allowlist. It becomes usable after the
+ * cooling-off period; re-adding an address that is already allowlisted keeps its time.
+ * @param {object} options
+ * @param {string} options.address
+ * @param {string} options.network
+ * @param {string} [options.label]
+ * @param {string} [options.createdBy] - e.g. "api_key:3"
+ */
+function allowWithdrawalAddress({ address, network, label, createdBy }) {
+  const { coolingOffHours } = getTreasuryControls();
+  const usableAt = new Date(Date.now() + coolingOffHours * 60 * 60 * 1000).toISOString();
+  return upsertWithdrawalAddress({ address, network, label, usableAt, createdBy });
+}
+
+function treasuryError(reason, message, details) {
+  const err = new Error(message);
+  err.code = "TREASURY_LIMIT";
+  err.reason = reason;
+  err.details = details;
+  return err;
+}
+
+function checkRollingLimit(reason, label, limit, used, amount) {
+  const usedAmount = fromMinor(toMinor(used, "USDT"), "USDT");
+  if (toMinor(usedAmount, "USDT") + toMinor(amount, "USDT") > toMinor(limit, "USDT")) {
+    throw treasuryError(
+      reason,
+      `Withdrawal of ${amount} USDT exceeds the ${label} limit of ${limit} USDT ` +
+        `(${usedAmount} USDT already withdrawn)`,
+      { limit, usedAmount, requestedAmount: amount }
+    );
+  }
+}
+
+/**
+ * Enforce the allowlist and limits for a withdrawal about to be recorded.
+ * Call inside the transaction that records it, so concurrent requests cannot
+ * together go over a rolling limit.
+ * @param {object} withdrawal
+ * @param {string} withdrawal.address
+ * @param {string} withdrawal.network
+ * @param {number} withdrawal.amount - USDT
+ * @returns {{ requiresApproval: boolean }}
+ * @throws {Error} with code "TREASURY_LIMIT", a reason and details
+ */
+function enforceTreasuryControls({ address, network, amount }) {
+  const controls = getTreasuryControls();
+
+  if (controls.allowlistEnabled) {
+    const allowed = findWithdrawalAddress(address, network);
+    if (!allowed || allowed.status !== "active") {
+      throw treasuryError(
+        "address_not_allowlisted",
+        `Address ${address} (${network}) is not on the withdrawal allowlist`,
+        { address, network }
+      );
+    }
+    if (Date.parse(allowed.usableAt) > Date.now()) {
+      throw treasuryError(
+        "address_cooling_off",
+        `Address ${address} was allowlisted recently and can be used from ${allowed.usableAt}`,
+        { address, network, usableAt: allowed.usableAt }
+      );
+    }
+  }
+
+  if (
+    controls.maxPerRequest > 0 &&
+    toMinor(amount, "USDT") > toMinor(controls.maxPerRequest, "USDT")
+  ) {
+    throw treasuryError(
+      "limit_per_request",
+      `Withdrawal of ${amount} USDT exceeds the per-request limit of ${controls.maxPerRequest} USDT`,
+      { limit: controls.maxPerRequest, requestedAmount: amount }
+    );
+  }
+  if (controls.maxPerAddress24h > 0) {
+    checkRollingLimit(
+      "limit_per_address_24h",
+      "24h per-address",
+      controls.maxPerAddress24h,
+      sumWithdrawalsLast24h({ address }),
+      amount
+    );
+  }
+  if (controls.max24h > 0) {
+    checkRollingLimit("limit_24h", "24h", controls.max24h, sumWithdrawalsLast24h(), amount);
+  }
+
+  return {
+    requiresApproval:
+      controls.approvalThreshold > 0 &&
+      toMinor(amount, "USDT") > toMinor(controls.approvalThreshold, "USDT"),
+  };
+}
+
+/**
+ * Take a held withdrawal out of "awaiting_approval" so it can be sent to Binance.
+ * Only one caller can approve a given withdrawal.
+ * @param {number} id
+ * @param {string} approvedBy - e.g. "api_key:3"
+ * @returns {{ withdrawal: any | null, approved: boolean }}
+ */
+function approveWithdrawal(id, approvedBy) {
+  return transaction(() => {
+    const row = getWithdrawal(id);
+    if (!row || row.status !== "awaiting_approval") {
+      return { withdrawal: row, approved: false };
+    }
+    const withdrawal = updateWithdrawal(id, {
+      status: "pending",
+      approvedBy,
+      approvedAt: new Date().toISOString(),
+    });
+    return { withdrawal, approved: true };
+  });
+}
+
+/**
+ * Turn down a held withdrawal. It is cancelled and its debit reversed.
+ * @param {number} id
+ * @param {string} rejectedBy - e.g. "api_key:3"
+ * @param {object} [audit] - actor, ip and route for the audit log of the reversal
+ * @returns {{ withdrawal: any | null, rejected: boolean }}
+ */
+function rejectWithdrawal(id, rejectedBy, audit) {
+  return transaction(() => {
+    const row = getWithdrawal(id);
+    if (!row || row.status !== "awaiting_approval") {
+      return { withdrawal: row, rejected: false };
+    }
+    const withdrawal = failWithdrawal(
+      row,
+      { status: "cancelled", error: `Rejected by ${rejectedBy}` },
+      audit
+    );
+    return { withdrawal, rejected: true };
+  });
+}
+
+module.exports = {
+  CONTROLS,
+  getTreasuryControls,
+  updateTreasuryControls,
+  allowWithdrawalAddress,
+  enforceTreasuryControls,
+  approveWithdrawal,
+  rejectWithdrawal,
+};
@@ -0,0 +1,107 @@
+const fs = require("fs");
+const path = require("path");
+const { DEFAULT_DB_PATH } = require("./db");
+
+// processed_transactions rows purged by `npm run maintenance -- purge`, one JSON object per line.
+// Their TxIDs stay blocked: findProcessed() reads this file as well as the database.
+const TXID_ARCHIVE_PATH =
+  process.env.TXID_ARCHIVE_PATH || path.join(path.dirname(DEFAULT_DB_PATH), "txid-archive.jsonl");
+
+let archivePath = TXID_ARCHIVE_PATH;
+let cache = null;
+
+/**
+ * Read and write a different archive file, e.g. a temporary one in tests.
+ * @param {string} filename
+ */
+function useTxIdArchive(filename) {
+  archivePath = filename;
+  cache = null;
+}
+
+function txIdArchivePath() {
+  return archivePath;
+}
+
+/**
+ * The archived rows by TxID, re-read whenever the file changes. A line that is not valid JSON
+ * throws rather than being skipped, since the TxID on it would become usable again. Only an
+ * unterminated last line is ignored: it is an append that never completed.
+ * @returns {Map<string, any>}
+ */
+function loadArchive() {
+  let stat;
+  try {
+    stat = fs.statSync(archivePath);
+  } catch (err) {
+    if (err.code === "ENOENT") return new Map();
+    throw err;
+  }
+  if (cache && cache.size === stat.size && cache.mtimeMs === stat.mtimeMs) {
+    return cache.rows;
+  }
+
+  const lines = fs.readFileSync(archivePath, "utf8").split("\n");
+  lines.pop(); // "" after the final newline, or an incomplete line
+  const rows = new Map();
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    let row;
+    try {
+      row = JSON.parse(line);
+    } catch {
+      const err = new Error(`${archivePath} line ${i + 1} is not valid JSON`);
+      err.code = "TXID_ARCHIVE_CORRUPT";
+      throw err;
+    }
+    rows.set(row.txId, row);
+  });
+  cache = { size: stat.size, mtimeMs: stat.mtimeMs, rows };
+  return rows;
+}
+
+/**
+ * The archived processed_transactions row for a TxID, exactly as stored.
+ * @param {string} txId
+ * @returns {any | null}
+ */
+function getArchivedTransaction(txId) {
+  return loadArchive().get(txId) || null;
+}
+
+/**
+ * Append processed_transactions rows to the archive and flush them to disk. Reads the file back
+ * and throws unless every TxID is in it, so callers can delete the rows only once this returns.
+ * @param {any[]} rows
+ * @returns {number} rows archived
+ */
+function archiveTransactions(rows) {
+  if (!rows.length) return 0;
+  const archivedAt = new Date().toISOString();
+  const data = rows.map((row) => `${JSON.stringify({ ...row, archivedAt })}\n`).join("");
+
+  const fd = fs.openSync(archivePath, "a");
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  cache = null;
+  const archived = loadArchive();
+  const missing = rows.filter((row) => !archived.has(row.txId));
+  if (missing.length) {
+    throw new Error(`${missing.length} TxID(s) are missing from ${archivePath} after archiving`);
+  }
+  return rows.length;
+}
+
+module.exports = {
+  TXID_ARCHIVE_PATH,
+  useTxIdArchive,
+  txIdArchivePath,
+  loadArchive,
+  getArchivedTransaction,
+  archiveTransactions,
+};
@@ -0,0 +1,180 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const {
+  insertWebhookEndpoint,
+  listWebhookEndpointsForEvent,
+  insertWebhookDelivery,
+  listDueWebhookDeliveries,
+  recordWebhookAttempt,
+} = require("./db");
+const { logger } = require("./logger");
+
+const EVENT_TYPES = [
+  "deposit.credited",
+  "deposit.rejected",
+  "withdrawal.initiated",
+  "withdrawal.awaiting_approval",
+  "withdrawal.completed",
+  "withdrawal.failed",
+  "rate.changed",
+  "balance.low",
+];
+
+const WEBHOOK_MAX_ATTEMPTS = (() => {
+  const n = Number(process.env.WEBHOOK_MAX_ATTEMPTS || "8");
+  return Number.isInteger(n) && n > 0 ? n : 8;
+})();
+
+// First retry delay; doubles after each failed attempt (30s, 1m, 2m, 4m, ...).
+const WEBHOOK_RETRY_BASE_SECONDS = (() => {
+  const n = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || "30");
+  return !Number.isNaN(n) && n > 0 ? n : 30;
+})();
+
+const DISPATCH_INTERVAL_MS = 5000;
+const DISPATCH_BATCH_SIZE = 20;
+
+/**
+ * HMAC SHA256 signature over "<timestamp>.<body>", so receivers can reject replays.
+ * @param {string} secret
+ * @param {number} timestamp - seconds since epoch
+ * @param {string} body - raw JSON body
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * Register a webhook endpoint with a freshly generated signing secret.
+ * @param {object} options
+ * @param {string} options.url
+ * @param {string[]} options.events - event types, or ["*"] for all
+ * @returns {{ endpoint: object, secret: string }}
+ */
+function createWebhookEndpoint({ url, events }) {
+  const secret = `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+  const endpoint = insertWebhookEndpoint({ url, secret, events });
+  return { endpoint, secret };
+}
+
+let dispatching = null;
+
+/**
+ * Send every due delivery once. Failed deliveries are rescheduled with
+ * exponential backoff until WEBHOOK_MAX_ATTEMPTS is reached.
+ * Concurrent calls share the same run.
+ */
+function dispatchDueDeliveries() {
+  if (!dispatching) {
+    // Cleared in .finally, which always runs after this assignment, even when nothing is due
+    dispatching = sendDueDeliveries().finally(() => {
+      dispatching = null;
+    });
+  }
+  return dispatching;
+}
+
+async function sendDueDeliveries() {
+  let due = listDueWebhookDeliveries(DISPATCH_BATCH_SIZE);
+  while (due.length > 0) {
+    for (const delivery of due) {
+      await attemptDelivery(delivery);
+    }
+    due = listDueWebhookDeliveries(DISPATCH_BATCH_SIZE);
+  }
+}
+
+async function attemptDelivery(delivery) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    "Content-Type": "application/json",
+    "X-Usdtapi-Event": delivery.event,
+    "X-Usdtapi-Delivery": String(delivery.id),
+    "X-Usdtapi-Timestamp": String(timestamp),
+    "X-Usdtapi-Signature": `sha256=${signPayload(delivery.secret, timestamp, delivery.payload)}`,
+  };
+
+  try {
+    const response = await axios.post(delivery.url, delivery.payload, {
+      headers,
+      timeout: 10_000,
+      // Any 2xx is a success; everything else is retried.
+      validateStatus: (status) => status >= 200 && status < 300,
+    });
+    recordWebhookAttempt(delivery.id, { status: "delivered", statusCode: response.status });
+  } catch (err) {
+    const attempts = delivery.attempts + 1;
+    const exhausted = attempts >= WEBHOOK_MAX_ATTEMPTS;
+    recordWebhookAttempt(delivery.id, {
+      status: exhausted ? "failed" : "pending",
+      retryInSeconds: WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempts - 1),
+      statusCode: (err.response && err.response.status) || null,
+      error: String(err.message || err),
+    });
+    logger.error(exhausted ? "Webhook delivery failed, giving up" : "Webhook delivery failed", {
+      deliveryId: delivery.id,
+      event: delivery.event,
+      url: delivery.url,
+      attempts,
+      err,
+    });
+  }
+}
+
+/**
+ * Queue an event for every active endpoint subscribed to it and start delivering.
+ * Can be called inside transaction(): the deliveries are queued as part of it, and sent
+ * only once it has committed, so a rolled back change never sends its event.
+ * Never throws into the caller: delivery problems are logged and retried.
+ * @param {string} event - one of EVENT_TYPES
+ * @param {object} data
+ */
+function emitEvent(event, data) {
+  try {
+    const endpoints = listWebhookEndpointsForEvent(event);
+    if (endpoints.length === 0) return;
+
+    const eventId = crypto.randomUUID();
+    const payload = JSON.stringify({
+      id: eventId,
+      event,
+      createdAt: new Date().toISOString(),
+      data,
+    });
+    for (const endpoint of endpoints) {
+      insertWebhookDelivery({ endpointId: endpoint.id, eventId, event, payload });
+    }
+  } catch (err) {
+    logger.error("Failed to queue webhook", { event, err });
+    return;
+  }
+  // Transactions are synchronous, so by the next turn of the event loop the caller's has
+  // committed or rolled back.
+  setImmediate(() => {
+    dispatchDueDeliveries().catch((err) => {
+      logger.error("Webhook dispatch error", { err });
+    });
+  });
+}
+
+/**
+ * Periodically send due deliveries (retries and anything queued before a restart).
+ * @returns {() => void} stop function
+ */
+function startWebhookDispatcher() {
+  const timer = setInterval(() => {
+    dispatchDueDeliveries().catch((err) => {
+      logger.error("Webhook dispatch error", { err });
+    });
+  }, DISPATCH_INTERVAL_MS);
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  signPayload,
+  createWebhookEndpoint,
+  dispatchDueDeliveries,
+  emitEvent,
+  startWebhookDispatcher,
+};
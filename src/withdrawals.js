@@ -0,0 +1,293 @@
+const { binance } = require("./binance");
+const { BinanceError } = require("./binanceClient");
+const { transaction, getWithdrawal, updateWithdrawal, applyAccountEntry } = require("./db");
+const { emitEvent } = require("./webhooks");
+const { postWithdrawalReversal, postNetworkFee } = require("./ledger");
+const { toMinor, fromMinor } = require("./money");
+const { recordAudit } = require("./audit");
+const { recordWithdrawal } = require("./metrics");
+const { logger } = require("./logger");
+
+/**
+ * Binance withdraw history status codes mapped to our ledger status.
+ * 0 Email Sent, 1 Cancelled, 2 Awaiting Approval, 3 Rejected,
+ * 4 Processing, 5 Failure, 6 Completed.
+ */
+const BINANCE_WITHDRAW_STATUS = {
+  0: "processing",
+  1: "cancelled",
+  2: "processing",
+  3: "rejected",
+  4: "processing",
+  5: "failed",
+  6: "completed",
+};
+
+// Statuses that can no longer change, so there is no point asking Binance again.
+const FINAL_STATUSES = ["completed", "cancelled", "rejected", "failed"];
+
+// Binance accepts at most 45 ids per idList query.
+const ID_LIST_MAX = 45;
+
+// How long a withdrawal whose withdraw call got no clear answer may be missing from withdraw
+// history before it is taken as never accepted, and failed.
+const UNCONFIRMED_GRACE_MS = 10 * 60 * 1000;
+
+/**
+ * Client id sent to Binance with each withdrawal, so history rows can be traced back.
+ * @param {number} id - local withdrawal id
+ */
+function withdrawOrderIdFor(id) {
+  return `usdtapi-${id}`;
+}
+
+/**
+ * Whether Binance definitely refused a withdraw request: a 4xx answer with a Binance error
+ * code. After a timeout, a network error or a 5xx it may still have accepted it.
+ * @param {any} err
+ */
+function isRejection(err) {
+  return (
+    err instanceof BinanceError &&
+    err.status >= 400 &&
+    err.status < 500 &&
+    err.binanceCode != null
+  );
+}
+
+/**
+ * Move a withdrawal to a final unsuccessful status. Its ledger entry, and the
+ * account debit if there was one, are reversed in the same transaction.
+ * @param {any} row - withdrawal row before the change
+ * @param {Record<string, string | number | null>} fields - must include status
+ * @param {object} [audit] - actor, ip and route for the audit log; default actor "system"
+ * @returns {any} updated withdrawal
+ */
+function failWithdrawal(row, fields, audit = { actor: "system" }) {
+  return transaction(() => {
+    // Another request may have finalized it already; never reverse twice.
+    const current = getWithdrawal(row.id);
+    if (FINAL_STATUSES.includes(current.status)) return current;
+
+    const withdrawal = updateWithdrawal(row.id, fields);
+    postWithdrawalReversal({
+      withdrawalId: row.id,
+      amountUsdt: toMinor(row.amount, "USDT"),
+      networkFeeUsdt: toMinor(row.networkFee || 0, "USDT"),
+      platformFeeUsdt: toMinor(row.platformFee || 0, "USDT"),
+      amountKes: toMinor(row.amountKes, "KES"),
+      userId: row.userId,
+    });
+    if (row.userId) {
+      applyAccountEntry({
+        userId: row.userId,
+        type: "withdrawal_reversal",
+        amountKes: row.amountKes,
+        reference: `withdrawal:${row.id}`,
+      });
+    }
+    recordAudit({
+      ...audit,
+      action: "withdrawal.reverse",
+      target: `withdrawal:${row.id}`,
+      before: { status: current.status },
+      after: { status: withdrawal.status, amountKes: row.amountKes, userId: row.userId },
+      binanceId: row.binanceId,
+      error: withdrawal.error,
+    });
+    return withdrawal;
+  });
+}
+
+/**
+ * Send a recorded withdrawal to Binance and mark it submitted.
+ * If Binance rejects it, the withdrawal is failed (reversing its debit) and the error rethrown.
+ * If the outcome is unknown (timeout, network error, 5xx), it is marked submitted without a
+ * binanceId and returned; refreshWithdrawals finds it in withdraw history by withdrawOrderId.
+ * Either way the withdrawUSDT call is written to the audit log.
+ * @param {any} row - withdrawal in status "pending"
+ * @param {object} [audit] - actor, ip and route for the audit log; default actor "system"
+ * @returns {Promise<any>} updated withdrawal, with binanceId unless the outcome is unknown
+ */
+async function submitWithdrawal(row, audit = { actor: "system" }) {
+  // Binance takes its network fee out of the amount it is sent
+  const request = {
+    address: row.address,
+    amount: fromMinor(toMinor(row.amount, "USDT") + toMinor(row.networkFee || 0, "USDT"), "USDT"),
+    network: row.network,
+    addressTag: row.memo,
+    withdrawOrderId: withdrawOrderIdFor(row.id),
+  };
+  const entry = {
+    ...audit,
+    action: "withdrawal.submit",
+    target: `withdrawal:${row.id}`,
+    before: { status: row.status },
+  };
+  let result;
+  try {
+    result = await binance().withdrawUSDT(request);
+  } catch (err) {
+    const error = String(err.binanceMessage || err.message || err);
+    if (!isRejection(err)) {
+      logger.warn("Withdrawal outcome unknown, will look it up in withdraw history", {
+        withdrawalId: row.id,
+        err,
+      });
+      const withdrawal = transaction(() => {
+        recordAudit({
+          ...entry,
+          after: { status: "submitted", ...request },
+          outcome: "failure",
+          error,
+        });
+        return updateWithdrawal(row.id, { status: "submitted", error });
+      });
+      recordWithdrawal(row, "unknown");
+      return withdrawal;
+    }
+    transaction(() => {
+      recordAudit({ ...entry, after: { status: "failed", ...request }, outcome: "failure", error });
+      failWithdrawal(row, { status: "failed", error }, audit);
+    });
+    recordWithdrawal(row, "failed");
+    throw err;
+  }
+
+  const withdrawal = transaction(() => {
+    recordAudit({ ...entry, after: { status: "submitted", ...request }, binanceId: result.id });
+    return updateWithdrawal(row.id, { binanceId: String(result.id), status: "submitted" });
+  });
+  recordWithdrawal(row, "submitted");
+  emitEvent("withdrawal.initiated", withdrawal);
+  return withdrawal;
+}
+
+/**
+ * Look up a withdrawal whose withdraw call got no clear answer by its withdrawOrderId.
+ * Found: its binanceId is recorded. Missing for UNCONFIRMED_GRACE_MS: it is failed.
+ * @param {any} row - withdrawal in status "submitted" without a binanceId
+ * @returns {Promise<any>} updated withdrawal
+ */
+async function locateWithdrawal(row) {
+  const [entry] = await binance().getWithdrawHistory({
+    coin: "USDT",
+    withdrawOrderId: withdrawOrderIdFor(row.id),
+  });
+  if (entry && entry.id != null) {
+    const withdrawal = transaction(() => {
+      recordAudit({
+        actor: "withdrawal_status_sync",
+        action: "withdrawal.submit",
+        target: `withdrawal:${row.id}`,
+        before: { status: row.status },
+        after: { status: "submitted" },
+        binanceId: entry.id,
+      });
+      return updateWithdrawal(row.id, { binanceId: String(entry.id), error: null });
+    });
+    emitEvent("withdrawal.initiated", withdrawal);
+    return withdrawal;
+  }
+  const submittedAt = new Date(`${row.updatedAt.replace(" ", "T")}Z`).getTime();
+  if (Date.now() - submittedAt < UNCONFIRMED_GRACE_MS) return row;
+
+  const withdrawal = failWithdrawal(
+    row,
+    { status: "failed", error: "Not found in Binance withdraw history" },
+    { actor: "withdrawal_status_sync" }
+  );
+  if (withdrawal.status === "failed") emitEvent("withdrawal.failed", withdrawal);
+  return withdrawal;
+}
+
+function needsRefresh(row) {
+  return Boolean(row.binanceId) && !FINAL_STATUSES.includes(row.status);
+}
+
+/**
+ * Refresh the status of the given withdrawals from Binance withdraw history.
+ * Rows whose submission had an unknown outcome are looked up first (see locateWithdrawal).
+ * Rows that are already final or were never sent to Binance are returned unchanged.
+ * @param {Array<any>} rows - withdrawal rows from the db
+ * @returns {Promise<Array<any>>} rows with updated status
+ */
+async function refreshWithdrawals(rows) {
+  const updated = new Map();
+  for (const row of rows) {
+    if (row.status === "submitted" && !row.binanceId) {
+      updated.set(row.id, await locateWithdrawal(row));
+    }
+  }
+  const pending = rows.map((r) => updated.get(r.id) || r).filter(needsRefresh);
+  if (pending.length === 0) return rows.map((r) => updated.get(r.id) || r);
+
+  for (let i = 0; i < pending.length; i += ID_LIST_MAX) {
+    const chunk = pending.slice(i, i + ID_LIST_MAX);
+    const history = await binance().getWithdrawHistory({
+      coin: "USDT",
+      idList: chunk.map((r) => r.binanceId),
+    });
+
+    for (const row of chunk) {
+      const entry = history.find((h) => h && String(h.id) === row.binanceId);
+      if (!entry) continue;
+
+      const binanceStatus = Number(entry.status);
+      const status = BINANCE_WITHDRAW_STATUS[binanceStatus] || row.status;
+      if (
+        status === row.status &&
+        binanceStatus === row.binanceStatus &&
+        (entry.txId || null) === row.onChainTxId
+      ) {
+        continue;
+      }
+      const fields = { status, binanceStatus, onChainTxId: entry.txId || null };
+      const changed = status !== row.status;
+      const failed = changed && status !== "completed" && FINAL_STATUSES.includes(status);
+      let withdrawal;
+      if (failed) {
+        withdrawal = failWithdrawal(row, fields, { actor: "withdrawal_status_sync" });
+      } else if (changed && status === "completed") {
+        withdrawal = transaction(() => {
+          const fee = toMinor(entry.transactionFee || 0, "USDT");
+          if (fee > 0) postNetworkFee({ withdrawalId: row.id, feeUsdt: fee });
+          return updateWithdrawal(row.id, fields);
+        });
+      } else {
+        withdrawal = updateWithdrawal(row.id, fields);
+      }
+      updated.set(row.id, withdrawal);
+
+      if (changed && status === "completed") {
+        emitEvent("withdrawal.completed", withdrawal);
+      } else if (failed) {
+        emitEvent("withdrawal.failed", withdrawal);
+      }
+    }
+  }
+
+  return rows.map((r) => updated.get(r.id) || r);
+}
+
+/**
+ * Load one withdrawal and refresh its status from Binance if it is still in flight.
+ * @param {number} id
+ * @returns {Promise<any | null>}
+ */
+async function getWithdrawalWithStatus(id) {
+  const row = getWithdrawal(id);
+  if (!row) return null;
+  const [refreshed] = await refreshWithdrawals([row]);
+  return refreshed;
+}
+
+module.exports = {
+  BINANCE_WITHDRAW_STATUS,
+  FINAL_STATUSES,
+  withdrawOrderIdFor,
+  failWithdrawal,
+  submitWithdrawal,
+  refreshWithdrawals,
+  getWithdrawalWithStatus,
+};
@@ -0,0 +1,138 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ADDRESSES, deposit, fakeBinanceClient, startApp } = require("./helpers");
+const { BinanceInsufficientBalanceError } = require("../src/binanceClient");
+const { verifyAuditLog } = require("../src/audit");
+
+test("audit log", async (t) => {
+  let ctx;
+  t.beforeEach(async () => {
+    ctx = await startApp({
+      binance: fakeBinanceClient({
+        deposits: [deposit({ id: "dep-1", txId: "Off-chain transfer 4001", amount: 20 })],
+      }),
+    });
+  });
+  t.afterEach(() => ctx.close());
+
+  const entries = async (query = "") => (await ctx.get(`/api/audit${query}`)).body.entries;
+
+  await t.test("records setting changes with actor, IP, route and before/after", async () => {
+    await ctx.post("/api/rate", { rate: 140 });
+    await ctx.post("/api/min-deposit", { minDepositAmount: 3 });
+    await ctx.post("/api/min-deposit", { minDepositAmount: -1 });
+
+    const [minDeposit, rate] = await entries("?action=setting.update");
+    assert.equal(rate.target, "KES_PER_USDT");
+    assert.equal(rate.before, 150);
+    assert.equal(rate.after, 140);
+    assert.equal(rate.route, "POST /api/rate");
+    assert.match(rate.actor, /^api_key:\d+$/);
+    assert.match(rate.ip, /127\.0\.0\.1/);
+    assert.equal(rate.outcome, "success");
+    assert.deepEqual([minDeposit.target, minDeposit.before, minDeposit.after], [
+      "MIN_DEPOSIT_AMOUNT",
+      0,
+      3,
+    ]);
+    assert.equal((await ctx.get("/api/audit")).body.total, 2);
+  });
+
+  await t.test("records deposit credits and withdrawUSDT calls with Binance ids", async () => {
+    await ctx.post("/api/deposit/txid", { txId: "4001", userId: "u1" });
+    await ctx.post("/api/withdraw", { address: ADDRESSES.TRX, amount: 20 });
+    ctx.binance.withdrawUSDT = async () => {
+      throw new BinanceInsufficientBalanceError("Insufficient balance", {
+        status: 400,
+        binanceCode: -4026,
+        response: { data: { code: -4026, msg: "User has insufficient balance" } },
+      });
+    };
+    await ctx.post("/api/withdraw", { address: ADDRESSES.TRX, amount: 10, userId: "u1" });
+
+    const actions = (await entries()).map((e) => `${e.action} ${e.target} ${e.outcome}`);
+    assert.deepEqual(actions.reverse(), [
+      "deposit.credit Off-chain transfer 4001 success",
+      "withdrawal.create withdrawal:1 success",
+      "withdrawal.submit withdrawal:1 success",
+      "withdrawal.create withdrawal:2 success",
+      "withdrawal.submit withdrawal:2 failure",
+      "withdrawal.reverse withdrawal:2 success",
+    ]);
+
+    const [credit] = await entries("?action=deposit.credit");
+    assert.equal(credit.binanceId, "dep-1");
+    assert.equal(credit.after.rewardKes, 3000);
+    assert.equal(credit.after.userId, "u1");
+
+    const [failed, sent] = await entries("?action=withdrawal.submit");
+    assert.equal(sent.binanceId, "binance-1");
+    assert.equal(sent.after.status, "submitted");
+    assert.equal(failed.binanceId, null);
+    assert.equal(failed.error, "User has insufficient balance");
+  });
+
+  await t.test("filters entries", async () => {
+    await ctx.post("/api/rate", { rate: 140 });
+    await ctx.post("/api/rate/withdrawal", { rate: 160 });
+
+    const [withdrawalRate] = await entries("?target=KES_PER_USDT_WITHDRAWAL");
+    assert.equal(withdrawalRate.after, 160);
+    assert.deepEqual(await entries("?outcome=failure"), []);
+    assert.deepEqual(await entries("?to=2000-01-01"), []);
+    assert.equal((await entries("?from=2000-01-01&limit=1")).length, 1);
+
+    const bad = await ctx.get("/api/audit?from=soon");
+    assert.equal(bad.status, 400);
+  });
+
+  await t.test("leaves admin changes undone when their audit row cannot be written", async () => {
+    ctx.db.exec(
+      "CREATE TRIGGER no_audit BEFORE INSERT ON audit_log BEGIN SELECT RAISE(ABORT, 'full'); END"
+    );
+    const post = (path, body) =>
+      ctx.fetch(path, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+    assert.equal((await post("/api/withdrawal-fee", { feePercent: 2 })).status, 500);
+    assert.equal((await post("/api/rate", { rate: 140 })).status, 500);
+    assert.equal((await post("/api/treasury/controls", { maxPerRequest: 5 })).status, 500);
+    assert.equal((await post("/api/admin/api-keys", { name: "x", role: "admin" })).status, 500);
+    assert.equal((await post("/api/webhooks", { url: "http://127.0.0.1:9/hook" })).status, 500);
+    ctx.db.exec("DROP TRIGGER no_audit");
+
+    assert.equal((await ctx.get("/api/withdrawal-fee")).body.feePercent, 0);
+    assert.equal((await ctx.get("/api/rate")).body.rate, 150);
+    assert.equal((await ctx.get("/api/rate/history")).body.total, 0);
+    assert.equal((await ctx.get("/api/treasury/controls")).body.controls.maxPerRequest, 0);
+    assert.equal((await ctx.get("/api/admin/api-keys")).body.apiKeys.length, 1);
+    assert.equal((await ctx.get("/api/webhooks")).body.webhooks.length, 0);
+  });
+
+  await t.test("refuses updates and deletes, and detects tampering", async () => {
+    await ctx.post("/api/rate", { rate: 140 });
+    await ctx.post("/api/rate", { rate: 141 });
+    await ctx.post("/api/rate", { rate: 142 });
+    assert.deepEqual(verifyAuditLog().breaks, []);
+    assert.equal(verifyAuditLog().checked, 3);
+
+    assert.throws(
+      () => ctx.db.prepare("UPDATE audit_log SET after = '1' WHERE id = 2").run(),
+      /append-only/
+    );
+    assert.throws(() => ctx.db.prepare("DELETE FROM audit_log WHERE id = 2").run(), /append-only/);
+
+    // Someone with write access to the file can drop the triggers; the chain still tells.
+    ctx.db.exec("DROP TRIGGER audit_log_no_update; DROP TRIGGER audit_log_no_delete;");
+    ctx.db.prepare("UPDATE audit_log SET after = '1' WHERE id = 2").run();
+    assert.deepEqual(verifyAuditLog().breaks, [{ id: 2, problem: "hash_mismatch" }]);
+
+    ctx.db.prepare("DELETE FROM audit_log WHERE id = 2").run();
+    assert.deepEqual(verifyAuditLog().breaks, [
+      { id: 3, problem: "id_gap" },
+      { id: 3, problem: "prev_hash_mismatch" },
+    ]);
+  });
+});
@@ -0,0 +1,236 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { deposit, fakeBinanceClient, startApp } = require("./helpers");
+const { normalizeTxId } = require("../src/deposits");
+const { pollDeposits } = require("../src/depositPoller");
+const { checkPendingDeposits } = require("../src/pendingDeposits");
+const { getAccount, setSetting } = require("../src/db");
+const {
+  BinanceError,
+  BinanceRateLimitError,
+  BinanceRegionError,
+} = require("../src/binanceClient");
+
+test("normalizeTxId adds the Off-chain transfer prefix once", () => {
+  assert.equal(normalizeTxId("344178838453"), "Off-chain transfer 344178838453");
+  assert.equal(
+    normalizeTxId("Off-chain transfer 344178838453"),
+    "Off-chain transfer 344178838453"
+  );
+});
+
+test("POST /api/deposit/txid", async (t) => {
+  let ctx;
+  t.beforeEach(async () => {
+    ctx = await startApp({
+      binance: fakeBinanceClient({
+        deposits: [
+          deposit({ txId: "Off-chain transfer 1001", amount: 20 }),
+          deposit({ txId: "Off-chain transfer 1002", amount: 2 }),
+          deposit({ txId: "Off-chain transfer 1003", amount: 5, status: 0 }),
+          deposit({ txId: "Off-chain transfer 1004", amount: 5, status: 2 }),
+          deposit({ txId: "0xonchain", amount: 8 }),
+        ],
+      }),
+    });
+  });
+  t.afterEach(() => ctx.close());
+
+  await t.test("credits a confirmed deposit at the deposit rate", async () => {
+    const { body } = await ctx.post("/api/deposit/txid", {
+      txId: "Off-chain transfer 1001",
+      userId: "u1",
+    });
+    assert.equal(body.status, "complete");
+    assert.equal(body.confirmedAmount, 20);
+    assert.equal(body.rate, 150);
+    assert.equal(body.rewardKes, 3000);
+    assert.equal(body.balanceKes, 3000);
+  });
+
+  await t.test("matches a TxID sent without the prefix, ignoring whitespace", async () => {
+    const { body } = await ctx.post("/api/deposit/txid", { txId: "  1001 " });
+    assert.equal(body.status, "complete");
+    assert.equal(body.confirmedAmount, 20);
+  });
+
+  await t.test("matches on-chain TxIDs as they are", async () => {
+    const { body } = await ctx.post("/api/deposit/txid", { txId: "0xonchain" });
+    assert.equal(body.status, "complete");
+    assert.equal(body.confirmedAmount, 8);
+  });
+
+  await t.test("rejects a TxID used before, with or without the prefix", async () => {
+    await ctx.post("/api/deposit/txid", { txId: "1001" });
+
+    for (const txId of ["1001", "Off-chain transfer 1001"]) {
+      const { body } = await ctx.post("/api/deposit/txid", { txId });
+      assert.equal(body.status, "failed");
+      assert.equal(body.reason, "already_used");
+      assert.equal(body.confirmedAmount, 20);
+      assert.equal(body.rewardKes, 3000);
+    }
+  });
+
+  await t.test("credits a deposit the poller found to the first user who claims it", async () => {
+    setSetting("DEPOSIT_POLLER_START_TIME", Date.now() - 10 * 60 * 1000);
+    const credited = await pollDeposits({ getRate: () => 150, getMinDepositAmount: () => 0 });
+    assert.ok(credited.some((r) => r.txId === "Off-chain transfer 1001" && r.userId === null));
+
+    const { body } = await ctx.post("/api/deposit/txid", { txId: "1001", userId: "u1" });
+    assert.equal(body.status, "complete");
+    assert.equal(body.rewardKes, 3000);
+    assert.equal(body.userId, "u1");
+    assert.equal(body.balanceKes, 3000);
+    assert.equal(getAccount("u1").balanceKes, 3000);
+
+    const again = await ctx.post("/api/deposit/txid", { txId: "1001", userId: "u2" });
+    assert.equal(again.body.reason, "already_used");
+    assert.equal(getAccount("u2"), null);
+
+    const { body: trial } = await ctx.get("/api/ledger/trial-balance");
+    const balance = (code) => (trial.accounts.find((a) => a.code === code) || {}).balance;
+    assert.equal(trial.balanced, true);
+    assert.equal(balance("liabilities:users:u1:kes"), -3000);
+  });
+
+  await t.test("poller: looks back on its first poll and announces each credit", async () => {
+    await ctx.post("/api/webhooks", {
+      url: "http://127.0.0.1:9/hook",
+      events: ["deposit.credited"],
+    });
+    let checked = 0;
+    const getMinDepositAmount = () => {
+      checked += 1;
+      if (checked === 2) throw new Error("settings unavailable");
+      return 0;
+    };
+    await assert.rejects(pollDeposits({ getRate: () => 150, getMinDepositAmount }), /settings/);
+
+    const announced = ctx.db
+      .prepare("SELECT payload FROM webhook_deliveries WHERE event = 'deposit.credited'")
+      .all()
+      .map((d) => JSON.parse(d.payload).data.txId);
+    assert.deepEqual(announced, ["Off-chain transfer 1001"]);
+  });
+
+  await t.test("reports not_found for unknown and rejected deposits", async () => {
+    for (const txId of ["9999", "Off-chain transfer 1004"]) {
+      const { body } = await ctx.post("/api/deposit/txid", { txId });
+      assert.equal(body.status, "failed");
+      assert.equal(body.reason, "not_found");
+    }
+  });
+
+  await t.test("saves a pending claim for a deposit not confirmed yet", async () => {
+    const { body } = await ctx.post("/api/deposit/txid", { txId: "1003", userId: "u1" });
+    assert.equal(body.status, "pending");
+    assert.equal(body.reason, "awaiting_confirmation");
+    assert.equal(body.binanceStatus, 0);
+
+    const other = await ctx.post("/api/deposit/txid", { txId: "1003", userId: "u2" });
+    assert.equal(other.body.reason, "already_claimed");
+  });
+
+  await t.test("checks the other pending claims when one of them fails", async () => {
+    ctx.binance.deposits.push(deposit({ txId: "Off-chain transfer 1005", amount: 6, status: 0 }));
+    await ctx.post("/api/deposit/txid", { txId: "1003", userId: "u1" });
+    await ctx.post("/api/deposit/txid", { txId: "1005", userId: "u2" });
+    for (const d of ctx.binance.deposits) d.status = 1;
+
+    let calls = 0;
+    const getRate = () => {
+      calls += 1;
+      if (calls === 1) throw new Error("No rate");
+      return 150;
+    };
+    const options = { getRate, getMinDepositAmount: () => 0 };
+    assert.deepEqual(await checkPendingDeposits(options), {
+      credited: 1,
+      rejected: 0,
+      expired: 0,
+      pending: 0,
+      failed: 1,
+    });
+    assert.equal((await checkPendingDeposits(options)).credited, 1);
+    assert.equal(getAccount("u1").balanceKes, 750);
+    assert.equal(getAccount("u2").balanceKes, 900);
+  });
+
+  await t.test("rejects deposits below the minimum without using the TxID", async () => {
+    await ctx.post("/api/min-deposit", { minDepositAmount: 5 });
+
+    const { body } = await ctx.post("/api/deposit/txid", { txId: "1002" });
+    assert.equal(body.status, "failed");
+    assert.equal(body.reason, "amount_too_low");
+    assert.equal(body.confirmedAmount, 2);
+    assert.equal(body.minDepositAmount, 5);
+
+    await ctx.post("/api/min-deposit", { minDepositAmount: 0 });
+    const retry = await ctx.post("/api/deposit/txid", { txId: "1002" });
+    assert.equal(retry.body.status, "complete");
+  });
+
+  await t.test("reports region_restricted when Binance is geo-blocked", async () => {
+    ctx.binance.getDepositHistoryRange = async () => {
+      throw new BinanceRegionError("Binance API is not available in this region", {
+        status: 451,
+        response: { data: { code: 0, msg: "Service unavailable from a restricted location" } },
+      });
+    };
+    const { body } = await ctx.post("/api/deposit/txid", { txId: "1001" });
+    assert.equal(body.status, "failed");
+    assert.equal(body.reason, "region_restricted");
+    assert.equal(body.binanceMessage, "Service unavailable from a restricted location");
+  });
+
+  await t.test("reports binance_rate_limited, and the TxID stays usable", async () => {
+    const lookup = ctx.binance.getDepositHistoryRange;
+    ctx.binance.getDepositHistoryRange = async () => {
+      throw new BinanceRateLimitError("Binance rate limit hit", { status: 429, retryAfterMs: 1000 });
+    };
+    const { body } = await ctx.post("/api/deposit/txid", { txId: "1001" });
+    assert.equal(body.reason, "binance_rate_limited");
+    assert.equal(body.retryAfterMs, 1000);
+
+    ctx.binance.getDepositHistoryRange = lookup;
+    const retry = await ctx.post("/api/deposit/txid", { txId: "1001" });
+    assert.equal(retry.body.status, "complete");
+  });
+
+  await t.test("reports verification_error for other Binance errors", async () => {
+    ctx.binance.getDepositHistoryRange = async () => {
+      throw new BinanceError("Binance request failed: socket hang up");
+    };
+    const { body } = await ctx.post("/api/deposit/txid", { txId: "1001" });
+    assert.equal(body.reason, "verification_error");
+  });
+
+  await t.test("validates the request body", async () => {
+    for (const [payload, error] of [
+      [{}, "txId is required"],
+      [{ txId: "   " }, "txId is required"],
+      [{ txId: 1001 }, "txId is required"],
+      [{ txId: "1001", userId: "x".repeat(129) }, /userId must be/],
+      [{ txId: "1001", quoteId: 5 }, "quoteId must be a string"],
+    ]) {
+      const { status, body } = await ctx.post("/api/deposit/txid", payload);
+      assert.equal(status, 400);
+      assert.match(body.error, error instanceof RegExp ? error : new RegExp(`^${error}$`));
+    }
+  });
+
+  await t.test("POST /api/quote answers 500 when the quote cannot be stored", async () => {
+    ctx.db.exec(
+      "CREATE TRIGGER no_quotes BEFORE INSERT ON quotes BEGIN SELECT RAISE(ABORT, 'read-only'); END"
+    );
+    const { status, body } = await ctx.post("/api/quote", { type: "deposit" });
+    assert.equal(status, 500);
+    assert.equal(body.error, "Failed to create quote");
+  });
+
+  await t.test("reports quote_not_found for an unknown quote", async () => {
+    const { body } = await ctx.post("/api/deposit/txid", { txId: "1001", quoteId: "qt_nope" });
+    assert.equal(body.reason, "quote_not_found");
+  });
+});
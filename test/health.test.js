@@ -0,0 +1,112 @@
+// Set before the app loads: health.js reads them once.
+process.env.BALANCE_FLOOR_USDT = "100";
+process.env.HEALTH_CHECK_CACHE_MS = "0";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fakeBinanceClient, startApp } = require("./helpers");
+const { BinanceAuthError, BinanceRegionError } = require("../src/binanceClient");
+
+test("health checks", async (t) => {
+  let ctx;
+  t.beforeEach(async () => {
+    ctx = await startApp({ binance: fakeBinanceClient({ balance: 500 }) });
+  });
+  t.afterEach(() => ctx.close());
+
+  const ready = () => ctx.get("/api/health/ready");
+
+  await t.test("live and ready need no API key", async () => {
+    for (const path of ["/api/health/live", "/api/health/ready"]) {
+      const res = await ctx.fetch(path, { headers: { "X-API-Key": "" } });
+      assert.equal(res.status, 200, path);
+    }
+    assert.equal((await ctx.get("/api/health/live")).body.status, "ok");
+  });
+
+  await t.test("is ready when every check passes", async () => {
+    const { status, body } = await ready();
+    assert.equal(status, 200);
+    assert.deepEqual(body, {
+      status: "ready",
+      checks: { database: { ok: true }, apiKey: { ok: true }, balance: { ok: true } },
+    });
+  });
+
+  await t.test("is not ready without withdrawal permission", async () => {
+    ctx.binance.apiRestrictions = { enableReading: true, enableWithdrawals: false };
+    const { status, body } = await ready();
+    assert.equal(status, 503);
+    assert.equal(body.status, "not_ready");
+    assert.equal(body.checks.apiKey.reason, "missing_permissions");
+    assert.deepEqual(body.checks.apiKey.missing, ["withdrawals"]);
+    assert.equal(body.checks.balance.ok, true);
+  });
+
+  await t.test("shows only pass or fail to callers without a valid API key", async () => {
+    ctx.binance.apiRestrictions = { enableReading: true, enableWithdrawals: false };
+    for (const apiKey of ["", "usdtapi_not-a-real-key-at-all"]) {
+      const res = await ctx.fetch("/api/health/ready", { headers: { "X-API-Key": apiKey } });
+      assert.equal(res.status, 503);
+      assert.deepEqual(await res.json(), {
+        status: "not_ready",
+        checks: { database: { ok: true }, apiKey: { ok: false }, balance: { ok: true } },
+      });
+    }
+  });
+
+  await t.test("reports rejected keys and region restrictions", async () => {
+    ctx.binance.getApiRestrictions = async () => {
+      throw new BinanceAuthError("Invalid API-key", { status: 401, binanceCode: -2015 });
+    };
+    assert.equal((await ready()).body.checks.apiKey.reason, "binance_auth_error");
+
+    ctx.binance.getUSDTBalance = async () => {
+      throw new BinanceRegionError("Binance API is not available in this region", {
+        status: 451,
+      });
+    };
+    const { status, body } = await ready();
+    assert.equal(status, 503);
+    assert.equal(body.checks.balance.reason, "region_restricted");
+  });
+
+  await t.test("is not ready when the database rejects writes", async () => {
+    ctx.db.exec(
+      "CREATE TRIGGER no_settings BEFORE INSERT ON settings BEGIN SELECT RAISE(ABORT, 'read-only'); END"
+    );
+    try {
+      const { status, body } = await ready();
+      assert.equal(status, 503);
+      assert.equal(body.checks.database.reason, "database_not_writable");
+    } finally {
+      ctx.db.exec("DROP TRIGGER no_settings");
+    }
+  });
+
+  await t.test("alerts once when the balance drops below the floor", async () => {
+    await ctx.post("/api/webhooks", { url: "http://127.0.0.1:9/hook", events: ["balance.low"] });
+    const alerts = () =>
+      ctx.db
+        .prepare("SELECT payload FROM webhook_deliveries WHERE event = 'balance.low'")
+        .all()
+        .map((d) => JSON.parse(d.payload).data);
+
+    ctx.binance.balance = 40;
+    const { status, body } = await ready();
+    assert.equal(status, 503);
+    assert.equal(body.checks.balance.reason, "balance_below_floor");
+    assert.equal(JSON.stringify(body).includes("40"), false);
+    await ready();
+    assert.deepEqual(alerts(), [{ asset: "USDT", balance: 40, floor: 100 }]);
+
+    ctx.binance.balance = 150;
+    assert.equal((await ready()).status, 200);
+    ctx.binance.balance = 60;
+    await ready();
+    assert.deepEqual(
+      alerts().map((a) => a.balance),
+      [40, 60]
+    );
+  });
+});
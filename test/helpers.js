@@ -0,0 +1,189 @@
+// Shared setup for the node:test suites: the app on an in-memory database and a
+// fake Binance client, served on a random local port.
+
+// Keep binanceClient from warning about missing credentials; the fake never uses them.
+process.env.BINANCE_API_KEY = process.env.BINANCE_API_KEY || "test-key";
+process.env.BINANCE_API_SECRET = process.env.BINANCE_API_SECRET || "test-secret";
+// Keep the app's JSON log lines out of the test report; set LOG_LEVEL to see them.
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "silent";
+
+const { createApp } = require("../src/app");
+const { openDatabase } = require("../src/db");
+const { createApiKey } = require("../src/auth");
+const { toMinor, fromMinor } = require("../src/money");
+
+// Valid addresses, one per network the fake client offers.
+const ADDRESSES = {
+  TRX: "TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t",
+  BSC: "0x52908400098527886E0F7030069857D2E4169EE7",
+  TON: "EQCD39VS5jcptHL8vMjEXrzGaRcCVYto7HUn4bpAOg8xqB2N",
+};
+
+function network(overrides) {
+  return {
+    withdrawEnable: true,
+    depositEnable: true,
+    withdrawFee: "1",
+    withdrawMin: "10",
+    withdrawMax: "0",
+    sameAddress: false,
+    memoRegex: "",
+    addressRegex: "",
+    busy: false,
+    ...overrides,
+  };
+}
+
+/** USDT networks as getCoinNetworks returns them. */
+function defaultNetworks() {
+  return [
+    network({ network: "TRX", name: "Tron (TRC20)", withdrawMax: "10000" }),
+    network({
+      network: "BSC",
+      name: "BNB Smart Chain (BEP20)",
+      withdrawFee: "0.29",
+      addressRegex: "^(0x)[0-9A-Fa-f]{40}$",
+    }),
+    network({ network: "ETH", name: "Ethereum (ERC20)", withdrawEnable: false }),
+    network({
+      network: "TON",
+      name: "The Open Network",
+      withdrawFee: "0.3",
+      sameAddress: true,
+      memoRegex: "^[0-9]{1,20}$",
+      addressRegex: "^[A-Za-z0-9_-]{48}$",
+    }),
+  ];
+}
+
+/**
+ * A deposit history record as Binance returns it.
+ * @param {object} fields - at least txId and amount
+ */
+function deposit(fields) {
+  return {
+    coin: "USDT",
+    network: "TRX",
+    status: 1,
+    insertTime: Date.now() - 60 * 1000,
+    ...fields,
+    amount: String(fields.amount),
+  };
+}
+
+// Binance formats withdrawal times as "YYYY-MM-DD HH:mm:ss" UTC.
+function applyTime(ms) {
+  return new Date(ms).toISOString().replace("T", " ").slice(0, 19);
+}
+
+/**
+ * Stand-in for ./binanceClient. Its fields can be changed, and any method replaced,
+ * e.g. to throw a BinanceRegionError, from within a test.
+ * @param {object} [state]
+ * @param {number} [state.balance] - free USDT
+ * @param {Array<any>} [state.deposits] - see deposit()
+ * @param {Array<any>} [state.networks] - see defaultNetworks()
+ * @param {object} [state.apiRestrictions] - permissions of the API key
+ */
+function fakeBinanceClient({
+  balance = 1000,
+  deposits = [],
+  networks = defaultNetworks(),
+  apiRestrictions = { ipRestrict: true, enableReading: true, enableWithdrawals: true },
+} = {}) {
+  const client = {
+    balance,
+    deposits,
+    networks,
+    apiRestrictions,
+    // Arguments of every withdrawUSDT call
+    withdrawals: [],
+    // Withdraw history records, one per withdrawUSDT call (status 4, processing)
+    withdrawHistory: [],
+    async getUSDTBalance() {
+      return client.balance;
+    },
+    async getApiRestrictions() {
+      return client.apiRestrictions;
+    },
+    async getDepositHistory() {
+      return client.deposits;
+    },
+    async getDepositHistoryRange({ startTime, endTime }) {
+      return client.deposits.filter((d) => d.insertTime >= startTime && d.insertTime <= endTime);
+    },
+    async getCoinNetworks() {
+      return client.networks;
+    },
+    // Like Binance, takes the network fee out of amount
+    async withdrawUSDT(params) {
+      client.withdrawals.push(params);
+      const id = `binance-${client.withdrawals.length}`;
+      const fee = client.networks.find((n) => n.network === params.network).withdrawFee;
+      client.withdrawHistory.push({
+        id,
+        amount: String(fromMinor(toMinor(params.amount, "USDT") - toMinor(fee, "USDT"), "USDT")),
+        transactionFee: fee,
+        coin: "USDT",
+        status: 4,
+        address: params.address,
+        network: params.network,
+        txId: "",
+        withdrawOrderId: params.withdrawOrderId,
+        applyTime: applyTime(Date.now()),
+      });
+      return { id };
+    },
+    async getWithdrawHistory({ idList, withdrawOrderId }) {
+      return client.withdrawHistory.filter(
+        (w) =>
+          (!idList || idList.includes(w.id)) &&
+          (!withdrawOrderId || w.withdrawOrderId === withdrawOrderId)
+      );
+    },
+    async getWithdrawHistoryRange({ startTime, endTime }) {
+      return client.withdrawHistory.filter((w) => {
+        const time = new Date(`${w.applyTime.replace(" ", "T")}Z`).getTime();
+        return time >= startTime && time <= endTime;
+      });
+    },
+  };
+  return client;
+}
+
+/**
+ * Build the app and serve it on a random port, with an admin API key.
+ * @param {object} [options]
+ * @param {import("better-sqlite3").Database} [options.db] - default a new in-memory database
+ * @param {ReturnType<typeof fakeBinanceClient>} [options.binance] - default a new fake client
+ */
+async function startApp({ db = openDatabase(":memory:"), binance = fakeBinanceClient() } = {}) {
+  const app = createApp({ db, binanceClient: binance });
+  const { key } = createApiKey({ name: "test", role: "admin" });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, body) {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json", "X-API-Key": key },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  return {
+    db,
+    binance,
+    get: (path) => request("GET", path),
+    // The raw fetch Response, for routes that do not answer with JSON
+    fetch: (path, { headers, ...init } = {}) =>
+      fetch(`${baseUrl}${path}`, { ...init, headers: { "X-API-Key": key, ...headers } }),
+    post: (path, body) => request("POST", path, body || {}),
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = { ADDRESSES, defaultNetworks, deposit, fakeBinanceClient, startApp };
@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { ADDRESSES, startApp } = require("./helpers");
+const { createApiKey } = require("../src/auth");
+const { idempotent, markApplied } = require("../src/idempotency");
+
+test("idempotency keys", async (t) => {
+  let ctx;
+  t.beforeEach(async () => {
+    ctx = await startApp();
+  });
+  t.afterEach(() => ctx.close());
+
+  const withdraw = (key, { apiKey, amount = 20 } = {}) =>
+    ctx.fetch("/api/withdraw", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Idempotency-Key": key,
+        ...(apiKey ? { "X-API-Key": apiKey } : {}),
+      },
+      body: JSON.stringify({ address: ADDRESSES.TRX, amount }),
+    });
+
+  await t.test("replays the first response, and rejects a different body", async () => {
+    const first = await withdraw("k1");
+    const firstBody = await first.json();
+    assert.equal(firstBody.status, "complete");
+
+    const retry = await withdraw("k1");
+    assert.equal(retry.headers.get("idempotent-replayed"), "true");
+    assert.deepEqual(await retry.json(), firstBody);
+    assert.equal(ctx.binance.withdrawals.length, 1);
+
+    assert.equal((await withdraw("k1", { amount: 30 })).status, 409);
+  });
+
+  await t.test("replays keys stored before they were scoped to API keys", async () => {
+    await withdraw("old");
+    ctx.db.exec("UPDATE idempotency_keys SET apiKeyId = 0 WHERE key = 'old'");
+
+    const retry = await withdraw("old");
+    assert.equal(retry.headers.get("idempotent-replayed"), "true");
+    assert.equal((await withdraw("old", { amount: 30 })).status, 409);
+    assert.equal(ctx.binance.withdrawals.length, 1);
+  });
+
+  await t.test("runs a withdrawal again after a failure that sent nothing", async () => {
+    const getCoinNetworks = ctx.binance.getCoinNetworks;
+    ctx.binance.getCoinNetworks = async () => {
+      throw new Error("timeout");
+    };
+    const first = await (await withdraw("k3")).json();
+    assert.equal(first.reason, "network_config_unavailable");
+
+    ctx.binance.getCoinNetworks = getCoinNetworks;
+    const retry = await withdraw("k3");
+    assert.equal(retry.headers.get("idempotent-replayed"), null);
+    assert.equal((await retry.json()).status, "complete");
+    assert.equal(ctx.binance.withdrawals.length, 1);
+  });
+
+  await t.test("keeps each API key's keys apart", async () => {
+    const { key: otherKey } = createApiKey({ name: "other", role: "admin" });
+    await withdraw("shared");
+    const other = await withdraw("shared", { apiKey: otherKey });
+    assert.equal(other.headers.get("idempotent-replayed"), null);
+    assert.equal((await other.json()).status, "complete");
+    assert.equal(ctx.binance.withdrawals.length, 2);
+  });
+
+  await t.test("releases the key unless the route applied something", async () => {
+    const app = express();
+    app.set("env", "test"); // keeps Express from printing the error
+    app.use(express.json());
+    app.use((req, _res, next) => {
+      req.apiKey = { id: 1 };
+      next();
+    });
+    let calls = 0;
+    app.post("/flaky", idempotent("POST /flaky"), (_req, res) => {
+      calls += 1;
+      if (calls === 1) throw new Error("boom");
+      if (calls === 2) return res.status(503).json({ error: "try again" });
+      if (calls === 3) return res.json({ calls, applied: false });
+      markApplied(res);
+      return res.json({ calls });
+    });
+    const server = await new Promise((resolve) => {
+      const s = app.listen(0, "127.0.0.1", () => resolve(s));
+    });
+    t.after(() => new Promise((resolve) => server.close(resolve)));
+
+    const post = () =>
+      fetch(`http://127.0.0.1:${server.address().port}/flaky`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Idempotency-Key": "k2" },
+        body: "{}",
+      });
+    assert.equal((await post()).status, 500);
+    assert.equal((await post()).status, 503);
+    assert.deepEqual(await (await post()).json(), { calls: 3, applied: false });
+    assert.deepEqual(await (await post()).json(), { calls: 4 });
+    assert.deepEqual(await (await post()).json(), { calls: 4 });
+    assert.equal(calls, 4);
+  });
+});
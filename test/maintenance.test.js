@@ -0,0 +1,136 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { deposit, fakeBinanceClient, startApp } = require("./helpers");
+const { getSetting, listAuditLog } = require("../src/db");
+const { useTxIdArchive, getArchivedTransaction } = require("../src/txidArchive");
+const {
+  createBackup,
+  verifyBackup,
+  restoreBackup,
+  purgeTable,
+  resetSettings,
+} = require("../src/maintenance");
+
+test("database maintenance", async (t) => {
+  let ctx;
+  let dir;
+  t.beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "usdtapi-maintenance-"));
+    useTxIdArchive(path.join(dir, "txid-archive.jsonl"));
+    ctx = await startApp({
+      binance: fakeBinanceClient({
+        deposits: [
+          deposit({ txId: "Off-chain transfer 5001", amount: 20 }),
+          deposit({ txId: "Off-chain transfer 5002", amount: 10 }),
+        ],
+      }),
+    });
+  });
+  t.afterEach(async () => {
+    await ctx.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Make a processed transaction look as if it was credited days ago
+  const age = (txId, days) =>
+    ctx.db
+      .prepare(
+        "UPDATE processed_transactions SET createdAt = datetime('now', ?) WHERE txId = ?"
+      )
+      .run(`-${days} days`, txId);
+
+  await t.test("purged TxIDs are archived and stay blocked", async () => {
+    await ctx.post("/api/deposit/txid", { txId: "5001" });
+    await ctx.post("/api/deposit/txid", { txId: "5002" });
+    age("Off-chain transfer 5001", 100);
+
+    const preview = purgeTable("processed_transactions", { olderThanDays: 90, dryRun: true });
+    assert.equal(preview.matched, 1);
+    assert.equal(preview.deleted, 0);
+    assert.equal(getArchivedTransaction("Off-chain transfer 5001"), null);
+
+    const result = purgeTable("processed_transactions", { olderThanDays: 90 });
+    assert.equal(result.archived, 1);
+    assert.equal(result.deleted, 1);
+    const remaining = ctx.db.prepare("SELECT txId FROM processed_transactions").all();
+    assert.deepEqual(remaining, [{ txId: "Off-chain transfer 5002" }]);
+
+    const { body } = await ctx.post("/api/deposit/txid", { txId: "5001" });
+    assert.equal(body.status, "failed");
+    assert.equal(body.reason, "already_used");
+    assert.equal(body.confirmedAmount, 20);
+
+    const {
+      rows: [entry],
+    } = listAuditLog({ action: "maintenance.purge", limit: 1, offset: 0 });
+    assert.equal(entry.target, "processed_transactions");
+  });
+
+  await t.test("nothing is deleted when the TxIDs cannot be archived", async () => {
+    await ctx.post("/api/deposit/txid", { txId: "5001" });
+    age("Off-chain transfer 5001", 100);
+    useTxIdArchive(path.join(dir, "missing-dir", "txid-archive.jsonl"));
+
+    assert.throws(() => purgeTable("processed_transactions", { olderThanDays: 90 }), {
+      code: "ENOENT",
+    });
+    assert.equal(ctx.db.prepare("SELECT COUNT(*) AS n FROM processed_transactions").get().n, 1);
+  });
+
+  await t.test("rejects unknown tables and invalid ages", () => {
+    assert.throws(() => purgeTable("audit_log", { olderThanDays: 30 }), /Cannot purge audit_log/);
+    assert.throws(() => purgeTable("quotes", { olderThanDays: 0 }), /positive whole number/);
+  });
+
+  await t.test("reset-settings lists on a dry run and deletes otherwise", async () => {
+    await ctx.post("/api/rate", { rate: 141.5 });
+    await ctx.post("/api/min-deposit", { minDepositAmount: 7 });
+
+    const preview = resetSettings({ keys: ["KES_PER_USDT"], dryRun: true });
+    assert.deepEqual(preview.settings, [{ key: "KES_PER_USDT", value: "141.5" }]);
+    assert.equal(getSetting("KES_PER_USDT"), "141.5");
+
+    assert.equal(resetSettings({ keys: ["KES_PER_USDT"] }).deleted, 1);
+    assert.equal(getSetting("KES_PER_USDT"), null);
+    assert.deepEqual((await ctx.get("/api/min-deposit")).body, { minDepositAmount: 7 });
+  });
+
+  await t.test("backs up with a checksum and restores a verified backup", async () => {
+    await ctx.post("/api/deposit/txid", { txId: "5001" });
+    const backup = await createBackup({ destination: path.join(dir, "backup.db") });
+    assert.match(fs.readFileSync(backup.checksumFile, "utf8"), /^[0-9a-f]{64} {2}backup\.db\n$/);
+    assert.deepEqual(verifyBackup(backup.file).problems, []);
+    await assert.rejects(createBackup({ destination: backup.file }), /already exists/);
+
+    const target = path.join(dir, "data.db");
+    fs.writeFileSync(target, "current database");
+    assert.equal(restoreBackup(backup.file, { target, dryRun: true }).dryRun, true);
+    assert.equal(fs.readFileSync(target, "utf8"), "current database");
+
+    const { previous } = restoreBackup(backup.file, { target });
+    assert.equal(fs.readFileSync(previous, "utf8"), "current database");
+    const restored = new Database(target, { readonly: true });
+    try {
+      const rows = restored.prepare("SELECT txId FROM processed_transactions").all();
+      assert.deepEqual(rows, [{ txId: "Off-chain transfer 5001" }]);
+    } finally {
+      restored.close();
+    }
+  });
+
+  await t.test("refuses to restore a backup that fails its checksum", async () => {
+    const backup = await createBackup({ destination: path.join(dir, "backup.db") });
+    fs.appendFileSync(backup.file, "tampered");
+    const { ok, problems } = verifyBackup(backup.file);
+    assert.equal(ok, false);
+    assert.match(problems[0], /does not match/);
+
+    const target = path.join(dir, "data.db");
+    assert.throws(() => restoreBackup(backup.file, { target }), { code: "BACKUP_INVALID" });
+    assert.equal(fs.existsSync(target), false);
+  });
+});
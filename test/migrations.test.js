@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { openDatabase } = require("../src/db");
+const { loadMigrations, migrate, migrationStatus } = require("../src/migrations");
+
+const columns = (db, table) =>
+  db
+    .prepare(`PRAGMA table_info(${table})`)
+    .all()
+    .map((c) => c.name);
+
+test("schema migrations", async (t) => {
+  await t.test("applies every migration once and records it", () => {
+    const db = new Database(":memory:");
+    const applied = migrate(db);
+    assert.deepEqual(applied[0], { version: 1, name: "initial_schema" });
+    assert.deepEqual(migrate(db), []);
+
+    const { applied: done, pending } = migrationStatus(db);
+    assert.equal(done.length, loadMigrations().length);
+    assert.deepEqual(pending, []);
+    assert.ok(columns(db, "withdrawals").includes("platformFee"));
+  });
+
+  await t.test("adopts a database created before migrations without losing data", () => {
+    const db = new Database(":memory:");
+    db.exec(`
+      CREATE TABLE processed_transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        txId TEXT NOT NULL UNIQUE,
+        asset TEXT NOT NULL,
+        amount REAL NOT NULL,
+        rewardKes REAL NOT NULL,
+        confirmedAt TEXT NOT NULL,
+        createdAt TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+      CREATE TABLE settings (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+      INSERT INTO processed_transactions (txId, asset, amount, rewardKes, confirmedAt)
+        VALUES ('Off-chain transfer 1', 'USDT', 10, 1500, '2025-01-01T00:00:00.000Z');
+      INSERT INTO settings (key, value) VALUES ('KES_PER_USDT', '150');
+    `);
+
+    migrate(db);
+    const row = db.prepare("SELECT * FROM processed_transactions").get();
+    assert.equal(row.txId, "Off-chain transfer 1");
+    assert.equal(row.rewardKes, 1500);
+    assert.equal(row.userId, null);
+    assert.equal(db.prepare("SELECT value FROM settings").get().value, "150");
+    assert.ok(columns(db, "audit_log").includes("hash"));
+  });
+
+  await t.test("backfills what credited each deposit from the audit log", () => {
+    const db = new Database(":memory:");
+    migrate(db, loadMigrations().filter((m) => m.version === 1));
+    const credit = db.prepare(
+      `INSERT INTO audit_log (createdAt, action, actor, target, outcome, hash)
+       VALUES (datetime('now'), 'deposit.credit', ?, ?, 'success', 'h')`
+    );
+    const deposit = db.prepare(
+      `INSERT INTO processed_transactions (txId, asset, amount, rewardKes, confirmedAt)
+       VALUES (?, 'USDT', 10, 1500, '2025-01-01T00:00:00.000Z')`
+    );
+    for (const [txId, actor] of [
+      ["Off-chain transfer 1", "deposit_poller"],
+      ["Off-chain transfer 2", "api_key:1"],
+      ["Off-chain transfer 3", "pending_deposit_checker"],
+      ["Off-chain transfer 4", null],
+    ]) {
+      deposit.run(txId);
+      if (actor) credit.run(actor, txId);
+    }
+
+    migrate(db);
+    const sources = db
+      .prepare("SELECT source FROM processed_transactions ORDER BY id")
+      .all()
+      .map((r) => r.source);
+    assert.deepEqual(sources, ["poller", "txid", "pending_claim", null]);
+  });
+
+  await t.test("rolls back a failing migration and stops there", () => {
+    const db = new Database(":memory:");
+    const migrations = [
+      ...loadMigrations(),
+      { version: 900, name: "add_notes", up: (d) => d.exec("CREATE TABLE notes (id INTEGER)") },
+      {
+        version: 901,
+        name: "broken",
+        up: (d) => {
+          d.exec("CREATE TABLE half_done (id INTEGER)");
+          d.exec("ALTER TABLE missing ADD COLUMN x TEXT");
+        },
+      },
+      { version: 902, name: "after", up: (d) => d.exec("CREATE TABLE later (id INTEGER)") },
+    ];
+
+    assert.throws(() => migrate(db, migrations), /Migration 901_broken failed: no such table/);
+    const { pending } = migrationStatus(db, migrations);
+    assert.deepEqual(pending.map((m) => m.version), [901, 902]);
+    assert.deepEqual(columns(db, "notes"), ["id"]);
+    assert.deepEqual(columns(db, "half_done"), []);
+  });
+
+  await t.test("refuses to open a database with pending migrations when asked not to apply", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "usdtapi-migrations-"));
+    const file = path.join(dir, "test.db");
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    assert.throws(() => openDatabase(file, { migrate: false }), { code: "MIGRATIONS_PENDING" });
+    openDatabase(file).close();
+    openDatabase(file, { migrate: false }).close();
+  });
+});
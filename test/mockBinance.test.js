@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createMockBinance } = require("../src/mockBinance");
+
+test("withdrawals through the mock Binance server", async (t) => {
+  const mock = createMockBinance({ apiKey: "mock-key", apiSecret: "mock-secret" });
+  const mockServer = await new Promise((resolve) => {
+    const s = mock.app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  t.after(() => new Promise((resolve) => mockServer.close(resolve)));
+  const mockUrl = `http://127.0.0.1:${mockServer.address().port}`;
+
+  // binanceClient reads these when it is loaded, so the app is required after they are set.
+  process.env.BINANCE_BASE_URL = mockUrl;
+  process.env.BINANCE_API_KEY = "mock-key";
+  process.env.BINANCE_API_SECRET = "mock-secret";
+  const { ADDRESSES, startApp } = require("./helpers");
+  const ctx = await startApp({ binance: require("../src/binanceClient") });
+  t.after(() => ctx.close());
+
+  await t.test("a net withdrawal arrives in full, Binance's fee taken from the amount", async () => {
+    const { body } = await ctx.post("/api/withdraw", { address: ADDRESSES.TRX, amount: 20 });
+    assert.equal(body.status, "complete");
+    assert.equal(body.netAmount, 20);
+    assert.equal(body.withdrawFee, 1);
+
+    const state = await (await fetch(`${mockUrl}/mock/state`)).json();
+    assert.equal(state.withdrawals.length, 1);
+    assert.equal(state.withdrawals[0].amount, "20");
+    assert.equal(state.withdrawals[0].transactionFee, "1");
+    assert.equal(state.balances.USDT.free, 1000 - 21);
+  });
+});
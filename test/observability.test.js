@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ADDRESSES, deposit, fakeBinanceClient, startApp } = require("./helpers");
+const { redact } = require("../src/logger");
+const { recordBinanceRequest } = require("../src/metrics");
+
+test("redact removes secrets from log fields", () => {
+  const key = "usdtapi_AbCdEfGhIjKlMnOpQrStUvWxYz0123456789";
+  assert.deepEqual(
+    redact({
+      msg: `rejected key ${key}`,
+      url: "https://api.binance.com/sapi/v1/capital/withdraw/apply?amount=5&signature=abc123",
+      headers: { "X-API-Key": key, Authorization: `Bearer ${key}` },
+      webhook: { id: 3, secret: "whsec" },
+      apiKeyId: 4,
+    }),
+    {
+      msg: "rejected key usdtapi_[redacted]",
+      url: "https://api.binance.com/sapi/v1/capital/withdraw/apply?amount=5&signature=[redacted]",
+      headers: { "X-API-Key": "[redacted]", Authorization: "[redacted]" },
+      webhook: { id: 3, secret: "[redacted]" },
+      apiKeyId: 4,
+    }
+  );
+});
+
+test("request ids and metrics", async (t) => {
+  let ctx;
+  t.beforeEach(async () => {
+    ctx = await startApp({
+      binance: fakeBinanceClient({
+        balance: 750.5,
+        deposits: [deposit({ txId: "Off-chain transfer 6001", amount: 20 })],
+      }),
+    });
+  });
+  t.afterEach(() => ctx.close());
+
+  await t.test("echoes a valid X-Request-Id and generates one otherwise", async () => {
+    const given = await ctx.fetch("/api/health", { headers: { "X-Request-Id": "req-123" } });
+    assert.equal(given.headers.get("x-request-id"), "req-123");
+
+    const invalid = await ctx.fetch("/api/health", { headers: { "X-Request-Id": "bad id\"" } });
+    assert.match(invalid.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+
+    const generated = await ctx.fetch("/api/health");
+    assert.match(generated.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+  });
+
+  await t.test("GET /metrics requires an API key", async () => {
+    const res = await ctx.fetch("/metrics", { headers: { "X-API-Key": "" } });
+    assert.equal(res.status, 401);
+  });
+
+  await t.test("exposes deposits, withdrawals, Binance calls, balance and rates", async () => {
+    const metricValue = (text, series) => {
+      const line = text.split("\n").find((l) => l.startsWith(`${series} `));
+      return line ? Number(line.slice(series.length + 1)) : null;
+    };
+    const scrape = async () => (await ctx.fetch("/metrics")).text();
+
+    const before = await scrape();
+    const count = (text, series) => metricValue(text, series) || 0;
+
+    await ctx.post("/api/deposit/txid", { txId: "6001" });
+    await ctx.post("/api/deposit/txid", { txId: "6001" });
+    await ctx.post("/api/deposit/txid", {});
+    await ctx.post("/api/withdraw", { address: ADDRESSES.TRX, amount: 25 });
+    recordBinanceRequest({
+      method: "GET",
+      endpoint: "/sapi/v1/test",
+      durationMs: 120,
+      errorCode: "BINANCE_REGION",
+    });
+
+    const res = await ctx.fetch("/metrics");
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+    const text = await res.text();
+
+    for (const [series, delta] of [
+      ['usdtapi_deposit_verifications_total{reason="complete"}', 1],
+      ['usdtapi_deposit_verifications_total{reason="already_used"}', 1],
+      ['usdtapi_deposit_verifications_total{reason="invalid_request"}', 1],
+      ['usdtapi_withdrawals_total{network="TRX",outcome="submitted"}', 1],
+      ['usdtapi_withdrawal_volume_usdt_total{network="TRX"}', 25],
+      ['usdtapi_binance_request_errors_total{method="GET",endpoint="/sapi/v1/test",code="BINANCE_REGION"}', 1],
+      ['usdtapi_binance_request_duration_seconds_bucket{method="GET",endpoint="/sapi/v1/test",le="0.25"}', 1],
+    ]) {
+      assert.equal(count(text, series) - count(before, series), delta, series);
+    }
+    assert.equal(metricValue(text, "usdtapi_usdt_balance"), 750.5);
+    assert.equal(metricValue(text, 'usdtapi_rate_kes_per_usdt{type="deposit"}'), 150);
+    assert.equal(metricValue(text, 'usdtapi_rate_stale{type="withdrawal"}'), 0);
+  });
+});
@@ -0,0 +1,42 @@
+// Set before the app loads: rates.js reads them once.
+process.env.RATE_FEED_PROVIDER = "test_feed";
+process.env.RATE_OVERRIDE_TTL_MINUTES = "0.002"; // 120 ms
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+const { registerRateProvider, refreshRates } = require("../src/rates");
+
+registerRateProvider("test_feed", { fetchRate: async () => 130 });
+
+test("rate feed overrides", async (t) => {
+  let ctx;
+  t.beforeEach(async () => {
+    ctx = await startApp();
+  });
+  t.afterEach(() => ctx.close());
+
+  await t.test("records the switch back to the feed when an override expires", async () => {
+    await refreshRates();
+    const set = await ctx.post("/api/rate", { rate: 140 });
+    assert.equal(set.body.source, "override");
+    assert.equal(set.body.rate, 140);
+
+    await new Promise((resolve) => setTimeout(resolve, 250));
+    const current = (await ctx.get("/api/rate")).body;
+    assert.equal(current.source, "feed");
+    assert.equal(current.rate, 130);
+
+    const { history } = (await ctx.get("/api/rate/history?type=deposit")).body;
+    assert.deepEqual(
+      history.map((h) => [h.source, h.previousRate, h.rate]),
+      [
+        ["override_expired", 140, 130],
+        ["manual", 130, 140],
+        ["feed", null, 130],
+      ]
+    );
+    assert.equal(history[0].actor, "system");
+    assert.match(history[1].actor, /^api_key:\d+$/);
+  });
+});
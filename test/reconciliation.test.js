@@ -0,0 +1,170 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ADDRESSES, deposit, fakeBinanceClient, startApp } = require("./helpers");
+const { BinanceRegionError } = require("../src/binanceClient");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test("reconciliation reports", async (t) => {
+  let ctx;
+  t.beforeEach(async () => {
+    ctx = await startApp({
+      binance: fakeBinanceClient({
+        deposits: [
+          deposit({ txId: "Off-chain transfer 3001", amount: 20 }),
+          deposit({ txId: "Off-chain transfer 3002", amount: 15 }),
+          deposit({ txId: "Off-chain transfer 3003", amount: 5, status: 0 }),
+        ],
+      }),
+    });
+  });
+  t.afterEach(() => ctx.close());
+
+  const from = () => new Date(Date.now() - DAY_MS).toISOString();
+  const reconcile = (body = { from: from() }) => ctx.post("/api/reconciliation/reports", body);
+  const types = (report) => report.issues.map((i) => `${i.type} ${i.reference}`).sort();
+  const withdrawalTypes = (report) => types(report).filter((t) => t.startsWith("withdrawal_"));
+
+  await t.test("reports ok when both sides agree", async () => {
+    await ctx.post("/api/deposit/txid", { txId: "3001" });
+    await ctx.post("/api/deposit/txid", { txId: "3002" });
+    await ctx.post("/api/withdraw", { address: ADDRESSES.TRX, amount: 20 });
+
+    const { status, body } = await reconcile();
+    assert.equal(status, 201);
+    assert.equal(body.status, "ok");
+    assert.equal(body.trigger, "api");
+    assert.deepEqual(body.issues, []);
+    assert.deepEqual(body.summary.deposits, {
+      credited: 2,
+      creditedUsdt: 35,
+      received: 2,
+      receivedUsdt: 35,
+    });
+    assert.equal(body.summary.withdrawals.recorded, 1);
+    assert.equal(body.summary.withdrawals.binance, 1);
+  });
+
+  await t.test("flags missing, unclaimed and mismatched deposits", async () => {
+    await ctx.post("/api/deposit/txid", { txId: "3001" });
+    await ctx.post("/api/deposit/txid", { txId: "3002" });
+    ctx.binance.deposits[0].amount = "19.5";
+    ctx.binance.deposits.splice(1, 1);
+    ctx.binance.deposits.push(deposit({ txId: "Off-chain transfer 3004", amount: 8 }));
+
+    const { body } = await reconcile();
+    assert.equal(body.status, "issues");
+    assert.deepEqual(types(body), [
+      "deposit_amount_mismatch Off-chain transfer 3001",
+      "deposit_missing_on_binance Off-chain transfer 3002",
+      "deposit_unclaimed Off-chain transfer 3004",
+    ]);
+    const mismatch = body.issues.find((i) => i.type === "deposit_amount_mismatch");
+    assert.equal(mismatch.localAmount, 20);
+    assert.equal(mismatch.binanceAmount, 19.5);
+    assert.deepEqual(body.summary.issues, {
+      deposit_amount_mismatch: 1,
+      deposit_missing_on_binance: 1,
+      deposit_unclaimed: 1,
+    });
+  });
+
+  await t.test("flags failed, stuck and unrecorded withdrawals", async () => {
+    await ctx.post("/api/withdraw", { address: ADDRESSES.TRX, amount: 20 });
+    await ctx.post("/api/withdraw", { address: ADDRESSES.TRX, amount: 30 });
+    await ctx.post("/api/withdraw", { address: ADDRESSES.BSC, network: "BSC", amount: 40 });
+    const [failed, stuck, wrongAmount] = ctx.binance.withdrawHistory;
+    failed.status = 5;
+    wrongAmount.amount = "39";
+    ctx.db
+      .prepare("UPDATE withdrawals SET createdAt = datetime('now', '-2 days') WHERE id = ?")
+      .run(2);
+    stuck.applyTime = new Date(Date.now() - 2 * DAY_MS).toISOString().slice(0, 19);
+    stuck.applyTime = stuck.applyTime.replace("T", " ");
+    ctx.binance.withdrawHistory.push({
+      ...failed,
+      id: "binance-outside",
+      status: 6,
+      withdrawOrderId: "",
+    });
+
+    const { body } = await reconcile({ from: new Date(Date.now() - 3 * DAY_MS).toISOString() });
+    assert.deepEqual(withdrawalTypes(body), [
+      "withdrawal_amount_mismatch withdrawal:3",
+      "withdrawal_failed withdrawal:1",
+      "withdrawal_not_recorded binance:binance-outside",
+      "withdrawal_stuck withdrawal:2",
+    ]);
+    const failure = body.issues.find((i) => i.type === "withdrawal_failed");
+    assert.equal(failure.localStatus, "submitted");
+    assert.equal(failure.binanceStatus, 5);
+  });
+
+  await t.test("looks up withdrawals recorded in the period but sent after it", async () => {
+    await ctx.post("/api/withdraw", { address: ADDRESSES.TRX, amount: 20 });
+    ctx.binance.withdrawHistory[0].applyTime = "2099-01-01 00:00:00";
+
+    const { body } = await reconcile();
+    assert.deepEqual(withdrawalTypes(body), []);
+
+    ctx.binance.withdrawHistory.length = 0;
+    const missing = await reconcile();
+    assert.deepEqual(withdrawalTypes(missing.body), ["withdrawal_missing_on_binance withdrawal:1"]);
+  });
+
+  await t.test("lists reports and exports their issues as CSV", async () => {
+    ctx.binance.deposits.push(deposit({ txId: "Off-chain transfer 3005", amount: 3 }));
+    const { body: report } = await reconcile();
+
+    const list = await ctx.get("/api/reconciliation/reports");
+    assert.equal(list.body.total, 1);
+    assert.equal(list.body.reports[0].id, report.id);
+    assert.equal(list.body.reports[0].issueCount, 3);
+
+    const one = await ctx.get(`/api/reconciliation/reports/${report.id}`);
+    assert.deepEqual(one.body, report);
+
+    const res = await ctx.fetch(`/api/reconciliation/reports/${report.id}/csv`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/csv/);
+    assert.match(res.headers.get("content-disposition"), /reconciliation-1\.csv/);
+    const lines = (await res.text()).trim().split("\r\n");
+    assert.equal(lines.length, 4);
+    assert.equal(
+      lines[0],
+      "reportId,periodStart,periodEnd,type,reference,localAmount,binanceAmount," +
+        "localStatus,binanceStatus,occurredAt,detail"
+    );
+    assert.ok(lines.some((l) => l.includes("deposit_unclaimed,Off-chain transfer 3005,,3,")));
+
+    assert.equal((await ctx.get("/api/reconciliation/reports/99")).status, 404);
+  });
+
+  await t.test("validates the period", async () => {
+    const cases = [
+      [{}, "from must be a date or timestamp"],
+      [{ from: "yesterday" }, "from must be a date or timestamp"],
+      [{ from: "2026-01-01", to: "nope" }, "to must be a date or timestamp"],
+      [{ from: "2026-02-01", to: "2026-01-01" }, "from must be before to and in the past"],
+      [{ from: "2026-01-01", to: "2026-06-01" }, "The period must not exceed 90 days"],
+    ];
+    for (const [body, error] of cases) {
+      const res = await reconcile(body);
+      assert.equal(res.status, 400, JSON.stringify(body));
+      assert.equal(res.body.error, error);
+    }
+  });
+
+  await t.test("stores a failed run when Binance history cannot be fetched", async () => {
+    ctx.binance.getDepositHistoryRange = async () => {
+      throw new BinanceRegionError("Binance API is not available in this region");
+    };
+    const { status, body } = await reconcile();
+    assert.equal(status, 502);
+    assert.equal(body.reason, "region_restricted");
+
+    const stored = await ctx.get(`/api/reconciliation/reports/${body.reportId}`);
+    assert.equal(stored.body.status, "failed");
+    assert.match(stored.body.error, /not available in this region/);
+  });
+});
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+const { openDatabase, getSetting } = require("../src/db");
+
+test("settings changed through the API survive a restart", async () => {
+  const db = openDatabase(":memory:");
+
+  const first = await startApp({ db });
+  const changes = [
+    ["/api/min-deposit", { minDepositAmount: 7 }],
+    ["/api/min-withdrawal", { minWithdrawalAmount: 12 }],
+    ["/api/rate", { rate: 141.5 }],
+    ["/api/rate/withdrawal", { rate: 138 }],
+    ["/api/withdrawal-fee", { feePercent: 1.5, feeFixed: 0.5 }],
+    ["/api/treasury/controls", { allowlistEnabled: true, max24h: 5000 }],
+  ];
+  for (const [path, body] of changes) {
+    const res = await first.post(path, body);
+    assert.equal(res.status, 200, path);
+  }
+  await first.close();
+
+  const second = await startApp({ db });
+  try {
+    assert.deepEqual((await second.get("/api/min-deposit")).body, { minDepositAmount: 7 });
+    assert.deepEqual((await second.get("/api/min-withdrawal")).body, { minWithdrawalAmount: 12 });
+    assert.equal((await second.get("/api/rate")).body.rate, 141.5);
+    assert.equal((await second.get("/api/rate/withdrawal")).body.rate, 138);
+    assert.deepEqual((await second.get("/api/withdrawal-fee")).body, {
+      feePercent: 1.5,
+      feeFixed: 0.5,
+    });
+    const { controls } = (await second.get("/api/treasury/controls")).body;
+    assert.equal(controls.allowlistEnabled, true);
+    assert.equal(controls.max24h, 5000);
+  } finally {
+    await second.close();
+  }
+});
+
+test("invalid settings are rejected and leave the stored value", async () => {
+  const ctx = await startApp();
+  try {
+    // [route, invalid body, read the stored value from a GET of the route, expected value]
+    const cases = [
+      ["/api/min-deposit", { minDepositAmount: -1 }, (b) => b.minDepositAmount, 0],
+      ["/api/min-withdrawal", { minWithdrawalAmount: 0 }, (b) => b.minWithdrawalAmount, 10],
+      ["/api/rate", { rate: "abc" }, (b) => b.rate, 150],
+      ["/api/withdrawal-fee", { feePercent: 100 }, (b) => b.feePercent, 0],
+      ["/api/treasury/controls", { max24h: -5 }, (b) => b.controls.max24h, 0],
+    ];
+    for (const [path, body, read, expected] of cases) {
+      const res = await ctx.post(path, body);
+      assert.equal(res.status, 400, path);
+      assert.equal(read((await ctx.get(path)).body), expected, path);
+    }
+  } finally {
+    await ctx.close();
+  }
+});
+
+test("defaults are persisted on first start", async () => {
+  const ctx = await startApp();
+  try {
+    assert.equal(getSetting("MIN_WITHDRAWAL_AMOUNT"), "10");
+    assert.equal(getSetting("KES_PER_USDT"), "150");
+    assert.equal(getSetting("WITHDRAWAL_FEE_PERCENT"), "0");
+  } finally {
+    await ctx.close();
+  }
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { startApp } = require("./helpers");
+const { transaction } = require("../src/db");
+const { emitEvent } = require("../src/webhooks");
+
+test("webhook deliveries", async (t) => {
+  const received = [];
+  const receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      received.push(JSON.parse(body));
+      res.end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => receiver.close(resolve)));
+
+  const ctx = await startApp();
+  t.after(() => ctx.close());
+  const { body: endpoint } = await ctx.post("/api/webhooks", {
+    url: `http://127.0.0.1:${receiver.address().port}/hook`,
+    events: ["rate.changed"],
+  });
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 200));
+
+  await t.test("sends nothing for an event emitted in a rolled back transaction", async () => {
+    assert.throws(() =>
+      transaction(() => {
+        emitEvent("rate.changed", { type: "deposit", rate: 1 });
+        throw new Error("rolled back");
+      })
+    );
+    await settle();
+    assert.deepEqual(received, []);
+    assert.equal(ctx.db.prepare("SELECT COUNT(*) AS n FROM webhook_deliveries").get().n, 0);
+  });
+
+  await t.test("sends an event once its transaction has committed", async () => {
+    transaction(() => emitEvent("rate.changed", { type: "deposit", rate: 2 }));
+    await settle();
+    assert.deepEqual(
+      received.map((r) => r.data),
+      [{ type: "deposit", rate: 2 }]
+    );
+  });
+
+  await t.test("records redeliveries in the audit log", async () => {
+    const [delivery] = (await ctx.get(`/api/webhooks/${endpoint.id}/deliveries`)).body.deliveries;
+    const path = `/api/webhooks/${endpoint.id}/deliveries/${delivery.id}/redeliver`;
+    assert.equal((await ctx.post(path)).status, 202);
+
+    const [entry] = (await ctx.get("/api/audit?action=webhook.redeliver")).body.entries;
+    assert.equal(entry.target, `webhook_delivery:${delivery.id}`);
+    assert.deepEqual(entry.after, { status: "pending", attempts: 0 });
+  });
+});
@@ -0,0 +1,263 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ADDRESSES, deposit, fakeBinanceClient, startApp } = require("./helpers");
+const {
+  BinanceError,
+  BinanceInsufficientBalanceError,
+  BinanceRegionError,
+} = require("../src/binanceClient");
+const { getAccount, getWithdrawal } = require("../src/db");
+
+test("POST /api/withdraw", async (t) => {
+  let ctx;
+  t.beforeEach(async () => {
+    ctx = await startApp({
+      binance: fakeBinanceClient({
+        balance: 100,
+        deposits: [deposit({ txId: "Off-chain transfer 2001", amount: 50 })],
+      }),
+    });
+  });
+  t.afterEach(() => ctx.close());
+
+  const withdraw = (body) => ctx.post("/api/withdraw", body);
+
+  await t.test("rejects invalid requests with 400", async () => {
+    const cases = [
+      [{}, /^address is required$/],
+      [{ address: "   " }, /^address is required$/],
+      [{ address: 42 }, /^address is required$/],
+      [{ address: ADDRESSES.TRX, userId: -1 }, /^userId must be/],
+      [{ address: ADDRESSES.TRX, network: 5 }, /^network must be a string$/],
+      [{ address: ADDRESSES.TRX, amount: 0 }, /^amount must be a positive number/],
+      [{ address: ADDRESSES.TRX, amount: "ten" }, /^amount must be a positive number/],
+      [{ address: ADDRESSES.TRX, amount: 20, amountMode: "all" }, /^amountMode must be one of/],
+      [{ address: ADDRESSES.TRX, amountMode: "net" }, /^amount is required when amountMode/],
+      [{ address: ADDRESSES.TRX, amount: 20, quoteId: 7 }, /^quoteId must be a string$/],
+    ];
+    for (const [body, error] of cases) {
+      const res = await withdraw(body);
+      assert.equal(res.status, 400, JSON.stringify(body));
+      assert.match(res.body.error, error);
+    }
+    assert.equal(ctx.binance.withdrawals.length, 0);
+  });
+
+  await t.test("rejects destinations Binance's network config does not allow", async () => {
+    const cases = [
+      [{ address: ADDRESSES.TRX, network: "DOGE" }, "unsupported_network"],
+      [{ address: ADDRESSES.BSC, network: "ETH" }, "network_withdrawals_disabled"],
+      [{ address: `${ADDRESSES.TRX.slice(0, -1)}u` }, "invalid_checksum"],
+      [{ address: "0x1234", network: "BSC" }, "invalid_format"],
+      [{ address: "not-an-address" }, "unrecognized_address"],
+      [{ address: ADDRESSES.TON, network: "TON" }, "memo_required"],
+      [{ address: ADDRESSES.TON, network: "TON", memo: "abc" }, "invalid_memo"],
+      [{ address: ADDRESSES.TRX, memo: "123" }, "memo_not_supported"],
+    ];
+    for (const [body, reason] of cases) {
+      const res = await withdraw({ amount: 20, ...body });
+      assert.equal(res.status, 400, JSON.stringify(body));
+      assert.equal(res.body.reason, reason);
+    }
+  });
+
+  await t.test("fails when the network config cannot be loaded", async () => {
+    ctx.binance.getCoinNetworks = async () => {
+      throw new BinanceError("Binance request failed: timeout");
+    };
+    const { body } = await withdraw({ address: ADDRESSES.TRX, amount: 20 });
+    assert.equal(body.reason, "network_config_unavailable");
+  });
+
+  await t.test("sends a net withdrawal with Binance's fee added to the amount", async () => {
+    const { body } = await withdraw({ address: ADDRESSES.BSC, network: "BSC", amount: 20 });
+    assert.equal(body.status, "complete");
+    assert.equal(body.amountMode, "net");
+    assert.equal(body.netAmount, 20);
+    assert.equal(body.withdrawFee, 0.29);
+    assert.equal(body.grossAmount, 20.29);
+    assert.deepEqual(ctx.binance.withdrawals, [
+      {
+        address: ADDRESSES.BSC,
+        amount: 20.29,
+        network: "BSC",
+        addressTag: null,
+        withdrawOrderId: `usdtapi-${body.id}`,
+      },
+    ]);
+  });
+
+  await t.test("detects the network and passes the memo", async () => {
+    const trx = await withdraw({ address: ADDRESSES.TRX, amount: 20 });
+    assert.equal(trx.body.network, "TRX");
+
+    const ton = await withdraw({ address: ADDRESSES.TON, network: "TON", amount: 20, memo: "42" });
+    assert.equal(ton.body.status, "complete");
+    assert.equal(ctx.binance.withdrawals[1].addressTag, "42");
+  });
+
+  await t.test("withdraws the whole balance, fees included, without an amount", async () => {
+    const { body } = await withdraw({ address: ADDRESSES.TRX });
+    assert.equal(body.status, "complete");
+    assert.equal(body.amountMode, "gross");
+    assert.equal(body.grossAmount, 100);
+    assert.equal(body.netAmount, 99);
+  });
+
+  await t.test("checks the amount against fees, minimums, maximums and the balance", async () => {
+    const cases = [
+      [{ amount: 1, amountMode: "gross" }, "amount_below_fees"],
+      [{ amount: 5 }, "amount_below_minimum"],
+      [{ amount: 20000 }, "amount_above_network_maximum"],
+      [{ amount: 99.5 }, "insufficient_funds"],
+    ];
+    for (const [body, reason] of cases) {
+      const res = await withdraw({ address: ADDRESSES.TRX, ...body });
+      assert.equal(res.body.status, "failed", JSON.stringify(body));
+      assert.equal(res.body.reason, reason);
+    }
+
+    await ctx.post("/api/min-withdrawal", { minWithdrawalAmount: 1 });
+    const belowNetworkMin = await withdraw({ address: ADDRESSES.TRX, amount: 5 });
+    assert.equal(belowNetworkMin.body.reason, "amount_below_network_minimum");
+
+    ctx.binance.balance = 0;
+    const empty = await withdraw({ address: ADDRESSES.TRX, amount: 20 });
+    assert.equal(empty.body.reason, "insufficient_funds");
+    assert.equal(ctx.binance.withdrawals.length, 0);
+  });
+
+  await t.test("debits the user's KES account, or refuses if it is short", async () => {
+    const short = await withdraw({ address: ADDRESSES.TRX, amount: 20, userId: "u1" });
+    assert.equal(short.body.reason, "insufficient_balance");
+
+    await ctx.post("/api/deposit/txid", { txId: "2001", userId: "u1" });
+    assert.equal(getAccount("u1").balanceKes, 7500);
+    const { body } = await withdraw({ address: ADDRESSES.TRX, amount: 20, userId: "u1" });
+    assert.equal(body.status, "complete");
+    assert.equal(body.amountKes, 3150);
+    assert.equal(getAccount("u1").balanceKes, 4350);
+  });
+
+  await t.test("enforces treasury controls", async () => {
+    await ctx.post("/api/treasury/controls", { allowlistEnabled: true });
+    const notAllowed = await withdraw({ address: ADDRESSES.TRX, amount: 20 });
+    assert.equal(notAllowed.body.reason, "address_not_allowlisted");
+
+    await ctx.post("/api/treasury/controls", { allowlistEnabled: false, maxPerRequest: 15 });
+    const overLimit = await withdraw({ address: ADDRESSES.TRX, amount: 20 });
+    assert.equal(overLimit.body.reason, "limit_per_request");
+
+    await ctx.post("/api/treasury/controls", { maxPerRequest: 0, approvalThreshold: 15 });
+    const held = await withdraw({ address: ADDRESSES.TRX, amount: 20 });
+    assert.equal(held.body.status, "awaiting_approval");
+    assert.equal(ctx.binance.withdrawals.length, 0);
+  });
+
+  await t.test("reports quote_not_found for an unknown quote", async () => {
+    const { body } = await withdraw({ address: ADDRESSES.TRX, amount: 20, quoteId: "qt_nope" });
+    assert.equal(body.reason, "quote_not_found");
+  });
+
+  await t.test("debits a quote's amountKes, its amount being the gross", async () => {
+    await ctx.post("/api/deposit/txid", { txId: "2001", userId: "u1" });
+    await ctx.post("/api/withdrawal-fee", { feePercent: 1 });
+    const quote = async () =>
+      (await ctx.post("/api/quote", { type: "withdrawal", amount: 30, userId: "u1" })).body;
+
+    const netQuote = await quote();
+    const net = await withdraw({
+      address: ADDRESSES.TRX,
+      amount: 30,
+      amountMode: "net",
+      userId: "u1",
+      quoteId: netQuote.quoteId,
+    });
+    assert.equal(net.body.reason, "quote_amount_mode_mismatch");
+    assert.equal(ctx.binance.withdrawals.length, 0);
+
+    const { quoteId, amountKes } = await quote();
+    const { body } = await withdraw({ address: ADDRESSES.TRX, userId: "u1", quoteId });
+    assert.equal(body.status, "complete");
+    assert.equal(body.amountMode, "gross");
+    assert.equal(body.grossAmount, 30);
+    assert.equal(body.amountKes, amountKes);
+    assert.equal(getAccount("u1").balanceKes, 7500 - amountKes);
+  });
+
+  await t.test("answers 500 when the quote cannot be read, and sends nothing", async () => {
+    ctx.db.exec("DROP TABLE quotes");
+    const { status, body } = await withdraw({ address: ADDRESSES.TRX, amount: 20, quoteId: "qt_1" });
+    assert.equal(status, 500);
+    assert.equal(body.error, "Failed to read the withdrawal rate");
+    assert.equal(ctx.binance.withdrawals.length, 0);
+  });
+
+  await t.test("maps Binance rejections to reasons and reverses the debit", async () => {
+    await ctx.post("/api/deposit/txid", { txId: "2001", userId: "u1" });
+    const cases = [
+      [
+        new BinanceInsufficientBalanceError("Insufficient balance", {
+          status: 400,
+          binanceCode: -4026,
+        }),
+        "insufficient_funds",
+      ],
+      [
+        new BinanceRegionError("Binance API is not available in this region", {
+          status: 451,
+          binanceCode: 0,
+        }),
+        "region_restricted",
+      ],
+      [
+        new BinanceError("Invalid address", { status: 400, binanceCode: -1102 }),
+        "withdrawal_error",
+      ],
+    ];
+    for (const [err, reason] of cases) {
+      ctx.binance.withdrawUSDT = async () => {
+        throw err;
+      };
+      const { body } = await withdraw({ address: ADDRESSES.TRX, amount: 20, userId: "u1" });
+      assert.equal(body.status, "failed");
+      assert.equal(body.reason, reason);
+    }
+    assert.equal(getAccount("u1").balanceKes, 7500);
+    assert.equal(getWithdrawal(1).status, "failed");
+  });
+
+  await t.test("keeps the debit when Binance's answer is lost, then looks it up", async () => {
+    await ctx.post("/api/deposit/txid", { txId: "2001", userId: "u1" });
+    const send = ctx.binance.withdrawUSDT;
+    ctx.binance.withdrawUSDT = async (params) => {
+      await send(params);
+      throw new BinanceError("Binance request failed: socket hang up");
+    };
+    const { body } = await withdraw({ address: ADDRESSES.TRX, amount: 20, userId: "u1" });
+    assert.equal(body.status, "pending");
+    assert.equal(body.reason, "binance_outcome_unknown");
+    assert.equal(getAccount("u1").balanceKes, 4350);
+    assert.equal(getWithdrawal(body.id).status, "submitted");
+    assert.equal(getWithdrawal(body.id).binanceId, null);
+
+    const found = (await ctx.get(`/api/withdrawals/${body.id}`)).body;
+    assert.equal(found.binanceId, "binance-1");
+    assert.equal(found.status, "processing");
+    assert.equal(getAccount("u1").balanceKes, 4350);
+
+    // Never reached Binance: failed once it has been missing from history for a while.
+    ctx.binance.withdrawUSDT = async () => {
+      throw new BinanceError("Binance request failed: timeout", { status: 503 });
+    };
+    const lost = (await withdraw({ address: ADDRESSES.TRX, amount: 20, userId: "u1" })).body;
+    assert.equal(lost.status, "pending");
+    assert.equal((await ctx.get(`/api/withdrawals/${lost.id}`)).body.status, "submitted");
+    ctx.db
+      .prepare("UPDATE withdrawals SET updatedAt = datetime('now', '-11 minutes') WHERE id = ?")
+      .run(lost.id);
+    const failed = (await ctx.get(`/api/withdrawals/${lost.id}`)).body;
+    assert.equal(failed.status, "failed");
+    assert.equal(getAccount("u1").balanceKes, 4350);
+  });
+});